@@ -13,14 +13,17 @@ const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p/original';
 
 
 // Security: HTML sanitization function to prevent XSS attacks
+// Quotes are escaped too, so the result is safe inside attribute values
 function sanitizeHTML(str) {
   if (typeof str !== 'string') return '';
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Security: Validate and sanitize URL to prevent javascript: protocol injection
+// Quotes, angle brackets and whitespace are percent-encoded so the URL can't
+// break out of an attribute
 function sanitizeURL(url) {
   if (typeof url !== 'string') return '';
   // Remove any potential javascript: or data: protocols
@@ -29,7 +32,7 @@ function sanitizeURL(url) {
     trimmed.toLowerCase().startsWith('data:')) {
     return '';
   }
-  return trimmed;
+  return trimmed.replace(/["'<>`\s]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
 }
 
 // ============================================================================
@@ -55,7 +58,7 @@ const Formatters = {
   /**
    * Normalize rating to 0-10 scale for visual representation
    * @param {number} rating - The rating value
-   * @param {number} ratingMax - Maximum rating scale (10 or 100)
+   * @param {number} ratingMax - Maximum rating scale (5, 10 or 100)
    * @returns {number} Normalized rating on 0-10 scale
    */
   ratingNormalized(rating, ratingMax = 10) {
@@ -63,28 +66,31 @@ const Formatters = {
       return 0;
     }
     const numRating = parseFloat(rating);
-    if (ratingMax === 100) {
-      return numRating / 10;
+    if (ratingMax && ratingMax !== 10) {
+      return (numRating / ratingMax) * 10;
     }
     return numRating;
   },
 
   /**
    * Format runtime from minutes to human-readable format
-   * @param {number} minutes - Duration in minutes
-   * @returns {string} Formatted runtime (e.g., "1h 31m" or "45m")
+   * Fractional minutes under an hour keep their seconds (track lengths)
+   * @param {number} minutes - Duration in minutes (may be fractional, e.g. 3.5)
+   * @returns {string} Formatted runtime (e.g., "1h 31m", "45m" or "3m 30s")
    */
   runtimeDisplay(minutes) {
     if (!minutes || isNaN(minutes)) {
       return 'N/A';
     }
-    const numMinutes = parseInt(minutes);
-    const hours = Math.floor(numMinutes / 60);
-    const mins = numMinutes % 60;
-    if (hours > 0) {
-      return `${hours}h ${mins}m`;
+    // Round once on whole seconds so 3.999 becomes 4m, not 3m
+    const totalSeconds = Math.round(parseFloat(minutes) * 60);
+    if (totalSeconds >= 3600) {
+      const totalMinutes = Math.round(totalSeconds / 60);
+      return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
     }
-    return `${mins}m`;
+    const mins = Math.floor(totalSeconds / 60);
+    const secs = totalSeconds % 60;
+    return secs > 0 ? `${mins}m ${secs}s` : `${mins}m`;
   },
 
   /**
@@ -192,9 +198,10 @@ const Formatters = {
    * Delegates type-specific logic from UI layer to formatter layer
    * @param {string} itemType - The content type ('tv-show', 'movie', etc.)
    * @param {boolean} isToday - Whether the release is today
+   * @param {string|null} [releaseType] - Music release type ('Album', 'EP', 'Single'...)
    * @returns {string} Badge text to display (e.g., "New<br>Episode<br>Today!")
    */
-  releaseBadgeText(itemType, isToday) {
+  releaseBadgeText(itemType, isToday, releaseType = null) {
     if (!isToday) {
       return '';
     }
@@ -204,6 +211,10 @@ const Formatters = {
         return 'New<br>Episode<br>Today!';
       case 'movie':
         return 'Digital<br>Release<br>Today!';
+      case 'book':
+        return 'Book<br>Release<br>Today!';
+      case 'music':
+        return `${releaseType ? sanitizeHTML(releaseType) : 'New'}<br>Release<br>Today!`;
       default:
         return '';
     }
@@ -540,6 +551,85 @@ const AdapterUtils = {
       .filter(Boolean); // Remove null/undefined
   },
 
+  /**
+   * Normalize an array that may arrive JSON-encoded (e.g., TMDB top_cast, keywords)
+   * @param {Array|string|null} input - Array or JSON string of an array
+   * @returns {Array<string>} Array of strings
+   *
+   * @example
+   * parseJSONArray('["Jared Leto","Greta Lee"]')
+   * // Returns: ['Jared Leto', 'Greta Lee']
+   *
+   * parseJSONArray('not json')
+   * // Returns: []
+   */
+  parseJSONArray(input) {
+    if (typeof input !== 'string') {
+      return this.normalizeArray(input);
+    }
+
+    try {
+      return this.normalizeArray(JSON.parse(input));
+    } catch (e) {
+      return [];
+    }
+  },
+
+  /**
+   * Normalize ISBN by stripping hyphens and spaces
+   * @param {string|number|null} isbn - ISBN-10 or ISBN-13 in any common notation
+   * @returns {string|null} Bare ISBN digits (with trailing X for ISBN-10) or null
+   * 
+   * @example
+   * normalizeISBN('978-0-7432-7356-5')
+   * // Returns: '9780743273565'
+   * 
+   * normalizeISBN('0-306-40615-X')
+   * // Returns: '030640615X'
+   * 
+   * // Wrong length
+   * normalizeISBN('12345')
+   * // Returns: null
+   */
+  normalizeISBN(isbn) {
+    if (isbn === null || isbn === undefined) {
+      return null;
+    }
+
+    const compact = String(isbn).replace(/[\s-]/g, '').toUpperCase();
+
+    if (/^\d{13}$/.test(compact) || /^\d{9}[\dX]$/.test(compact)) {
+      return compact;
+    }
+
+    console.warn('Invalid ISBN:', isbn);
+    return null;
+  },
+
+  /**
+   * Get the calendar day of a date in the user's timezone
+   * All date filters and countdowns compare days through this helper.
+   * @param {string|number|Date} dateInput - ISO string, timestamp or Date
+   * @returns {Date|null} Local midnight of that day, or null if invalid
+   *
+   * @example
+   * // In Europe/Paris (UTC+1)
+   * getLocalDay('2025-11-28T23:00:00.000Z')
+   * // Returns: Date for Nov 29, 2025 00:00 local
+   */
+  getLocalDay(dateInput) {
+    if (dateInput === null || dateInput === undefined || dateInput === '') {
+      return null;
+    }
+
+    const dateObj = new Date(dateInput);
+    if (isNaN(dateObj.getTime())) {
+      return null;
+    }
+
+    return new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate());
+  },
+
   /**
    * Calculate countdown status for upcoming releases
    * Returns countdown information for items releasing within 7 days
@@ -569,16 +659,16 @@ const AdapterUtils = {
     }
 
     try {
-      const releaseObj = new Date(releaseDate);
-      const today = new Date();
+      const releaseObj = this.getLocalDay(releaseDate);
+      const today = this.getLocalDay(new Date());
 
-      // Normalize to midnight for comparison
-      today.setHours(0, 0, 0, 0);
-      releaseObj.setHours(0, 0, 0, 0);
+      if (!releaseObj) {
+        return { daysUntil: null, isCountdown: false };
+      }
 
-      // Calculate days until release
+      // Calculate days until release (round: DST days are 23h or 25h long)
       const diffTime = releaseObj.getTime() - today.getTime();
-      const daysUntil = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+      const daysUntil = Math.round(diffTime / (1000 * 60 * 60 * 24));
 
       // Check if within countdown range (1-7 days)
       const isCountdown = daysUntil >= 1 && daysUntil <= 7;
@@ -632,7 +722,7 @@ const AdapterUtils = {
    *   posterField: 'poster_path',
    *   posterOptions: { baseURL: TMDB_IMAGE_BASE }
    * });
-   * // Returns: { id, title, description, poster }
+   * // Returns: { id, title, description, poster, popularity, addedAt }
    */
   extractCommonFields(rawData, config) {
     const {
@@ -641,15 +731,49 @@ const AdapterUtils = {
       descriptionField = 'overview',
       posterField = 'poster_path',
       posterOptions = {},
-      defaultDescription = 'No overview available.'
+      defaultDescription = 'No overview available.',
+      popularityField = 'popularity',
+      addedAtField = 'created_at'
     } = config;
 
+    const popularity = parseFloat(rawData[popularityField]);
+    const addedAt = rawData[addedAtField] ? new Date(rawData[addedAtField]) : null;
+
     return {
       id: rawData[idField],
       title: rawData[titleField] || 'Untitled',
       description: rawData[descriptionField] || defaultDescription,
-      poster: this.normalizePosterURL(rawData[posterField], posterOptions)
+      poster: this.normalizePosterURL(rawData[posterField], posterOptions),
+      popularity: Number.isNaN(popularity) ? null : popularity,
+      addedAt: addedAt && !Number.isNaN(addedAt.getTime()) ? addedAt.toISOString() : null
     };
+  },
+
+  /**
+   * Identity of a normalized item: type + source + id
+   * Ids are only unique within their source (TMDB movie and TV ids overlap,
+   * games use slugs), so compare, store and look up items by this key.
+   * @param {object} item - Normalized item
+   * @returns {string} Key like 'movie:tmdb:123'
+   *
+   * @example
+   * getItemKey(normalizeGame({ slug: 'fable', name: 'Fable' }))
+   * // Returns: 'game:igdb:fable'
+   */
+  getItemKey(item) {
+    const type = item.metadata.type;
+    const schema = MetadataSchemas[type];
+    return `${type}:${schema ? schema.source : 'unknown'}:${item.id}`;
+  },
+
+  /**
+   * Check whether two normalized items are the same item
+   * @param {object|null} a - Normalized item
+   * @param {object|null} b - Normalized item
+   * @returns {boolean}
+   */
+  isSameItem(a, b) {
+    return Boolean(a && b) && this.getItemKey(a) === this.getItemKey(b);
   }
 };
 
@@ -665,16 +789,20 @@ const MetadataSchemas = {
    */
   movie: {
     type: 'movie',
+    source: 'tmdb',
     required: ['type'],
     optional: [
       'runtime',           // int: minutes (91)
       'imdbId',           // string: IMDb identifier
       'budget',           // int: dollars (1400000)
       'revenue',          // int: dollars
-      'productionCompanies', // array: production company objects
+      'productionCompanies', // array: production company names
       'originalTitle',    // string: original language title
       'originalLanguage', // string: ISO 639-1 code (en, es, etc)
-      'theatricalReleaseDate' // string: ISO date of theatrical release
+      'theatricalReleaseDate', // string: ISO date of theatrical release
+      'director',         // string: director name or null
+      'topCast',          // array: lead cast names ['Jared Leto', 'Greta Lee']
+      'keywords'          // array: TMDB keywords ['simulation', 'sequel']
     ],
     description: 'Movie metadata from TMDB API, emphasizing runtime and financial data'
   },
@@ -684,6 +812,7 @@ const MetadataSchemas = {
    */
   'tv-show': {
     type: 'tv-show',
+    source: 'tmdb',
     required: ['type'],
     optional: [
       'seasons',          // int: number of seasons (1)
@@ -692,7 +821,8 @@ const MetadataSchemas = {
       'creators',         // array: creator names
       'status',           // string: In Production, Ended, etc
       'nextEpisodeDate',  // string: ISO date of next episode or null
-      'imdbId'            // string: IMDb identifier
+      'imdbId',           // string: IMDb identifier
+      'originalTitle'     // string: original language title
     ],
     description: 'TV Show metadata from TMDB API, emphasizing season/episode counts and networks'
   },
@@ -702,6 +832,7 @@ const MetadataSchemas = {
    */
   game: {
     type: 'game',
+    source: 'igdb',
     required: ['type'],
     optional: [
       'platforms',        // array: platform names ['PC', 'Xbox Series X']
@@ -712,6 +843,47 @@ const MetadataSchemas = {
       'epicUrl'           // string: Epic Games store URL or null
     ],
     description: 'Game metadata from IGDB API, emphasizing platforms and distribution channels'
+  },
+
+  /**
+   * Book metadata schema
+   */
+  book: {
+    type: 'book',
+    source: 'midloop', // In-house feed (shared-data/data_books.json)
+    required: ['type'],
+    optional: [
+      'isbn',             // string: ISBN-13 (or ISBN-10) without hyphens
+      'authors',          // array: author names ['Mara Ellison']
+      'publisher',        // string: publisher name
+      'pageCount',        // int: number of pages (412)
+      'series',           // string: series name or null
+      'seriesPosition',   // number: position within the series (2) or null
+      'format',           // string: Hardcover, Paperback, Ebook, Audiobook
+      'subtitle'          // string: subtitle or null
+    ],
+    description: 'Book metadata, emphasizing authorship, series and publication details'
+  },
+
+  /**
+   * Music release metadata schema (albums, EPs, singles)
+   */
+  music: {
+    type: 'music',
+    source: 'midloop', // In-house feed (shared-data/data_music.json)
+    required: ['type'],
+    optional: [
+      'artists',          // array: artist names ['The Velvet Lanes']
+      'label',            // string: record label or null
+      'releaseType',      // string: Album, EP, Single, Compilation
+      'trackCount',       // int: number of tracks (10)
+      'totalDuration',    // number: total length in minutes (40.4)
+      'tracks',           // array: { position, title, duration } with duration in minutes
+      'spotifyUrl',       // string: Spotify URL or null
+      'appleMusicUrl',    // string: Apple Music URL or null
+      'bandcampUrl'       // string: Bandcamp URL or null
+    ],
+    description: 'Music release metadata, emphasizing artists, label and tracklist'
   }
 };
 
@@ -790,7 +962,7 @@ const CardComponents = {
     // Create card element
     const card = document.createElement('div');
     card.className = 'content-card'; // Keeping existing class name for CSS compatibility
-    card.dataset.itemId = item.id; // Add ID for reliable lookup
+    card.dataset.itemKey = AdapterUtils.getItemKey(item); // Ids repeat across types; see findCard()
 
     // Set accessibility attributes
     this.setAccessibilityAttributes(card, item);
@@ -827,11 +999,25 @@ const CardComponents = {
         ${this.createDateBadge(item.releaseDate, item)}
         ${this.createTBAText(item)}
         ${this.createBookmarkButton(item)}
+        ${this.createListButton(item)}
+        ${this.createStatusBadge(item)}
+        ${this.createChangedBadge(item)}
+        ${this.createUnlistedBadge(item)}
         ${this.createOverlay(item)}
       </div>
     `;
   },
 
+  /**
+   * Find the rendered card for an item
+   * @param {object} item - Normalized item
+   * @returns {HTMLElement|null} Card element
+   */
+  findCard(item) {
+    const key = AdapterUtils.getItemKey(item);
+    return Array.from(document.querySelectorAll('.content-card')).find(card => card.dataset.itemKey === key) || null;
+  },
+
   /**
    * Create poster image HTML
    * @param {object} item - Normalized item
@@ -876,7 +1062,7 @@ const CardComponents = {
 
     // Use Formatters to get type-specific badge text (delegates type logic to formatter layer)
     if (isToday && item.metadata) {
-      badgeText = Formatters.releaseBadgeText(item.metadata.type, isToday);
+      badgeText = Formatters.releaseBadgeText(item.metadata.type, isToday, item.metadata.releaseType);
       showSpecialBadge = badgeText !== '';
     }
 
@@ -923,14 +1109,13 @@ const CardComponents = {
    * @returns {string} HTML string
    */
   createBookmarkButton(item) {
-    const isBookmarked = bookmarkManager.isBookmarked(item.id);
+    const isBookmarked = bookmarkManager.isBookmarked(item);
     const activeClass = isBookmarked ? 'active' : '';
 
     return `
       <button 
         class="bookmark-btn-card ${activeClass}" 
         aria-label="Bookmark ${sanitizeHTML(item.title)}"
-        data-item-id="${item.id}"
       >
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round">
           <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
@@ -939,6 +1124,103 @@ const CardComponents = {
     `;
   },
 
+  /**
+   * Create add-to-list button HTML
+   * @param {object} item - Normalized item
+   * @returns {string} HTML string
+   */
+  createListButton(item) {
+    const inAnyList = bookmarkManager.getItemCollections(item).length > 0;
+    const activeClass = inAnyList ? 'active' : '';
+
+    return `
+      <button 
+        class="list-btn-card ${activeClass}" 
+        aria-label="Add ${sanitizeHTML(item.title)} to a list"
+        aria-haspopup="dialog"
+        aria-expanded="false"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M4 6h11M4 12h11M4 18h7M18 15v6M15 18h6"></path>
+        </svg>
+      </button>
+    `;
+  },
+
+  /**
+   * Create personal status/score badge HTML
+   * @param {object} item - Normalized item
+   * @returns {string} HTML string (empty when nothing is set)
+   */
+  createStatusBadge(item) {
+    const { status, score } = bookmarkManager.getItemData(item);
+    if (!status && !score) return '';
+
+    const parts = [];
+    if (status) parts.push(getItemStatusLabel(status, item.metadata.type));
+    if (score) parts.push(`${score}/10`);
+
+    return `
+      <span class="status-badge status-badge--${status || 'scored'}">${sanitizeHTML(parts.join(' · '))}</span>
+    `;
+  },
+
+  /**
+   * Create "Changed" badge HTML for bookmarks with unseen source changes
+   * @param {object} item - Normalized item
+   * @returns {string} HTML string (empty when nothing new changed)
+   */
+  createChangedBadge(item) {
+    const unseen = bookmarkManager.getChangeLog(item).filter(entry => !entry.seen);
+    if (unseen.length === 0) return '';
+
+    const fields = [...new Set(unseen.map(entry => BOOKMARK_TRACKED_FIELDS[entry.field]?.label || entry.field))];
+
+    return `
+      <span class="changed-badge" title="Changed: ${sanitizeHTML(fields.join(', '))}">Changed</span>
+    `;
+  },
+
+  /**
+   * Create "No longer listed" badge HTML for stale bookmarks
+   * @param {object} item - Normalized item
+   * @returns {string} HTML string (empty for listed items)
+   */
+  createUnlistedBadge(item) {
+    if (!UnlistedBookmarks.has(item)) return '';
+
+    const category = CATEGORY_CONFIG[Router.getCategoryForType(item.metadata.type)];
+    const source = category ? category.displayName.toLowerCase() : 'source';
+
+    return `
+      <span class="unlisted-badge" title="No longer in the ${sanitizeHTML(source)} listings. Showing the last saved details.">No longer listed</span>
+    `;
+  },
+
+  /**
+   * Replace a rendered card's status and "Changed" badges after stored data changes
+   * @param {object} item - Normalized item
+   */
+  refreshBadges(item) {
+    const card = this.findCard(item);
+    const poster = card && card.querySelector('.content-poster');
+    if (!poster) return;
+
+    poster.querySelectorAll('.status-badge, .changed-badge').forEach(badge => badge.remove());
+
+    // Keep the buildCardHTML() order: status, changed, unlisted, overlay
+    const anchor = poster.querySelector('.unlisted-badge') || poster.querySelector('.content-details-overlay');
+    const badgeHTML = this.createStatusBadge(item) + this.createChangedBadge(item);
+    if (badgeHTML.trim() && anchor) {
+      anchor.insertAdjacentHTML('beforebegin', badgeHTML);
+    }
+
+    const bookmarkBtn = poster.querySelector('.bookmark-btn-card');
+    if (bookmarkBtn) {
+      bookmarkBtn.classList.toggle('active', bookmarkManager.isBookmarked(item));
+    }
+  },
+
   /**
    * Create TBA text HTML
    * @param {object} item - Normalized item
@@ -997,6 +1279,16 @@ const CardComponents = {
       });
     }
 
+    // Add-to-list button
+    const listBtn = card.querySelector('.list-btn-card');
+    if (listBtn) {
+      listBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        CollectionMenu.open(item, listBtn);
+      });
+      listBtn.addEventListener('keydown', (e) => e.stopPropagation());
+    }
+
     // Card click
     card.addEventListener('click', () => {
       this.handleCardClick(item, index);
@@ -1019,6 +1311,7 @@ const CardComponents = {
       return;
     }
 
+    const snapshot = bookmarkManager.snapshotItem(item);
     const isAdded = bookmarkManager.toggle(item);
     button.classList.toggle('active', isAdded);
 
@@ -1035,14 +1328,18 @@ const CardComponents = {
 
     // If on bookmarks page and removed, animate removal and update navigation array
     // Use Router to check current route
-    const currentRoute = typeof Router !== 'undefined' ? Router.getCurrentRoute() : 'movies';
+    const onBookmarksRoute = typeof Router !== 'undefined' && Router.isBookmarksRoute();
 
-    if (currentRoute === 'bookmarks' && !isAdded) {
+    if (onBookmarksRoute && !isAdded) {
       // Mark as processing to prevent double-clicks
       button.dataset.processing = 'true';
 
+      if (snapshot) {
+        UndoToast.push(snapshot);
+      }
+
       // Remove from currentMoviesArray so modal navigation stays in sync
-      const itemIndex = currentMoviesArray.findIndex(m => m.id === item.id);
+      const itemIndex = currentMoviesArray.findIndex(m => AdapterUtils.isSameItem(m, item));
       if (itemIndex !== -1) {
         currentMoviesArray.splice(itemIndex, 1);
       }
@@ -1098,18 +1395,21 @@ const CardComponents = {
    */
   checkEmptyBookmarks() {
     const container = document.getElementById('movies-container');
-    if (container.children.length === 0) {
-      container.style.display = 'none';
-      container.innerHTML = '';
+    if (container.children.length === 0 && Router.getActiveListRoute().startsWith('bookmarks/')) {
+      ContentStates.show(LOAD_OUTCOMES.EMPTY, {
+        displayName: 'This list',
+        message: 'This list is empty. Use the list button on any card to add items to it.',
+        actionLabel: 'All bookmarks',
+        onRetry: () => Router.navigate('bookmarks')
+      });
+    } else if (container.children.length === 0) {
+      ContentStates.show(LOAD_OUTCOMES.EMPTY, {
+        displayName: 'Bookmarks',
+        message: "You haven't bookmarked anything yet. Use the bookmark icon on any card to save it here.",
+        actionLabel: 'Browse movies',
+        onRetry: () => Router.navigate('movies')
+      });
     }
-  },
-
-  /**
-   * Get empty bookmarks message HTML
-   * @returns {string} HTML string
-   */
-  getEmptyBookmarksHTML() {
-    return '';
   }
 };
 
@@ -1169,40 +1469,81 @@ const Router = {
    * Each route has a handler function and display title
    */
   routes: {
-    'movies': {
-      handler: () => loadContent('movies'),
-      title: 'MOVIES',
-      description: 'Browse upcoming movie releases'
+    'bookmarks': {
+      handler: () => loadContent('bookmarks'),
+      title: 'BOOKMARKS',
+      description: 'View your bookmarked content'
+    },
+    'bookmarks/:list': {
+      handler: ({ list }) => loadContent('bookmarks', list),
+      title: ({ list }) => `Bookmarks / ${bookmarkManager.getCollection(list).name}`.toUpperCase(),
+      description: ({ list }) => `Items in your "${bookmarkManager.getCollection(list).name}" list`,
+      validate: ({ list }) => Boolean(bookmarkManager.getCollection(list))
+    },
+    'calendar': {
+      handler: () => CalendarView.show(),
+      title: 'CALENDAR',
+      description: 'Releases by day across all categories'
+    },
+    'search': {
+      handler: () => SearchPage.show(),
+      title: 'SEARCH',
+      description: 'Search results across all categories'
     },
-    'movies/past-week': {
-      handler: () => loadContent('movies', 'past-week'),
-      title: 'MOVIES / PAST WEEK',
-      description: 'Browse movies from the past week'
+    ':category/:sub': {
+      handler: ({ category, sub }) => loadContent(category, sub),
+      title: ({ category, sub }) =>
+        `${CATEGORY_CONFIG[category].displayName} / ${CATEGORY_CONFIG[category].subcategories[sub].displayName}`.toUpperCase(),
+      description: ({ category, sub }) =>
+        `Browse ${CATEGORY_CONFIG[category].displayName.toLowerCase()} from the ${CATEGORY_CONFIG[category].subcategories[sub].displayName.toLowerCase()}`,
+      validate: ({ category, sub }) => Boolean(CATEGORY_CONFIG[category]?.subcategories?.[sub])
     },
-    'tv-shows': {
-      handler: () => loadContent('tv-shows'),
-      title: 'TV SHOWS',
-      description: 'Browse upcoming TV show episodes'
+    ':category': {
+      handler: ({ category }) => loadContent(category),
+      title: ({ category }) => CATEGORY_CONFIG[category].displayName.toUpperCase(),
+      description: ({ category }) => `Browse upcoming ${CATEGORY_CONFIG[category].displayName.toLowerCase()} releases`,
+      validate: ({ category }) => Boolean(CATEGORY_CONFIG[category]?.dataFile)
+    }
+  },
+
+  /**
+   * Query-string state (#/movies?filter=week)
+   * Each param reads its value from the app state and applies a value from
+   * the URL. Values equal to the default are left out of the URL.
+   */
+  queryParams: {
+    // Custom range bounds come before `filter` so its pickers show restored values
+    from: {
+      defaultValue: '',
+      read: () => (currentDateFilter === 'custom' ? currentDateRange.from : ''),
+      apply: (value) => { currentDateRange.from = parseLocalDateInput(value) ? value : ''; }
     },
-    'games': {
-      handler: () => loadContent('games'),
-      title: 'GAMES',
-      description: 'Browse upcoming game releases'
+    to: {
+      defaultValue: '',
+      read: () => (currentDateFilter === 'custom' ? currentDateRange.to : ''),
+      apply: (value) => { currentDateRange.to = parseLocalDateInput(value) ? value : ''; }
     },
-    'books': {
-      handler: () => loadContent('books'),
-      title: 'BOOKS',
-      description: 'Browse upcoming book releases'
+    filter: {
+      defaultValue: 'all',
+      get values() {
+        return DATE_FILTERS; // Declared after Router
+      },
+      read: () => currentDateFilter,
+      apply: (value) => setActiveDateFilter(value)
     },
-    'music': {
-      handler: () => loadContent('music'),
-      title: 'MUSIC',
-      description: 'Browse upcoming music releases'
+    sort: {
+      defaultValue: 'default',
+      get values() {
+        return Object.keys(SORT_OPTIONS); // Declared after Router
+      },
+      fallback: (basePath) => getRememberedSort(basePath),
+      read: () => currentSort,
+      apply: (value) => setActiveSort(value)
     },
-    'bookmarks': {
-      handler: () => loadContent('bookmarks'),
-      title: 'BOOKMARKS',
-      description: 'View your bookmarked content'
+    q: {
+      defaultValue: '',
+      read: () => SearchModule.getQuery(),
+      apply: (value) => SearchModule.setQuery(value)
     }
   },
 
@@ -1211,6 +1552,21 @@ const Router = {
    */
   defaultRoute: 'movies',
 
+  /**
+   * Full path currently reflected in the URL (may include /item/:id)
+   */
+  currentPath: null,
+
+  /**
+   * List route whose content is currently loaded in the grid
+   */
+  currentBasePath: null,
+
+  /**
+   * True when opening the modal pushed a history entry (Back closes it)
+   */
+  itemEntryPushed: false,
+
   /**
    * Scroll threshold for auto-scroll behavior
    */
@@ -1236,28 +1592,68 @@ const Router = {
       skipScroll = false
     } = options;
 
+    const { path: routePath, query } = this.parseLocation(path);
+    let { basePath, itemId } = this.parsePath(routePath);
+
     // Validate route
-    if (!this.isValidRoute(path)) {
+    if (!this.isValidRoute(basePath)) {
       console.warn(`Invalid route: ${path}, using default`);
-      path = this.defaultRoute;
+      basePath = this.defaultRoute;
+      itemId = null;
     }
 
-    const route = this.getRoute(path);
+    path = itemId ? this.buildItemPath(basePath, itemId) : basePath;
+    const route = this.getRoute(basePath);
+    const wasOnItem = this.currentPath !== this.currentBasePath;
+    const previousQuery = this.serializeQuery();
+
+    // Restore filter/sort/search state from the URL (missing params reset to defaults)
+    this.applyQuery(query, basePath);
+
+    // Record the path before touching the hash so our own hashchange is ignored
+    this.currentPath = path;
+    this.itemEntryPushed = false;
 
     // Update browser history
+    const location = this.formatLocation(path);
     if (!skipHistory) {
-      window.location.hash = `#/${path}`;
+      window.location.hash = `#/${location}`;
+    } else if (this.getCurrentLocation() !== location) {
+      // Canonicalize hand-edited URLs (unknown params, invalid values)
+      history.replaceState(null, '', `#/${location}`);
+    }
+
+    // Same list already loaded with the same view: only open or close the modal
+    if (basePath === this.currentBasePath && (itemId || wasOnItem) && this.serializeQuery() === previousQuery) {
+      if (itemId) {
+        this.openItem(itemId);
+      } else {
+        closeItemDetails({ updateRoute: false });
+      }
+      return;
     }
 
+    closeItemDetails({ updateRoute: false });
+
+    const run = () => {
+      const loaded = this.executeRoute(route, basePath);
+      if (itemId) {
+        // Open the item once its list has rendered (unless the user moved on)
+        Promise.resolve(loaded).then(() => {
+          if (this.currentPath === path) {
+            this.openItem(itemId);
+          }
+        });
+      }
+    };
+
     // Handle scroll behavior
     if (skipScroll) {
-      this.executeRoute(route, path);
+      run();
     } else if (scrollToTop || this.shouldScrollToTop()) {
-      this.scrollToTop(() => {
-        this.executeRoute(route, path);
-      });
+      this.scrollToTop(run);
     } else {
-      this.executeRoute(route, path);
+      run();
     }
   },
 
@@ -1265,111 +1661,373 @@ const Router = {
    * Execute a route (update UI and run handler)
    * @param {object} route - Route configuration
    * @param {string} path - Route path
+   * @returns {Promise<void>} Resolves when the route's content has loaded
    */
   executeRoute(route, path) {
+    this.currentBasePath = path;
+
+    // Lets CSS show route-specific controls (e.g. bookmark tools)
+    const layoutContainer = document.querySelector('.layout-container');
+    if (layoutContainer) {
+      layoutContainer.dataset.route = path.split('/')[0];
+    }
+
     // Update UI state
     this.updateActiveLink(path);
     this.updateCategoryText(route.title);
 
-    // Reset date filter to "all" when changing categories
-    if (currentDateFilter !== 'all') {
-      currentDateFilter = 'all';
-      document.querySelectorAll('.date-filter-btn').forEach(btn => {
-        if (btn.dataset.filter === 'all') {
-          btn.classList.add('active');
-        } else {
-          btn.classList.remove('active');
+    // Update document title
+    document.title = `${route.title} - MIDLOOP`;
+
+    // Execute route handler (loads content)
+    return route.handler();
+  },
+
+  /**
+   * Match a path against the route patterns
+   * Static segments must match exactly; `:name` segments become params.
+   * @param {string} path - Route path (e.g., 'movies/past-week')
+   * @returns {{pattern: string, route: object, params: object}|null} Match or null
+   */
+  matchRoute(path) {
+    const segments = String(path).split('/');
+
+    for (const [pattern, route] of Object.entries(this.routes)) {
+      const parts = pattern.split('/');
+      if (parts.length !== segments.length) continue;
+
+      const params = {};
+      const matched = parts.every((part, i) => {
+        if (part.startsWith(':')) {
+          params[part.slice(1)] = segments[i];
+          return segments[i] !== '';
         }
+        return part === segments[i];
       });
-    }
 
-    // Execute route handler (loads content)
-    route.handler();
+      if (matched && (!route.validate || route.validate(params))) {
+        return { pattern, route, params };
+      }
+    }
 
-    // Update document title
-    document.title = `${route.title} - MIDLOOP`;
+    return null;
   },
 
   /**
    * Get route configuration by path
    * @param {string} path - Route path
-   * @returns {object} Route configuration
+   * @returns {object} Resolved route ({ params, title, description, handler })
    */
   getRoute(path) {
-    return this.routes[path] || this.routes[this.defaultRoute];
+    const { route, params } = this.matchRoute(path) || this.matchRoute(this.defaultRoute);
+    const resolve = (value) => (typeof value === 'function' ? value(params) : value);
+
+    return {
+      params,
+      title: resolve(route.title),
+      description: resolve(route.description),
+      handler: () => route.handler(params)
+    };
   },
 
   /**
    * Get current route from URL
-   * @returns {string} Current route path
+   * @returns {string} Current route path (without query string)
    */
   getCurrentRoute() {
-    const path = window.location.pathname.replace(/^\/+/, '');
+    const path = this.parseLocation(this.getCurrentLocation()).path;
     return path || this.defaultRoute;
   },
 
   /**
-   * Check if route is valid
-   * @param {string} path - Route path
-   * @returns {boolean} True if valid
+   * Get the full location from the URL hash
+   * @returns {string} Path and query string (e.g., 'movies?filter=week')
    */
-  isValidRoute(path) {
-    return path in this.routes;
+  getCurrentLocation() {
+    return window.location.hash.replace(/^#\/*/, '');
   },
 
   /**
-   * Update active navigation link
-   * @param {string} path - Active route path
+   * Split a location into path and query params
+   * @param {string} location - Path with optional query string
+   * @returns {{path: string, query: URLSearchParams}}
    */
-  updateActiveLink(path) {
-    const navLinks = document.querySelectorAll('.nav-link, .nav-sublink, .bookmarks-icon-link');
+  parseLocation(location) {
+    const value = String(location);
+    const queryStart = value.indexOf('?');
+    const path = (queryStart === -1 ? value : value.slice(0, queryStart)).replace(/\/+$/, '');
+    const query = new URLSearchParams(queryStart === -1 ? '' : value.slice(queryStart + 1));
+    return { path, query };
+  },
 
-    // Remove active from all
-    navLinks.forEach(link => {
-      link.classList.remove('active');
-      link.removeAttribute('aria-current');
+  /**
+   * Apply query params to app state; missing or invalid params use defaults
+   * (or the param's per-route fallback, e.g. a remembered sort)
+   * @param {URLSearchParams} query - Parsed query string
+   * @param {string} basePath - List route being shown
+   */
+  applyQuery(query, basePath) {
+    Object.entries(this.queryParams).forEach(([key, param]) => {
+      const missingValue = param.fallback ? param.fallback(basePath) : param.defaultValue;
+      let value = query.has(key) ? query.get(key).trim() : missingValue;
+      if (param.values && !param.values.includes(value)) {
+        console.warn(`Invalid ${key} in URL: ${value}, using ${param.defaultValue}`);
+        value = param.defaultValue;
+      }
+      param.apply(value);
     });
+  },
 
-    // Parse path to extract category and subcategory
-    const pathParts = path.split('/');
-    const category = pathParts[0];
-    const subcategory = pathParts[1] || null;
-
-    // Find and highlight the appropriate link
-    let activeLink = null;
-    if (subcategory) {
-      // For subcategory routes like 'movies/past-week', find the sublink with matching data attributes
-      activeLink = document.querySelector(`.nav-sublink[data-category="${category}"][data-subcategory="${subcategory}"]`);
-      if (activeLink) {
-        activeLink.classList.add('active');
-        activeLink.setAttribute('aria-current', 'page');
-        
-        // Also highlight the parent category link to indicate submenu is active
-        const parentLink = document.querySelector(`.nav-link[data-category="${category}"]`);
-        if (parentLink) {
-          parentLink.classList.add('active');
-          const parentSubmenuId = parentLink.getAttribute('data-toggle-submenu');
-          if (parentSubmenuId) {
-            const parentSubmenu = document.getElementById(parentSubmenuId);
-            if (parentSubmenu) {
-              parentSubmenu.removeAttribute('hidden');
-              parentLink.setAttribute('aria-expanded', 'true');
-            }
-          }
-        }
-      }
-    } else {
-      // For main category routes, find the nav-link with matching data-category
-      activeLink = document.querySelector(`.nav-link[data-category="${category}"], .bookmarks-icon-link[data-category="${category}"]`);
-      if (activeLink) {
-        activeLink.classList.add('active');
-        activeLink.setAttribute('aria-current', 'page');
+  /**
+   * Serialize current app state into a query string
+   * @returns {string} Query string without leading '?' (empty when all defaults)
+   */
+  serializeQuery() {
+    const query = new URLSearchParams();
+    Object.entries(this.queryParams).forEach(([key, param]) => {
+      const value = param.read();
+      if (value && value !== param.defaultValue) {
+        query.set(key, value);
       }
-    }
+    });
+    return query.toString();
   },
 
   /**
-   * Update category text with animation
+   * Append the current query state to a path
+   * @param {string} path - Route path
+   * @returns {string} Location such as 'games?filter=month'
+   */
+  formatLocation(path) {
+    const queryString = this.serializeQuery();
+    return queryString ? `${path}?${queryString}` : path;
+  },
+
+  /**
+   * Rewrite the URL after filter/search state changes
+   * Uses replaceState so typing or toggling filters doesn't flood history.
+   */
+  updateQuery() {
+    if (!this.currentPath) return;
+
+    const location = this.formatLocation(this.currentPath);
+    if (this.getCurrentLocation() !== location) {
+      history.replaceState(null, '', `#/${location}`);
+    }
+  },
+
+  /**
+   * Get the list route currently shown in the grid (ignores /item/:id)
+   * @returns {string} List route path (e.g., 'bookmarks')
+   */
+  getActiveListRoute() {
+    return this.currentBasePath || this.parsePath(this.getCurrentRoute()).basePath;
+  },
+
+  /**
+   * Check whether a list route shows bookmarks (all or one collection)
+   * @param {string} [path] - List route (defaults to the active one)
+   * @returns {boolean}
+   */
+  isBookmarksRoute(path = this.getActiveListRoute()) {
+    return path === 'bookmarks' || path.startsWith('bookmarks/');
+  },
+
+  /**
+   * Check whether the search results page is shown (or being navigated to)
+   * Uses the current path, which is set before the route's handler runs.
+   * @returns {boolean}
+   */
+  isSearchRoute() {
+    return this.parsePath(this.currentPath || this.getCurrentRoute()).basePath === 'search';
+  },
+
+  /**
+   * Split a path into its list route and optional item id
+   * @param {string} path - Route path (e.g., 'games/item/fable--1')
+   * @returns {{basePath: string, itemId: string|null}}
+   */
+  parsePath(path) {
+    const match = String(path).match(/^(.*)\/item\/([^/]+)$/);
+    if (!match) {
+      return { basePath: path, itemId: null };
+    }
+
+    let itemId = match[2];
+    try {
+      itemId = decodeURIComponent(itemId);
+    } catch (e) {
+      // Malformed escape sequence: keep the raw segment
+    }
+    return { basePath: match[1], itemId };
+  },
+
+  /**
+   * Build the deep-link path for an item
+   * @param {string} basePath - List route the item belongs to
+   * @param {string|number} itemId - Item ID
+   * @returns {string} Path such as 'movies/item/550'
+   */
+  buildItemPath(basePath, itemId) {
+    return `${basePath}/item/${encodeURIComponent(itemId)}`;
+  },
+
+  /**
+   * Id segment used in an item's deep link
+   * Category lists hold one type, so the bare id is unique there; mixed lists
+   * such as bookmarks need the full item key.
+   * @param {object} item - Normalized item
+   * @param {string} basePath - List route the link opens from
+   * @returns {string|number} Item id or key
+   */
+  getItemRouteId(item, basePath) {
+    const config = CATEGORY_CONFIG[String(basePath).split('/')[0]];
+    return config && config.itemType === item.metadata.type ? item.id : AdapterUtils.getItemKey(item);
+  },
+
+  /**
+   * Find the category route that lists a given item type
+   * @param {string} type - Normalized item type (e.g., 'tv-show')
+   * @returns {string|null} Category key or null
+   */
+  getCategoryForType(type) {
+    return Object.keys(CATEGORY_CONFIG).find(key => CATEGORY_CONFIG[key].itemType === type) || null;
+  },
+
+  /**
+   * Open an item from the loaded list by ID
+   * Falls back to the plain list route when the ID is not in the data
+   * @param {string} itemId - Item ID or key from the URL (see getItemRouteId)
+   * @returns {boolean} True if the item was found
+   */
+  openItem(itemId) {
+    // Mixed lists link by item key; single-type lists (and older links) by id
+    const item = unfilteredItemsArray.find(i => AdapterUtils.getItemKey(i) === itemId)
+      || unfilteredItemsArray.find(i => String(i.id) === String(itemId));
+
+    if (!item) {
+      console.warn(`Item not found: ${itemId} in ${this.currentBasePath}, showing list instead`);
+      this.currentPath = this.currentBasePath;
+      history.replaceState(null, '', `#/${this.formatLocation(this.currentBasePath)}`);
+      closeItemDetails({ updateRoute: false });
+      return false;
+    }
+
+    // Item may be hidden by the date filter; the modal still opens
+    const index = currentMoviesArray.indexOf(item);
+    showItemDetails(item, index >= 0 ? index : 0);
+    return true;
+  },
+
+  /**
+   * Reflect the item shown in the modal in the URL
+   * The first item opened pushes a history entry; arrowing replaces it
+   * @param {object} item - Normalized item
+   */
+  syncItemRoute(item) {
+    if (!this.currentBasePath) return;
+
+    // Search can open items from other categories
+    const inCurrentList = unfilteredItemsArray.some(i => AdapterUtils.isSameItem(i, item));
+    const basePath = inCurrentList
+      ? this.currentBasePath
+      : this.getCategoryForType(item.metadata.type) || this.currentBasePath;
+    const path = this.buildItemPath(basePath, this.getItemRouteId(item, basePath));
+
+    if (path === this.currentPath) return;
+
+    const modal = document.getElementById('content-modal');
+    const isModalOpen = modal && modal.style.display === 'flex';
+    this.currentPath = path;
+
+    if (isModalOpen) {
+      history.replaceState(null, '', `#/${this.formatLocation(path)}`);
+    } else {
+      window.location.hash = `#/${this.formatLocation(path)}`;
+      this.itemEntryPushed = true;
+    }
+  },
+
+  /**
+   * Return the URL to the list route after the modal closes
+   */
+  clearItemRoute() {
+    const basePath = this.currentBasePath;
+    if (!basePath || this.currentPath === basePath) return;
+
+    this.currentPath = basePath;
+
+    if (this.itemEntryPushed) {
+      // Pop our own entry so Forward can reopen the item
+      this.itemEntryPushed = false;
+      history.back();
+    } else {
+      history.replaceState(null, '', `#/${this.formatLocation(basePath)}`);
+    }
+  },
+
+  /**
+   * Check if route is valid
+   * @param {string} path - Route path
+   * @returns {boolean} True if valid
+   */
+  isValidRoute(path) {
+    return this.matchRoute(path) !== null;
+  },
+
+  /**
+   * Update active navigation link
+   * @param {string} path - Active route path
+   */
+  updateActiveLink(path) {
+    const navLinks = document.querySelectorAll('.nav-link, .nav-sublink, .bookmarks-icon-link');
+
+    // Remove active from all
+    navLinks.forEach(link => {
+      link.classList.remove('active');
+      link.removeAttribute('aria-current');
+    });
+
+    // Parse path to extract category and subcategory
+    const pathParts = path.split('/');
+    const category = pathParts[0];
+    const subcategory = pathParts[1] || null;
+
+    // Find and highlight the appropriate link
+    let activeLink = null;
+    if (subcategory) {
+      // For subcategory routes like 'movies/past-week', find the sublink with matching data attributes
+      activeLink = document.querySelector(`.nav-sublink[data-category="${category}"][data-subcategory="${subcategory}"]`);
+      if (activeLink) {
+        activeLink.classList.add('active');
+        activeLink.setAttribute('aria-current', 'page');
+        
+        // Also highlight the parent category link to indicate submenu is active
+        const parentLink = document.querySelector(`.nav-link[data-category="${category}"]`);
+        if (parentLink) {
+          parentLink.classList.add('active');
+          const parentSubmenuId = parentLink.getAttribute('data-toggle-submenu');
+          if (parentSubmenuId) {
+            const parentSubmenu = document.getElementById(parentSubmenuId);
+            if (parentSubmenu) {
+              parentSubmenu.removeAttribute('hidden');
+              parentLink.setAttribute('aria-expanded', 'true');
+            }
+          }
+        }
+      }
+    } else {
+      // For main category routes, find the nav-link with matching data-category
+      activeLink = document.querySelector(`.nav-link[data-category="${category}"], .bookmarks-icon-link[data-category="${category}"]`);
+      if (activeLink) {
+        activeLink.classList.add('active');
+        activeLink.setAttribute('aria-current', 'page');
+      }
+    }
+  },
+
+  /**
+   * Update category text with animation
    * @param {string} title - Category title to display
    */
   updateCategoryText(title) {
@@ -1431,8 +2089,12 @@ const Router = {
 
     // Browser back/forward buttons
     window.addEventListener('hashchange', () => {
-      const route = this.getCurrentRoute();
-      this.navigate(route, { skipHistory: true });
+      const location = this.getCurrentLocation();
+
+      // Ignore hash updates the router made itself
+      if (location === this.formatLocation(this.currentPath)) return;
+
+      this.navigate(location, { skipHistory: true });
     });
 
     // Navigation link clicks (main links and sub-links)
@@ -1514,8 +2176,8 @@ const Router = {
       window.location.hash = `#/${initialRoute}`;
     }
 
-    // Load initial route
-    this.navigate(initialRoute, { skipHistory: true });
+    // Load initial route (including any ?filter=/&q= state)
+    this.navigate(this.getCurrentLocation() || initialRoute, { skipHistory: true });
   }
 };
 
@@ -1571,6 +2233,13 @@ const tvGenreMap = {
   37: "Western"
 };
 
+const musicReleaseTypeMap = {
+  album: 'Album',
+  ep: 'EP',
+  single: 'Single',
+  compilation: 'Compilation'
+};
+
 // Adapters
 function normalizeMovie(rawMovie) {
   // Extract common fields using utility
@@ -1594,10 +2263,13 @@ function normalizeMovie(rawMovie) {
       runtime: rawMovie.runtime,
       originalTitle: rawMovie.original_title,
       originalLanguage: rawMovie.original_language,
-      productionCompanies: rawMovie.production_companies, // Already a string in JSON
+      productionCompanies: AdapterUtils.parseJSONArray(rawMovie.production_companies), // JSON string in data file
       budget: rawMovie.budget,
       revenue: rawMovie.revenue,
-      theatricalReleaseDate: AdapterUtils.normalizeReleaseDate(rawMovie.release_date)
+      theatricalReleaseDate: AdapterUtils.normalizeReleaseDate(rawMovie.release_date),
+      director: rawMovie.director || null,
+      topCast: AdapterUtils.parseJSONArray(rawMovie.top_cast), // JSON string in data file
+      keywords: AdapterUtils.parseJSONArray(rawMovie.keywords) // JSON string in data file
     }
   };
 
@@ -1638,7 +2310,8 @@ function normalizeTVShow(rawShow) {
       networks: AdapterUtils.normalizeArray(rawShow.networks), // Already string array
       status: rawShow.release_status,
       nextEpisodeDate: AdapterUtils.normalizeReleaseDate(rawShow.next_episode_date),
-      creators: AdapterUtils.normalizeArray(rawShow.created_by) // Already string array
+      creators: AdapterUtils.normalizeArray(rawShow.created_by), // Already string array
+      originalTitle: rawShow.original_title || null
     }
   };
 
@@ -1656,7 +2329,8 @@ function normalizeGame(rawGame) {
     descriptionField: 'summary',
     posterField: 'poster_path',
     posterOptions: { isFullURL: true }, // IGDB uses full URLs
-    defaultDescription: 'No summary available.'
+    defaultDescription: 'No summary available.',
+    popularityField: 'hypes' // IGDB pre-release hype count
   });
 
   const normalizedItem = {
@@ -1683,9 +2357,102 @@ function normalizeGame(rawGame) {
   return normalizedItem;
 }
 
+function normalizeBook(rawBook) {
+  // Extract common fields using utility
+  const common = AdapterUtils.extractCommonFields(rawBook, {
+    idField: 'id',
+    titleField: 'title',
+    descriptionField: 'description',
+    posterField: 'cover_url',
+    posterOptions: { isFullURL: true }, // Covers are stored as full URLs
+    defaultDescription: 'No description available.',
+    popularityField: 'ratings_count'
+  });
+
+  const pageCount = parseInt(rawBook.page_count, 10);
+
+  const normalizedItem = {
+    ...common,
+    releaseDate: AdapterUtils.normalizeReleaseDate(rawBook.release_date),
+    rating: AdapterUtils.normalizeRating(rawBook.average_rating, 5),
+    ratingMax: 5,
+    genres: AdapterUtils.normalizeGenres(rawBook.genres), // Already strings
+    metadata: {
+      type: 'book',
+      isbn: AdapterUtils.normalizeISBN(rawBook.isbn_13) || AdapterUtils.normalizeISBN(rawBook.isbn_10),
+      authors: AdapterUtils.normalizeArray(rawBook.authors, 'name'), // Strings or { name } objects
+      publisher: rawBook.publisher || null,
+      pageCount: Number.isNaN(pageCount) ? null : pageCount,
+      series: rawBook.series_name || null,
+      seriesPosition: rawBook.series_name ? (rawBook.series_position ?? null) : null,
+      format: rawBook.format || null,
+      subtitle: rawBook.subtitle || null
+    }
+  };
+
+  // Validate and log
+  AdapterUtils.validateAndLog(normalizedItem.metadata, 'book', normalizedItem.title);
+
+  return normalizedItem;
+}
+
+function normalizeMusicRelease(rawRelease) {
+  // Extract common fields using utility
+  const common = AdapterUtils.extractCommonFields(rawRelease, {
+    idField: 'id',
+    titleField: 'title',
+    descriptionField: 'description',
+    posterField: 'cover_url',
+    posterOptions: { isFullURL: true }, // Artwork is stored as full URLs
+    defaultDescription: 'No description available.'
+  });
+
+  // Durations arrive in milliseconds; metadata keeps minutes for Formatters.runtimeDisplay()
+  const msToMinutes = (ms) => (ms && !isNaN(ms) ? Number(ms) / 60000 : null);
+
+  const tracks = Array.isArray(rawRelease.tracks)
+    ? rawRelease.tracks
+      .filter(track => track && track.title)
+      .map((track, index) => ({
+        position: track.position || index + 1,
+        title: track.title,
+        duration: msToMinutes(track.duration_ms)
+      }))
+    : [];
+
+  const summedDuration = tracks.reduce((total, track) => total + (track.duration || 0), 0);
+  const releaseType = String(rawRelease.release_type || '').toLowerCase();
+
+  const normalizedItem = {
+    ...common,
+    releaseDate: AdapterUtils.normalizeReleaseDate(rawRelease.release_date),
+    rating: AdapterUtils.normalizeRating(rawRelease.critic_score, 100),
+    ratingMax: 100,
+    genres: AdapterUtils.normalizeGenres(rawRelease.genres), // Already strings
+    metadata: {
+      type: 'music',
+      artists: AdapterUtils.normalizeArray(rawRelease.artists, 'name'), // Strings or { name } objects
+      label: rawRelease.label || null,
+      releaseType: musicReleaseTypeMap[releaseType] || null,
+      trackCount: rawRelease.total_tracks || tracks.length || null,
+      totalDuration: msToMinutes(rawRelease.total_duration_ms) || summedDuration || null,
+      tracks: tracks,
+      spotifyUrl: AdapterUtils.normalizeStoreURL(rawRelease.spotify_url, 'spotify'),
+      appleMusicUrl: AdapterUtils.normalizeStoreURL(rawRelease.apple_music_url, 'apple music'),
+      bandcampUrl: AdapterUtils.normalizeStoreURL(rawRelease.bandcamp_url, 'bandcamp')
+    }
+  };
+
+  // Validate and log
+  AdapterUtils.validateAndLog(normalizedItem.metadata, 'music', normalizedItem.title);
+
+  return normalizedItem;
+}
+
 // Category Configuration
 const CATEGORY_CONFIG = {
   movies: {
+    itemType: 'movie',
     dataFile: './shared-data/data_movies.json',
     adapter: normalizeMovie,
     displayName: 'Movies',
@@ -1697,29 +2464,27 @@ const CATEGORY_CONFIG = {
     }
   },
   'tv-shows': {
+    itemType: 'tv-show',
     dataFile: './shared-data/data_tv_shows.json',
     adapter: normalizeTVShow,
     displayName: 'TV Shows'
   },
   games: {
+    itemType: 'game',
     dataFile: './shared-data/data_games.json',
     adapter: normalizeGame,
     displayName: 'Games'
   },
-  // INCOMPLETE CATEGORIES: To activate books/music categories, implement:
-  // 1. Create data file: shared-data/data_books.json (or data_music.json)
-  // 2. Create adapter function: normalizeBooks(data) with same schema as movies/tv-shows
-  // 3. Add navigation link: <a href="/books" class="nav-link">Books</a> in index.html
-  // 4. Modal renderer: Create ModalRenderers.renderBook(item) in the renderer switch
-  // Schema fields required: title, poster, rating, genres, release_date, overview, metadata.type
   books: {
-    dataFile: './shared-data/data_books.json', // Placeholder
-    adapter: (data) => data, // Placeholder
+    itemType: 'book',
+    dataFile: './shared-data/data_books.json',
+    adapter: normalizeBook,
     displayName: 'Books'
   },
   music: {
-    dataFile: './shared-data/data_music.json', // Placeholder
-    adapter: (data) => data, // Placeholder
+    itemType: 'music',
+    dataFile: './shared-data/data_music.json',
+    adapter: normalizeMusicRelease,
     displayName: 'Music'
   },
   bookmarks: {
@@ -1729,340 +2494,3794 @@ const CATEGORY_CONFIG = {
   }
 };
 
-// In-memory cache with Time-To-Live (TTL)
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// ============================================================================
+// DATA LOADING - Typed fetch outcomes for category data files
+// ============================================================================
+// Every failure is tagged with an outcome so the UI can explain what went
+// wrong instead of silently hiding the grid.
+
+const LOAD_OUTCOMES = {
+  MISSING_FILE: 'missing-file',     // Data file returned 404
+  MALFORMED_JSON: 'malformed-json', // File exists but is not a JSON array
+  ADAPTER_ERROR: 'adapter-error',   // Adapter threw while normalizing
+  NETWORK_ERROR: 'network-error',   // Request failed or server error
+  EMPTY: 'empty'                    // Loaded fine, but nothing to show
+};
 
-const dataCache = {
-  data: {},
-  timestamps: {},
+/**
+ * Create an Error tagged with a load outcome
+ * @param {string} outcome - One of LOAD_OUTCOMES
+ * @param {string} message - Developer-facing message (logged, not displayed)
+ * @param {Error} [cause] - Underlying error, if any
+ * @returns {Error} Error with an `outcome` property
+ */
+function createLoadError(outcome, message, cause = null) {
+  const error = new Error(message);
+  error.outcome = outcome;
+  error.cause = cause;
+  return error;
+}
 
-  get(key) {
-    return this.data[key] || null;
-  },
+/**
+ * Fetch and parse a category data file
+ * @param {string} dataFile - Path to the JSON data file
+ * @returns {Promise<Array>} Raw (un-normalized) records
+ * @throws {Error} Load error tagged with a LOAD_OUTCOMES value
+ */
+async function fetchCategoryData(dataFile) {
+  if (!dataFile) {
+    throw createLoadError(LOAD_OUTCOMES.MISSING_FILE, 'No data file configured');
+  }
 
-  set(key, value) {
-    this.data[key] = value;
-    this.timestamps[key] = Date.now();
-  },
+  let response;
+  let text;
+  try {
+    // Add cache-busting timestamp to URL
+    response = await fetch(`${dataFile}?t=${Date.now()}`);
+    text = response.ok ? await response.text() : '';
+  } catch (error) {
+    throw createLoadError(LOAD_OUTCOMES.NETWORK_ERROR, `Request for ${dataFile} failed`, error);
+  }
 
-  has(key) {
-    return key in this.data;
-  },
+  if (response.status === 404) {
+    throw createLoadError(LOAD_OUTCOMES.MISSING_FILE, `${dataFile} not found`);
+  }
+  if (!response.ok) {
+    throw createLoadError(LOAD_OUTCOMES.NETWORK_ERROR, `${dataFile} responded with HTTP ${response.status}`);
+  }
 
-  isValid(key) {
-    if (!this.has(key)) return false;
-    const age = Date.now() - this.timestamps[key];
-    return age < CACHE_DURATION;
-  },
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw createLoadError(LOAD_OUTCOMES.MALFORMED_JSON, `${dataFile} is not valid JSON`, error);
+  }
 
-  clear(key) {
-    if (key) {
-      delete this.data[key];
-      delete this.timestamps[key];
-    } else {
-      this.data = {};
-      this.timestamps = {};
-    }
+  if (!Array.isArray(data)) {
+    throw createLoadError(LOAD_OUTCOMES.MALFORMED_JSON, `${dataFile} does not contain an array`);
   }
-};
 
-// Bookmark Manager
-const bookmarkManager = {
-  STORAGE_KEY: 'midloop_bookmarks',
+  return data;
+}
 
-  getAll() {
-    const stored = localStorage.getItem(this.STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
-  },
+/**
+ * Normalize raw records one at a time, quarantining the ones that fail
+ * A record is skipped when its adapter throws or its metadata fails
+ * validateMetadata(); the rest of the category still renders.
+ * @param {Array} records - Raw records from a data file
+ * @param {Function} adapter - Category adapter (normalizeMovie, etc.)
+ * @returns {object} { items: Array, skipped: Array<{ index, title, error }> }
+ */
+function normalizeCollection(records, adapter) {
+  const items = [];
+  const skipped = [];
 
-  isBookmarked(id) {
-    const bookmarks = this.getAll();
-    return bookmarks.some(item => item.id === id);
-  },
+  records.forEach((record, index) => {
+    const title = (record && (record.title || record.name)) || 'Untitled';
 
-  toggle(item) {
-    let bookmarks = this.getAll();
-    const index = bookmarks.findIndex(b => b.id === item.id);
+    try {
+      const item = adapter(record);
+      const metadata = item ? item.metadata : null;
+      const validation = validateMetadata(metadata, metadata ? metadata.type : undefined);
 
-    if (index === -1) {
-      // Add
-      bookmarks.push(item);
-    } else {
-      // Remove
-      bookmarks.splice(index, 1);
-    }
+      if (!validation.isValid) {
+        skipped.push({ index, title, error: validation.errors.join('; ') });
+        return;
+      }
 
-    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(bookmarks));
-    return index === -1; // Returns true if added, false if removed
-  },
+      items.push(item);
+    } catch (error) {
+      skipped.push({ index, title, error: error && error.message ? error.message : String(error) });
+    }
+  });
 
-  save(bookmarks) {
-    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(bookmarks));
-  }
-};
+  return { items, skipped };
+}
 
-async function refreshBookmarks(bookmarks) {
-  if (!bookmarks || bookmarks.length === 0) return bookmarks;
+// ============================================================================
+// NORMALIZATION DIAGNOSTICS - Report of records skipped per category
+// ============================================================================
+// Inspect from the console with NormalizationDiagnostics.print() or
+// NormalizationDiagnostics.get('movies').
 
-  // Identify which categories we need to fetch based on what's bookmarked
-  // To be safe and simple, we'll fetch all main categories: movies, tv-shows, games, books, music
-  const categoriesToFetch = ['movies', 'tv-shows', 'games', 'books', 'music'];
+const NormalizationDiagnostics = {
+  /**
+   * Reports keyed by cache key ('movies', 'movies/past-week', ...)
+   */
+  reports: {},
 
-  try {
-    const fetchPromises = categoriesToFetch.map(async (catKey) => {
-      const config = CATEGORY_CONFIG[catKey];
-      if (!config || !config.dataFile) return [];
+  /**
+   * Store the skipped records for a category
+   * @param {string} key - Category cache key
+   * @param {Array} skipped - Skipped records from normalizeCollection()
+   */
+  record(key, skipped) {
+    const previous = this.reports[key];
+    this.reports[key] = {
+      key,
+      skipped,
+      // Keep a dismissal as long as the same number of records keep failing
+      dismissed: Boolean(previous && previous.dismissed && previous.skipped.length === skipped.length),
+      recordedAt: new Date().toISOString()
+    };
+
+    if (skipped.length > 0) {
+      console.warn(`⚠️  ${skipped.length} ${key} item(s) skipped during normalization. Run NormalizationDiagnostics.print('${key}') for details.`);
+    }
+  },
+
+  /**
+   * Get the report for a category
+   * @param {string} key - Category cache key
+   * @returns {object|null} Report or null
+   */
+  get(key) {
+    return this.reports[key] || null;
+  },
+
+  /**
+   * Print skipped records as a table
+   * @param {string} [key] - Category cache key (all categories when omitted)
+   */
+  print(key = null) {
+    const reports = key ? [this.get(key)].filter(Boolean) : Object.values(this.reports);
+    const rows = reports.flatMap(report =>
+      report.skipped.map(entry => ({ category: report.key, ...entry }))
+    );
+
+    if (rows.length === 0) {
+      console.log('✓ No skipped items');
+      return;
+    }
+    console.table(rows);
+  },
+
+  /**
+   * Show the dismissible "N items could not be displayed" notice
+   * Hides the notice when the category has nothing to report
+   * @param {string} key - Category cache key
+   */
+  showNotice(key) {
+    const notice = document.getElementById('load-notice');
+    if (!notice) return;
+
+    const report = this.get(key);
+    if (!report || report.skipped.length === 0 || report.dismissed) {
+      this.hideNotice();
+      return;
+    }
+
+    const count = report.skipped.length;
+    notice.innerHTML = `
+      <span class="load-notice-text">${count} ${count === 1 ? 'item' : 'items'} could not be displayed.</span>
+      <button type="button" class="load-notice-details">Details</button>
+      <button type="button" class="load-notice-dismiss" aria-label="Dismiss notice">&times;</button>
+    `;
+    notice.hidden = false;
+
+    notice.querySelector('.load-notice-details').addEventListener('click', () => {
+      this.print(key);
+    });
+    notice.querySelector('.load-notice-dismiss').addEventListener('click', () => {
+      report.dismissed = true;
+      this.hideNotice();
+    });
+  },
+
+  /**
+   * Hide the notice
+   */
+  hideNotice() {
+    const notice = document.getElementById('load-notice');
+    if (notice) {
+      notice.hidden = true;
+      notice.innerHTML = '';
+    }
+  }
+};
+
+// In-memory cache with Time-To-Live (TTL)
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+const dataCache = {
+  data: {},
+  timestamps: {},
+
+  get(key) {
+    return this.data[key] || null;
+  },
+
+  set(key, value) {
+    this.data[key] = value;
+    this.timestamps[key] = Date.now();
+  },
+
+  has(key) {
+    return key in this.data;
+  },
+
+  isValid(key) {
+    if (!this.has(key)) return false;
+    const age = Date.now() - this.timestamps[key];
+    return age < CACHE_DURATION;
+  },
+
+  clear(key) {
+    if (key) {
+      delete this.data[key];
+      delete this.timestamps[key];
+    } else {
+      this.data = {};
+      this.timestamps = {};
+    }
+  }
+};
+
+// ============================================================================
+// BOOKMARK STORAGE - Versioned envelope with migrations
+// ============================================================================
+// Stored shape: { version: BOOKMARK_STORAGE_VERSION, savedAt, items: [...], collections: [...],
+//                 userData: {...}, changeLog: {...} }
+// Version 1 was a bare array of normalized items. Older data is migrated one
+// version at a time on read; unreadable data is backed up and replaced with
+// an empty list so a corrupt blob can never break the page.
+
+const BOOKMARK_STORAGE_VERSION = 6;
+
+/**
+ * Migrations keyed by the version they upgrade FROM
+ * Each receives the stored data of that version and returns the next version's shape.
+ */
+const BOOKMARK_MIGRATIONS = {
+  // v1 -> v2: wrap the bare array and backfill fields added to adapter output
+  1: (data) => ({
+    items: data.map(item => ({
+      popularity: null,
+      addedAt: null,
+      ...item
+    }))
+  }),
+  // v2 -> v3: named collections
+  2: (data) => ({ ...data, collections: [] }),
+  // v3 -> v4: personal status, score and notes keyed by item
+  3: (data) => ({ ...data, userData: {} }),
+  // v4 -> v5: detected source data changes keyed by item
+  4: (data) => ({ ...data, changeLog: {} }),
+  // v5 -> v6: item keys gain the source ('movie:123' -> 'movie:tmdb:123')
+  5: (data) => {
+    const items = dedupeItems(data.items);
+    const keyMap = getLegacyKeyMap(items);
+    return {
+      ...data,
+      items,
+      collections: data.collections.map(collection => ({
+        ...collection,
+        items: rekeyLegacyList(collection.items, keyMap)
+      })),
+      userData: rekeyLegacyEntries(data.userData, keyMap),
+      changeLog: rekeyLegacyEntries(data.changeLog, keyMap)
+    };
+  }
+};
+
+/**
+ * Drop repeated items (same key), keeping the first copy
+ * @param {Array} items - Normalized items
+ * @returns {Array} Unique items in their original order
+ */
+function dedupeItems(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = AdapterUtils.getItemKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Map pre-v6 item keys ('type:id') to current keys
+ * @param {Array} items - Normalized items
+ * @returns {Map<string, string>} Legacy key -> item key
+ */
+function getLegacyKeyMap(items) {
+  return new Map(items.map(item => [`${item.metadata.type}:${item.id}`, AdapterUtils.getItemKey(item)]));
+}
+
+/**
+ * Convert a list of legacy item keys, dropping ones with no matching item
+ * @param {Array<string>} keys - Legacy keys
+ * @param {Map<string, string>} keyMap - From getLegacyKeyMap()
+ * @returns {Array<string>} Current keys
+ */
+function rekeyLegacyList(keys, keyMap) {
+  return keys.filter(key => keyMap.has(key)).map(key => keyMap.get(key));
+}
+
+/**
+ * Convert an object keyed by legacy item keys, dropping unknown entries
+ * @param {object} entries - Entries keyed by legacy key
+ * @param {Map<string, string>} keyMap - From getLegacyKeyMap()
+ * @returns {object} Entries keyed by current key
+ */
+function rekeyLegacyEntries(entries, keyMap) {
+  return Object.fromEntries(Object.entries(entries || {})
+    .filter(([key]) => keyMap.has(key))
+    .map(([key, value]) => [keyMap.get(key), value]));
+}
+
+/**
+ * Bookmark fields watched for changes when bookmarks are refreshed
+ * `value` extracts a comparable value; `format` renders it for the change log.
+ */
+const BOOKMARK_TRACKED_FIELDS = {
+  releaseDate: {
+    label: 'Release date',
+    value: (item) => item.releaseDate || null,
+    format: (value) => (value ? Formatters.dateDisplay(value, 'long') : 'TBA')
+  },
+  rating: {
+    label: 'Rating',
+    value: (item) => (item.rating ? Number(Formatters.ratingNormalized(item.rating, item.ratingMax).toFixed(1)) : null),
+    format: (value) => (value === null ? 'Not rated' : `${value}/10`)
+  },
+  nextEpisodeDate: {
+    label: 'Next episode',
+    value: (item) => item.metadata.nextEpisodeDate || null,
+    format: (value) => (value ? Formatters.dateDisplay(value, 'long') : 'None scheduled')
+  },
+  status: {
+    label: 'Status',
+    value: (item) => item.metadata.status || null,
+    format: (value) => value || 'Unknown'
+  }
+};
+
+/**
+ * Compare the tracked fields of a stored bookmark and its fresh copy
+ * @param {object} previous - Stored bookmark
+ * @param {object} fresh - Fresh copy from the source data
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+function diffBookmark(previous, fresh) {
+  return Object.entries(BOOKMARK_TRACKED_FIELDS)
+    .map(([field, tracked]) => ({ field, from: tracked.value(previous), to: tracked.value(fresh) }))
+    .filter(change => change.from !== change.to);
+}
+
+/**
+ * Personal progress statuses, in menu order
+ */
+const ITEM_STATUSES = ['want', 'in-progress', 'done', 'dropped'];
+
+/**
+ * What "in progress" means for each content type
+ */
+const IN_PROGRESS_LABELS = {
+  movie: 'Watching',
+  'tv-show': 'Watching',
+  game: 'Playing',
+  book: 'Reading',
+  music: 'Listening'
+};
+
+/**
+ * Get the display label for a personal status
+ * @param {string} status - One of ITEM_STATUSES
+ * @param {string} [type] - Content type (for the in-progress wording)
+ * @returns {string} Label (e.g., 'Playing')
+ */
+function getItemStatusLabel(status, type = null) {
+  switch (status) {
+    case 'want':
+      return 'Want';
+    case 'in-progress':
+      return IN_PROGRESS_LABELS[type] || 'In Progress';
+    case 'done':
+      return 'Done';
+    case 'dropped':
+      return 'Dropped';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Check whether a storage write failed because the quota is full
+ * @param {Error} error - Error thrown by localStorage.setItem
+ * @returns {boolean} True for quota errors across browsers
+ */
+function isQuotaExceededError(error) {
+  return Boolean(error) && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
+
+/**
+ * Show a dismissible storage warning above the grid
+ * @param {string} message - Message to display
+ */
+function showStorageNotice(message) {
+  const notice = document.getElementById('storage-notice');
+  if (!notice) return;
+
+  notice.innerHTML = `
+    <span class="load-notice-text">${sanitizeHTML(message)}</span>
+    <button type="button" class="load-notice-dismiss" aria-label="Dismiss notice">&times;</button>
+  `;
+  notice.hidden = false;
+  notice.querySelector('.load-notice-dismiss').addEventListener('click', () => {
+    notice.hidden = true;
+  });
+}
+
+// Bookmark Manager
+const bookmarkManager = {
+  STORAGE_KEY: 'midloop_bookmarks',
+  BACKUP_KEY_PREFIX: 'midloop_bookmarks_backup_',
+
+  /**
+   * Raw value left in storage because it couldn't be read or backed up (or
+   * was saved by a newer version). While it is still stored, reads return an
+   * empty state and writes are refused so it isn't overwritten.
+   */
+  keptRaw: null,
+
+  /**
+   * Storage key for an item
+   * @param {object} item - Normalized item
+   * @returns {string} Key like 'movie:tmdb:123' (see AdapterUtils.getItemKey)
+   */
+  getItemKey(item) {
+    return AdapterUtils.getItemKey(item);
+  },
+
+  /**
+   * Upgrade stored data to the current envelope
+   * @param {*} data - Parsed storage value
+   * @returns {{items: Array, collections: Array, userData: object, changeLog: object, migrated: boolean}} Current state
+   * @throws {Error} If the data is not a recognised bookmarks payload
+   *   (`isNewerVersion` is set when a newer app version saved it)
+   */
+  migrate(data) {
+    let version;
+    let payload;
+
+    if (Array.isArray(data)) {
+      version = 1;
+      payload = data;
+    } else if (data && typeof data === 'object' && Number.isInteger(data.version) && Array.isArray(data.items)) {
+      version = data.version;
+      payload = data;
+    } else {
+      throw new Error('Unrecognised bookmarks data');
+    }
+
+    if (version > BOOKMARK_STORAGE_VERSION || version < 1) {
+      const error = new Error(`Unsupported bookmarks storage version: ${version}`);
+      error.isNewerVersion = version > BOOKMARK_STORAGE_VERSION;
+      throw error;
+    }
+
+    const migrated = version < BOOKMARK_STORAGE_VERSION;
+    while (version < BOOKMARK_STORAGE_VERSION) {
+      payload = BOOKMARK_MIGRATIONS[version](payload);
+      version++;
+    }
+
+    return {
+      items: payload.items,
+      collections: Array.isArray(payload.collections) ? payload.collections : [],
+      userData: payload.userData && typeof payload.userData === 'object' ? payload.userData : {},
+      changeLog: payload.changeLog && typeof payload.changeLog === 'object' ? payload.changeLog : {},
+      migrated
+    };
+  },
+
+  /**
+   * Copy an unreadable blob aside so it can be recovered by hand
+   * @param {string} raw - Raw storage value
+   * @returns {string|null} Backup key, or null if the backup couldn't be written
+   */
+  backupCorrupt(raw) {
+    const backupKey = `${this.BACKUP_KEY_PREFIX}${Date.now()}`;
+    try {
+      localStorage.setItem(backupKey, raw);
+      return backupKey;
+    } catch (e) {
+      console.error('Could not back up unreadable bookmarks', e);
+      return null;
+    }
+  },
+
+  /**
+   * Read bookmarks and everything stored with them, migrating or recovering as needed
+   * @returns {{items: Array, collections: Array, userData: object, changeLog: object}} Stored state
+   */
+  read() {
+    const stored = localStorage.getItem(this.STORAGE_KEY);
+    if (!stored || stored === this.keptRaw) return { items: [], collections: [], userData: {}, changeLog: {} };
+
+    try {
+      const { migrated, ...state } = this.migrate(JSON.parse(stored));
+      if (migrated) {
+        this.write(state);
+        console.log(`Bookmarks migrated to storage version ${BOOKMARK_STORAGE_VERSION}`);
+      }
+      return state;
+    } catch (error) {
+      const empty = { items: [], collections: [], userData: {}, changeLog: {} };
+
+      // Saved by a newer version of the app: not corrupt, just not readable yet
+      if (error.isNewerVersion) {
+        this.keptRaw = stored;
+        console.warn('Bookmarks were saved by a newer version and were left untouched.', error);
+        showStorageNotice('Your bookmarks were saved by a newer version of MIDLOOP and can\'t be shown here. They were left untouched; reload to get the latest version.');
+        return empty;
+      }
+
+      const backupKey = this.backupCorrupt(stored);
+      if (!backupKey) {
+        this.keptRaw = stored;
+        console.error('Bookmarks could not be read or backed up and were left in place.', error);
+        showStorageNotice('Your saved bookmarks could not be read, and there was no room to back them up, so they were left in place. Free up browser storage and reload.');
+        return empty;
+      }
+
+      localStorage.removeItem(this.STORAGE_KEY);
+      console.error(`Bookmarks could not be read and were reset. The old data was saved to "${backupKey}".`, error);
+      showStorageNotice('Your saved bookmarks could not be read and were reset. A backup was kept in this browser.');
+      return empty;
+    }
+  },
+
+  /**
+   * Write bookmarks and everything stored with them in the current envelope
+   * Collection entries, personal data and change logs for items that are no
+   * longer bookmarked are dropped.
+   * @param {{items: Array, collections: Array, userData: object, changeLog: object}} state - State to store
+   * @returns {boolean} False if the write failed (e.g., storage quota exceeded,
+   *   or unreadable bookmarks are being kept)
+   */
+  write({ items, collections = [], userData = {}, changeLog = {} }) {
+    if (this.keptRaw !== null) {
+      if (localStorage.getItem(this.STORAGE_KEY) === this.keptRaw) {
+        console.error('Bookmarks not saved: stored bookmarks are unreadable and were kept');
+        showStorageNotice('Bookmarks can\'t be saved until the stored bookmarks can be read.');
+        return false;
+      }
+      this.keptRaw = null;
+    }
+
+    const itemKeys = new Set(items.map(item => this.getItemKey(item)));
+    const keepBookmarked = (entries) => Object.fromEntries(Object.entries(entries).filter(([key]) => itemKeys.has(key)));
+    const envelope = {
+      version: BOOKMARK_STORAGE_VERSION,
+      savedAt: new Date().toISOString(),
+      items,
+      collections: collections.map(collection => ({
+        ...collection,
+        items: collection.items.filter(key => itemKeys.has(key))
+      })),
+      userData: keepBookmarked(userData),
+      changeLog: keepBookmarked(changeLog)
+    };
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(envelope));
+      return true;
+    } catch (error) {
+      if (isQuotaExceededError(error)) {
+        console.error('Bookmarks not saved: browser storage is full', error);
+        showStorageNotice('Bookmarks could not be saved because browser storage is full. Export your bookmarks or clear site data to free space.');
+      } else {
+        console.error('Bookmarks not saved', error);
+        showStorageNotice('Bookmarks could not be saved.');
+      }
+      return false;
+    }
+  },
+
+  getAll() {
+    return this.read().items;
+  },
+
+  /**
+   * Check whether an item is bookmarked
+   * @param {object} item - Normalized item
+   * @returns {boolean}
+   */
+  isBookmarked(item) {
+    const key = this.getItemKey(item);
+    return this.getCachedState().items.some(bookmark => this.getItemKey(bookmark) === key);
+  },
+
+  /**
+   * Add or remove an item
+   * @param {object} item - Normalized item
+   * @returns {boolean} Whether the item is bookmarked afterwards (unchanged if the write failed)
+   */
+  toggle(item) {
+    let bookmarks = this.getAll();
+    const index = bookmarks.findIndex(b => AdapterUtils.isSameItem(b, item));
+
+    if (index === -1) {
+      // Add
+      bookmarks.push(item);
+    } else {
+      // Remove
+      bookmarks.splice(index, 1);
+    }
+
+    if (!this.save(bookmarks)) {
+      return index !== -1;
+    }
+    return index === -1; // Returns true if added, false if removed
+  },
+
+  /**
+   * Capture everything needed to undo removing a bookmark
+   * @param {object} item - Bookmarked item
+   * @returns {object|null} { item, index, collectionIds, userData }, or null if not bookmarked
+   */
+  snapshotItem(item) {
+    const { items, collections, userData } = this.read();
+    const index = items.findIndex(b => AdapterUtils.isSameItem(b, item));
+    if (index === -1) return null;
+
+    const stored = items[index];
+    const key = this.getItemKey(stored);
+    return {
+      item: stored,
+      index,
+      collectionIds: collections.filter(collection => collection.items.includes(key)).map(collection => collection.id),
+      userData: userData[key] || null
+    };
+  },
+
+  /**
+   * Put a removed bookmark back where it was, with its lists and personal data
+   * @param {object} snapshot - From snapshotItem()
+   * @returns {boolean} False if the write failed
+   */
+  restoreItem(snapshot) {
+    const state = this.read();
+    const key = this.getItemKey(snapshot.item);
+    if (state.items.some(item => this.getItemKey(item) === key)) return true;
+
+    state.items.splice(Math.min(snapshot.index, state.items.length), 0, snapshot.item);
+    state.collections.forEach(collection => {
+      if (snapshot.collectionIds.includes(collection.id) && !collection.items.includes(key)) {
+        collection.items.push(key);
+      }
+    });
+    if (snapshot.userData) {
+      state.userData[key] = snapshot.userData;
+    }
+    return this.write(state);
+  },
+
+  /**
+   * Replace the bookmarked items, keeping everything stored with them
+   * @param {Array} bookmarks - Normalized items
+   * @returns {boolean} False if the write failed
+   */
+  save(bookmarks) {
+    return this.write({ ...this.read(), items: bookmarks });
+  },
+
+  // ---- Collections -------------------------------------------------------
+  // { id, name, items: ['movie:tmdb:123', ...] } - an item can be in several lists
+  // and is always bookmarked while it is in any of them.
+
+  /**
+   * Get all collections in creation order
+   * @returns {Array} Collections
+   */
+  getCollections() {
+    return this.read().collections;
+  },
+
+  /**
+   * Find a collection by id
+   * @param {string} id - Collection id (URL slug)
+   * @returns {object|null} Collection
+   */
+  getCollection(id) {
+    return this.getCollections().find(collection => collection.id === id) || null;
+  },
+
+  /**
+   * Get the collections that contain an item
+   * @param {object} item - Normalized item
+   * @param {Array} [collections] - Collections to search (cached state when omitted)
+   * @returns {Array} Collections
+   */
+  getItemCollections(item, collections = this.getCachedState().collections) {
+    const key = this.getItemKey(item);
+    return collections.filter(collection => collection.items.includes(key));
+  },
+
+  /**
+   * Get the bookmarked items in a collection, in bookmark order
+   * @param {string} id - Collection id
+   * @param {Array} [bookmarks] - Bookmarks to filter (read from storage when omitted)
+   * @returns {Array} Items
+   */
+  getCollectionItems(id, bookmarks = this.getAll()) {
+    const collection = this.getCollection(id);
+    if (!collection) return [];
+
+    const keys = new Set(collection.items);
+    return bookmarks.filter(item => keys.has(this.getItemKey(item)));
+  },
+
+  /**
+   * Turn a list name into a URL-safe id that isn't taken yet
+   * @param {string} name - List name
+   * @param {Array} collections - Existing collections
+   * @returns {string} Unique id (e.g., 'watch-together', 'maybe-2')
+   */
+  createCollectionId(name, collections) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'list';
+    const taken = new Set(collections.map(collection => collection.id));
+
+    let id = base;
+    for (let suffix = 2; taken.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  },
+
+  /**
+   * Create a collection (or return the existing one with the same name)
+   * @param {string} name - List name
+   * @returns {object|null} Collection, or null if the name is blank or the write failed
+   */
+  createCollection(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return null;
+
+    const state = this.read();
+    const existing = state.collections.find(collection => collection.name.toLowerCase() === trimmed.toLowerCase());
+    if (existing) return existing;
+
+    const collection = {
+      id: this.createCollectionId(trimmed, state.collections),
+      name: trimmed,
+      items: []
+    };
+    state.collections.push(collection);
+    return this.write(state) ? collection : null;
+  },
+
+  /**
+   * Delete a collection (its items stay bookmarked)
+   * @param {string} id - Collection id
+   * @returns {boolean} True if a collection was removed
+   */
+  deleteCollection(id) {
+    const state = this.read();
+    const collections = state.collections.filter(collection => collection.id !== id);
+    if (collections.length === state.collections.length) return false;
+
+    return this.write({ ...state, collections });
+  },
+
+  /**
+   * Add an item to, or remove it from, a collection
+   * Adding bookmarks the item if it isn't already.
+   * @param {object} item - Normalized item
+   * @param {string} id - Collection id
+   * @param {boolean} include - True to add, false to remove
+   * @returns {boolean} False if the collection doesn't exist or the write failed
+   */
+  setInCollection(item, id, include) {
+    const state = this.read();
+    const collection = state.collections.find(entry => entry.id === id);
+    if (!collection) return false;
+
+    const key = this.getItemKey(item);
+    collection.items = collection.items.filter(entry => entry !== key);
+    if (include) {
+      collection.items.push(key);
+      if (!state.items.some(entry => this.getItemKey(entry) === key)) {
+        state.items.push(item);
+      }
+    }
+    return this.write(state);
+  },
+
+  // ---- Personal data -----------------------------------------------------
+  // { 'movie:tmdb:123': { status, score, notes, updatedAt } } - like collections,
+  // only kept for bookmarked items.
+
+  NOTES_MAX_LENGTH: 2000,
+
+  /**
+   * Last parsed state, keyed by the raw storage string
+   * Facets and cards read personal data and change logs for every item, so
+   * avoid re-parsing each time. Treat the cached state as read-only.
+   */
+  stateCache: { raw: null, state: null },
+
+  /**
+   * Get the stored state without re-parsing unchanged storage
+   * @returns {object} State as returned by read() (read-only)
+   */
+  getCachedState() {
+    const raw = localStorage.getItem(this.STORAGE_KEY);
+    if (raw !== this.stateCache.raw || !this.stateCache.state) {
+      this.stateCache = { raw, state: this.read() };
+    }
+    return this.stateCache.state;
+  },
+
+  /**
+   * Clean a personal data entry
+   * @param {object} data - { status, score, notes }
+   * @returns {object|null} Valid entry, or null when nothing is set
+   */
+  normalizeItemData(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const status = ITEM_STATUSES.includes(data.status) ? data.status : null;
+    const score = Number.isInteger(data.score) && data.score >= 1 && data.score <= 10 ? data.score : null;
+    const notes = typeof data.notes === 'string' ? data.notes.trim().slice(0, this.NOTES_MAX_LENGTH) : '';
+
+    if (!status && !score && !notes) return null;
+    return { status, score, notes, updatedAt: data.updatedAt || null };
+  },
+
+  /**
+   * Get personal data for every bookmarked item
+   * @returns {object} Entries keyed by getItemKey()
+   */
+  getAllItemData() {
+    return this.getCachedState().userData;
+  },
+
+  /**
+   * Get personal status, score and notes for an item
+   * @param {object} item - Normalized item
+   * @returns {{status: string|null, score: number|null, notes: string, updatedAt: string|null}}
+   */
+  getItemData(item) {
+    return {
+      status: null,
+      score: null,
+      notes: '',
+      updatedAt: null,
+      ...this.getAllItemData()[this.getItemKey(item)]
+    };
+  },
+
+  /**
+   * Update personal data for an item
+   * Setting anything bookmarks the item; clearing everything removes the entry.
+   * @param {object} item - Normalized item
+   * @param {object} changes - Any of { status, score, notes }
+   * @returns {boolean} False if the write failed
+   */
+  setItemData(item, changes) {
+    const state = this.read();
+    const key = this.getItemKey(item);
+    const entry = this.normalizeItemData({
+      ...state.userData[key],
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (entry) {
+      state.userData[key] = entry;
+      if (!state.items.some(existing => this.getItemKey(existing) === key)) {
+        state.items.push(item);
+      }
+    } else {
+      delete state.userData[key];
+    }
+    return this.write(state);
+  },
+
+  // ---- Change log --------------------------------------------------------
+  // { 'movie:tmdb:123': [{ field, from, to, detectedAt, seen }] } - oldest first,
+  // recorded by refreshBookmarks() when tracked fields change.
+
+  CHANGE_LOG_LIMIT: 20,
+
+  /**
+   * Save refreshed bookmarks and log what changed, in one write
+   * Fresh copies are merged into the stored state by item key, so bookmarks
+   * added, removed or edited (here or in another tab) while the refresh was
+   * loading are kept as they are now.
+   * @param {Array} bookmarks - Refreshed items
+   * @param {Array<{key: string, changes: Array}>} changed - diffBookmark() results per item
+   * @param {Date} [now] - Detection time
+   * @param {Array} [base] - Bookmarks the refresh started from; stored copies that no longer match them are left alone
+   * @returns {boolean} False if the write failed
+   */
+  saveRefreshed(bookmarks, changed, now = new Date(), base = null) {
+    const state = this.read();
+    const detectedAt = now.toISOString();
+    const refreshedByKey = new Map(bookmarks.map(item => [this.getItemKey(item), item]));
+    const baseByKey = base && new Map(base.map(item => [this.getItemKey(item), JSON.stringify(item)]));
+    const updatedKeys = new Set();
+
+    const items = state.items.map(item => {
+      const key = this.getItemKey(item);
+      const refreshed = refreshedByKey.get(key);
+      if (!refreshed || (baseByKey && baseByKey.get(key) !== JSON.stringify(item))) return item;
+      updatedKeys.add(key);
+      return refreshed;
+    });
+
+    // Changes were diffed against the base copy; skip items that were left alone
+    changed.filter(({ key }) => updatedKeys.has(key)).forEach(({ key, changes }) => {
+      const entries = (state.changeLog[key] || []).concat(
+        changes.map(change => ({ ...change, detectedAt, seen: false }))
+      );
+      state.changeLog[key] = entries.slice(-this.CHANGE_LOG_LIMIT);
+    });
+
+    return this.write({ ...state, items });
+  },
+
+  /**
+   * Get the change log for an item
+   * @param {object} item - Normalized item
+   * @returns {Array} Entries, oldest first
+   */
+  getChangeLog(item) {
+    return this.getCachedState().changeLog[this.getItemKey(item)] || [];
+  },
+
+  /**
+   * Check whether an item has changes the user hasn't looked at yet
+   * @param {object} item - Normalized item
+   * @returns {boolean}
+   */
+  hasUnseenChanges(item) {
+    return this.getChangeLog(item).some(entry => !entry.seen);
+  },
+
+  /**
+   * Mark an item's changes as seen (clears its "Changed" badge)
+   * @param {object} item - Normalized item
+   * @returns {boolean} True if anything was marked
+   */
+  markChangesSeen(item) {
+    if (!this.hasUnseenChanges(item)) return false;
+
+    const state = this.read();
+    const key = this.getItemKey(item);
+    state.changeLog[key] = state.changeLog[key].map(entry => ({ ...entry, seen: true }));
+    return this.write(state);
+  }
+};
+
+/**
+ * Bookmarks whose source data no longer contains them
+ * Filled by refreshBookmarks(); cards show a "No longer listed" badge.
+ */
+const UnlistedBookmarks = {
+  keys: new Set(),
+
+  /**
+   * Replace the unlisted set
+   * @param {Array} items - Bookmarked items missing from their source
+   */
+  set(items) {
+    this.keys = new Set(items.map(item => bookmarkManager.getItemKey(item)));
+  },
+
+  /**
+   * Check whether a bookmark is no longer listed
+   * @param {object} item - Normalized item
+   * @returns {boolean}
+   */
+  has(item) {
+    return this.keys.has(bookmarkManager.getItemKey(item));
+  },
+
+  /**
+   * Show the dismissible "N bookmarks are no longer listed" notice
+   * @param {number} count - Unlisted items in the current view
+   */
+  showNotice(count) {
+    const notice = document.getElementById('load-notice');
+    if (!notice || count === 0) return;
+
+    notice.innerHTML = `
+      <span class="load-notice-text">${count} bookmarked ${count === 1 ? 'item is' : 'items are'} no longer listed. ${count === 1 ? 'It is' : 'They are'} shown as last seen.</span>
+      <button type="button" class="load-notice-dismiss" aria-label="Dismiss notice">&times;</button>
+    `;
+    notice.hidden = false;
+    notice.querySelector('.load-notice-dismiss').addEventListener('click', () => {
+      NormalizationDiagnostics.hideNotice();
+    });
+  }
+};
+
+/**
+ * Work out which data files a refresh needs
+ * Only categories that have bookmarks are included, with their subcategories.
+ * @param {Array} bookmarks - Stored bookmarks
+ * @returns {Array<{category: string, subcategory: string|null}>} Sources to load
+ */
+function getBookmarkSources(bookmarks) {
+  const categories = [...new Set(bookmarks.map(item => Router.getCategoryForType(item.metadata.type)))]
+    .filter(category => CATEGORY_CONFIG[category] && CATEGORY_CONFIG[category].dataFile);
+
+  return categories.flatMap(category => [
+    { category, subcategory: null },
+    ...Object.keys(CATEGORY_CONFIG[category].subcategories || {}).map(subcategory => ({ category, subcategory }))
+  ]);
+}
+
+/**
+ * Swap bookmarks for their fresh copies, matched by item key
+ * @param {Array} bookmarks - Stored bookmarks
+ * @param {Map<string, object>} freshItems - Loaded items keyed by bookmarkManager.getItemKey()
+ * @param {Set<string>} failedCategories - Categories whose data didn't load
+ * @returns {{items: Array, unlisted: Array, changed: Array<{key, changes}>, hasUpdates: boolean}}
+ */
+function mergeRefreshedBookmarks(bookmarks, freshItems, failedCategories) {
+  let hasUpdates = false;
+  const unlisted = [];
+  const changed = [];
+
+  const items = bookmarks.map(bookmark => {
+    const freshItem = freshItems.get(bookmarkManager.getItemKey(bookmark));
+    if (!freshItem) {
+      // Only call an item unlisted if its category's data actually loaded
+      if (!failedCategories.has(Router.getCategoryForType(bookmark.metadata.type))) {
+        unlisted.push(bookmark);
+      }
+      return bookmark;
+    }
+    if (JSON.stringify(bookmark) !== JSON.stringify(freshItem)) {
+      hasUpdates = true;
+      const changes = diffBookmark(bookmark, freshItem);
+      if (changes.length > 0) {
+        changed.push({ key: bookmarkManager.getItemKey(bookmark), changes });
+      }
+      return freshItem;
+    }
+    return bookmark;
+  });
+
+  return { items, unlisted, changed, hasUpdates };
+}
+
+/**
+ * Update bookmarks with the latest copies from their source data
+ * Sources load through dataCache, so revisiting #/bookmarks doesn't refetch.
+ * @param {Array} bookmarks - Stored bookmarks
+ * @returns {Promise<{items: Array, unlisted: Array}>} Stored bookmarks after the refresh and
+ *   the ones missing from a source that loaded successfully
+ */
+async function refreshBookmarks(bookmarks) {
+  if (!bookmarks || bookmarks.length === 0) return { items: bookmarks || [], unlisted: [] };
+
+  const results = await Promise.all(getBookmarkSources(bookmarks).map(async (source) => {
+    const label = source.subcategory ? `${source.category}/${source.subcategory}` : source.category;
+    try {
+      return { ...source, items: await loadCategoryItems(source.category, source.subcategory) };
+    } catch (error) {
+      console.warn(`Failed to refresh bookmarks for ${label}`, error);
+      return { ...source, items: null };
+    }
+  }));
+
+  const failedCategories = new Set(results.filter(result => !result.items).map(result => result.category));
+  const freshItems = new Map();
+  results.forEach(result => {
+    (result.items || []).forEach(item => freshItems.set(bookmarkManager.getItemKey(item), item));
+  });
+
+  const { items, unlisted, changed, hasUpdates } = mergeRefreshedBookmarks(bookmarks, freshItems, failedCategories);
+  if (hasUpdates) {
+    bookmarkManager.saveRefreshed(items, changed, new Date(), bookmarks);
+    console.log(`Bookmarks updated with fresh data (${changed.length} with tracked changes)`);
+  }
+
+  // Storage may have changed while the sources loaded
+  return { items: bookmarkManager.getAll(), unlisted };
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type (e.g., 'application/json')
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// ============================================================================
+// BOOKMARK IMPORT / EXPORT - Versioned JSON files
+// ============================================================================
+// Export file shape:
+//   { format: 'midloop-bookmarks', schemaVersion: 4, exportedAt, bookmarks: [...],
+//     collections: [{ id, name, items: ['movie:tmdb:123', ...] }],
+//     userData: { 'movie:tmdb:123': { status, score, notes, updatedAt } } }
+// Version 1 files have no collections; versions 1-2 have no userData;
+// versions 2-3 key items as 'type:id' and are converted on import.
+// Imports are deduplicated by item key and every item is checked with
+// validateMetadata() before it can reach localStorage.
+
+const BookmarkTransfer = {
+  FORMAT: 'midloop-bookmarks',
+  SCHEMA_VERSION: 4,
+
+  /**
+   * Items waiting for confirmation in the import dialog
+   */
+  pendingImport: null,
+
+  /**
+   * Identity used for deduplication
+   * @param {object} item - Normalized item
+   * @returns {string} 'type:source:id'
+   */
+  getKey(item) {
+    return bookmarkManager.getItemKey(item);
+  },
+
+  /**
+   * Build the export document
+   * @param {array} bookmarks - Bookmarked items
+   * @param {Date} now - Export time
+   * @param {array} [collections] - Collections with their item keys
+   * @param {object} [userData] - Personal status/score/notes keyed by item
+   * @returns {object} Export document
+   */
+  buildExport(bookmarks, now = new Date(), collections = [], userData = {}) {
+    return {
+      format: this.FORMAT,
+      schemaVersion: this.SCHEMA_VERSION,
+      exportedAt: now.toISOString(),
+      bookmarks: bookmarks,
+      collections: collections.map(({ id, name, items }) => ({ id, name, items })),
+      userData
+    };
+  },
+
+  /**
+   * Download all bookmarks as a JSON file
+   */
+  exportToFile() {
+    const now = new Date();
+    const { items, collections, userData } = bookmarkManager.read();
+    const json = JSON.stringify(this.buildExport(items, now, collections, userData), null, 2);
+    downloadFile(json, `midloop-bookmarks-${now.toISOString().slice(0, 10)}.json`, 'application/json');
+  },
+
+  /**
+   * Check one imported item
+   * @param {*} item - Candidate from the file
+   * @returns {string|null} Reason it is invalid, or null if valid
+   */
+  validateItem(item) {
+    if (!item || typeof item !== 'object') return 'Not an object';
+    if (item.id === undefined || item.id === null || item.id === '') return 'Missing id';
+    if (typeof item.title !== 'string' || !item.title) return 'Missing title';
+    if (!item.metadata || !item.metadata.type) return 'Missing metadata type';
+
+    const validation = validateMetadata(item.metadata, item.metadata.type);
+    return validation.isValid ? null : validation.errors.join(', ');
+  },
+
+  /**
+   * Check that an imported poster is an http(s) or relative URL
+   * Shared files are untrusted, so anything else (other schemes,
+   * protocol-relative URLs, quotes or markup) is refused.
+   * @param {*} poster - Poster value from the file
+   * @returns {boolean}
+   */
+  isSafePoster(poster) {
+    if (typeof poster !== 'string' || !poster.trim()) return false;
+    const value = poster.trim();
+    if (/["'<>`\s]/.test(value) || value.startsWith('//')) return false;
+    return /^https?:\/\//i.test(value) || !/^[a-z][a-z0-9+.-]*:/i.test(value);
+  },
+
+  /**
+   * Clean a valid imported item before it is stored
+   * @param {object} item - Item that passed validateItem()
+   * @returns {object} Item with an unsafe poster replaced by the placeholder
+   */
+  cleanItem(item) {
+    return this.isSafePoster(item.poster)
+      ? { ...item, poster: item.poster.trim() }
+      : { ...item, poster: AdapterUtils.normalizePosterURL(null) };
+  },
+
+  /**
+   * Parse an import file
+   * @param {string} text - File contents
+   * @returns {{items: array, skipped: array<{title, reason}>, collections: array, userData: object}} Valid, deduplicated items
+   * @throws {Error} When the file isn't a MIDLOOP bookmarks export
+   */
+  parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This file is not valid JSON.');
+    }
+
+    // A bare array is accepted as version 1 (pre-envelope localStorage copy)
+    if (Array.isArray(data)) {
+      data = { format: this.FORMAT, schemaVersion: 1, bookmarks: data };
+    }
+
+    if (!data || data.format !== this.FORMAT || !Array.isArray(data.bookmarks)) {
+      throw new Error('This file is not a MIDLOOP bookmarks export.');
+    }
+    if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1 || data.schemaVersion > this.SCHEMA_VERSION) {
+      throw new Error(`Unsupported bookmarks file version: ${data.schemaVersion}.`);
+    }
+
+    const items = [];
+    const skipped = [];
+    const seen = new Set();
+
+    data.bookmarks.forEach(item => {
+      const title = (item && item.title) || 'Untitled';
+      const reason = this.validateItem(item);
+      if (reason) {
+        skipped.push({ title, reason });
+        return;
+      }
+
+      const key = this.getKey(item);
+      if (seen.has(key)) {
+        skipped.push({ title, reason: 'Duplicate in file' });
+        return;
+      }
+
+      seen.add(key);
+      items.push(this.cleanItem(item));
+    });
+
+    let { collections, userData } = data;
+    if (data.schemaVersion < 4) {
+      const keyMap = getLegacyKeyMap(items);
+      collections = Array.isArray(collections)
+        ? collections.map(collection => (collection && Array.isArray(collection.items)
+          ? { ...collection, items: rekeyLegacyList(collection.items, keyMap) }
+          : collection))
+        : collections;
+      userData = userData && typeof userData === 'object' && !Array.isArray(userData)
+        ? rekeyLegacyEntries(userData, keyMap)
+        : userData;
+    }
+
+    return {
+      items,
+      skipped,
+      collections: this.parseCollections(collections, seen),
+      userData: this.parseUserData(userData, seen)
+    };
+  },
+
+  /**
+   * Keep the valid personal data entries of an import file
+   * @param {*} userData - `userData` field from the file
+   * @param {Set<string>} itemKeys - Keys of the valid imported items
+   * @returns {object} Entries keyed by item
+   */
+  parseUserData(userData, itemKeys) {
+    if (!userData || typeof userData !== 'object' || Array.isArray(userData)) return {};
+
+    const result = {};
+    Object.entries(userData).forEach(([key, data]) => {
+      const entry = itemKeys.has(key) ? bookmarkManager.normalizeItemData(data) : null;
+      if (entry) result[key] = entry;
+    });
+    return result;
+  },
+
+  /**
+   * Keep the well-formed collections of an import file
+   * @param {*} collections - `collections` field from the file
+   * @param {Set<string>} itemKeys - Keys of the valid imported items
+   * @returns {array} Collections with membership limited to imported items
+   */
+  parseCollections(collections, itemKeys) {
+    if (!Array.isArray(collections)) return [];
+
+    const result = [];
+    collections.forEach(collection => {
+      if (!collection || typeof collection.name !== 'string' || !collection.name.trim()) return;
+
+      const name = collection.name.trim();
+      if (result.some(entry => entry.name.toLowerCase() === name.toLowerCase())) return;
+
+      const items = Array.isArray(collection.items) ? collection.items.filter(key => itemKeys.has(key)) : [];
+      result.push({ id: bookmarkManager.createCollectionId(name, result), name, items: [...new Set(items)] });
+    });
+    return result;
+  },
+
+  /**
+   * Work out what an import would change
+   * @param {array} imported - Valid items from parseImport()
+   * @param {array} existing - Current bookmarks
+   * @param {string} mode - 'merge' (keep existing) or 'replace' (imported only)
+   * @returns {object} { result, added, updated, unchanged, removed }
+   */
+  planImport(imported, existing, mode) {
+    const existingByKey = new Map(existing.map(item => [this.getKey(item), item]));
+    const importedByKey = new Map(imported.map(item => [this.getKey(item), item]));
+    const added = [];
+    const updated = [];
+    const unchanged = [];
+
+    imported.forEach(item => {
+      const current = existingByKey.get(this.getKey(item));
+      if (!current) {
+        added.push(item);
+      } else if (JSON.stringify(current) !== JSON.stringify(item)) {
+        updated.push(item);
+      } else {
+        unchanged.push(item);
+      }
+    });
+
+    if (mode === 'replace') {
+      return {
+        result: imported.slice(),
+        added,
+        updated,
+        unchanged,
+        removed: existing.filter(item => !importedByKey.has(this.getKey(item)))
+      };
+    }
+
+    // Merge: imported copies win, existing order is kept, new items go last
+    const result = existing.map(item => importedByKey.get(this.getKey(item)) || item).concat(added);
+    return { result, added, updated, unchanged, removed: [] };
+  },
+
+  /**
+   * Work out the collections after an import
+   * Merging matches lists by name and combines their members.
+   * @param {array} imported - Collections from parseImport()
+   * @param {array} existing - Current collections
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {array} Collections to store
+   */
+  planCollections(imported, existing, mode) {
+    if (mode === 'replace') {
+      return imported.map(collection => ({ ...collection, items: collection.items.slice() }));
+    }
+
+    const result = existing.map(collection => ({ ...collection, items: collection.items.slice() }));
+    imported.forEach(collection => {
+      const match = result.find(entry => entry.name.toLowerCase() === collection.name.toLowerCase());
+      if (match) {
+        match.items = [...new Set(match.items.concat(collection.items))];
+      } else {
+        result.push({
+          id: bookmarkManager.createCollectionId(collection.name, result),
+          name: collection.name,
+          items: collection.items.slice()
+        });
+      }
+    });
+    return result;
+  },
+
+  /**
+   * Wire the bookmark tools (export, import file picker, dialog)
+   */
+  init() {
+    const exportBtn = document.getElementById('bookmarks-export-btn');
+    const importBtn = document.getElementById('bookmarks-import-btn');
+    const fileInput = document.getElementById('bookmarks-import-file');
+    const dialog = document.getElementById('bookmark-import-dialog');
+    if (!exportBtn || !importBtn || !fileInput || !dialog) return;
+
+    exportBtn.addEventListener('click', () => this.exportToFile());
+    importBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = ''; // Allow choosing the same file again
+      if (!file) return;
+
+      try {
+        this.pendingImport = { fileName: file.name, ...this.parseImport(await file.text()) };
+        this.pendingImport.error = null;
+      } catch (error) {
+        this.pendingImport = { fileName: file.name, items: [], skipped: [], collections: [], userData: {}, error: error.message };
+      }
+      this.renderPreview('merge');
+      dialog.showModal();
+    });
+
+    dialog.addEventListener('change', (e) => {
+      if (e.target.name === 'import-mode') {
+        this.renderPreview(e.target.value);
+      }
+    });
+
+    dialog.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-import-action]');
+      if (!action) return;
+
+      if (action.dataset.importAction === 'confirm') {
+        this.confirmImport(dialog.querySelector('input[name="import-mode"]:checked').value);
+      }
+      dialog.close();
+    });
+
+    dialog.addEventListener('close', () => {
+      this.pendingImport = null;
+    });
+  },
+
+  /**
+   * Render the import preview for a mode
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  renderPreview(mode) {
+    const dialog = document.getElementById('bookmark-import-dialog');
+    const pending = this.pendingImport;
+    if (!dialog || !pending) return;
+
+    const plan = this.planImport(pending.items, bookmarkManager.getAll(), mode);
+    const skipped = pending.skipped
+      .map(entry => ({ title: entry.title, reason: entry.reason }))
+      .concat(plan.unchanged.map(item => ({ title: item.title, reason: 'Already bookmarked' })));
+
+    const group = (label, entries, className) => `
+      <details class="import-preview-group ${className}" ${entries.length > 0 && entries.length <= 10 ? 'open' : ''}>
+        <summary><span class="import-preview-count">${entries.length}</span> ${label}</summary>
+        ${entries.length > 0 ? `<ul>${entries.map(entry => `<li>${sanitizeHTML(entry.title)}${entry.reason ? ` <span class="import-preview-reason">— ${sanitizeHTML(entry.reason)}</span>` : ''}</li>`).join('')}</ul>` : ''}
+      </details>
+    `;
+
+    const changeCount = plan.added.length + plan.updated.length + plan.removed.length;
+
+    dialog.innerHTML = `
+      <form method="dialog" class="import-dialog-body">
+        <h2 id="import-dialog-title" class="import-dialog-title">Import bookmarks</h2>
+        <p class="import-dialog-file">${sanitizeHTML(pending.fileName)}</p>
+        ${pending.error ? `<p class="import-dialog-error" role="alert">${sanitizeHTML(pending.error)}</p>` : `
+          <fieldset class="import-mode">
+            <legend>Mode</legend>
+            <label><input type="radio" name="import-mode" value="merge" ${mode === 'merge' ? 'checked' : ''}> Merge with my bookmarks</label>
+            <label><input type="radio" name="import-mode" value="replace" ${mode === 'replace' ? 'checked' : ''}> Replace my bookmarks</label>
+          </fieldset>
+          <div class="import-preview">
+            ${group('to add', plan.added, 'is-added')}
+            ${group('to update', plan.updated, 'is-updated')}
+            ${mode === 'replace' ? group('to remove', plan.removed, 'is-removed') : ''}
+            ${pending.collections.length > 0 ? group('lists', pending.collections.map(collection => ({ title: `${collection.name} (${collection.items.length})` })), 'is-lists') : ''}
+            ${group('skipped', skipped, 'is-skipped')}
+          </div>
+        `}
+        <div class="import-dialog-actions">
+          <button type="button" class="import-dialog-btn" data-import-action="cancel">Cancel</button>
+          ${pending.error ? '' : `<button type="button" class="import-dialog-btn is-primary" data-import-action="confirm" ${changeCount === 0 ? 'disabled' : ''}>Import</button>`}
+        </div>
+      </form>
+    `;
+  },
+
+  /**
+   * Save the pending import and refresh the bookmarks view
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  confirmImport(mode) {
+    if (!this.pendingImport || this.pendingImport.error) return;
+
+    const current = bookmarkManager.read();
+    const plan = this.planImport(this.pendingImport.items, current.items, mode);
+    const collections = this.planCollections(this.pendingImport.collections, current.collections, mode);
+    // Imported status/score/notes win over the current ones for the same item
+    const userData = mode === 'replace'
+      ? this.pendingImport.userData
+      : { ...current.userData, ...this.pendingImport.userData };
+    if (!bookmarkManager.write({ items: plan.result, collections, userData, changeLog: current.changeLog })) return;
+    console.log(`Imported bookmarks (${mode}): +${plan.added.length} ~${plan.updated.length} -${plan.removed.length}`);
+
+    CollectionsNav.render();
+
+    // Bookmark tools are only shown on #/bookmarks (and its lists)
+    const activeRoute = Router.getActiveListRoute();
+    if (Router.isBookmarksRoute(activeRoute)) {
+      Router.navigate(Router.isValidRoute(activeRoute) ? activeRoute : 'bookmarks', { skipHistory: true });
+    }
+  }
+};
+
+// ============================================================================
+// BOOKMARK COLLECTIONS - Add-to-list menu and sidebar lists
+// ============================================================================
+// Collections live in bookmarkManager; these modules only render them.
+// Each list has its own route: #/bookmarks/<collection id>
+
+const CollectionMenu = {
+  item: null,
+  anchor: null,
+
+  /**
+   * Get the menu element
+   * @returns {HTMLElement|null}
+   */
+  getElement() {
+    return document.getElementById('collection-menu');
+  },
+
+  /**
+   * Check whether the menu is showing
+   * @returns {boolean}
+   */
+  isOpen() {
+    const menu = this.getElement();
+    return Boolean(menu && !menu.hidden);
+  },
+
+  /**
+   * Open the menu for an item next to the button that opened it
+   * @param {object} item - Normalized item
+   * @param {HTMLElement} anchor - List button
+   */
+  open(item, anchor) {
+    const menu = this.getElement();
+    if (!menu) return;
+
+    if (this.isOpen() && this.anchor === anchor) {
+      this.close();
+      return;
+    }
+
+    this.item = item;
+    this.anchor = anchor;
+
+    // Inside the modal the menu must stay within its focus trap
+    (anchor.closest('.modal') || document.body).appendChild(menu);
+
+    this.render();
+    menu.hidden = false;
+    anchor.setAttribute('aria-expanded', 'true');
+    this.position();
+
+    const firstControl = menu.querySelector('input');
+    if (firstControl) firstControl.focus();
+  },
+
+  /**
+   * Close the menu
+   * @param {object} [options]
+   * @param {boolean} [options.restoreFocus=true] - Return focus to the list button
+   */
+  close({ restoreFocus = true } = {}) {
+    const menu = this.getElement();
+    if (!menu || menu.hidden) return;
+
+    menu.hidden = true;
+    if (this.anchor) {
+      this.anchor.setAttribute('aria-expanded', 'false');
+      if (restoreFocus && menu.contains(document.activeElement)) {
+        this.anchor.focus();
+      }
+    }
+    this.item = null;
+    this.anchor = null;
+  },
+
+  /**
+   * Place the menu under its button, kept inside the viewport
+   */
+  position() {
+    const menu = this.getElement();
+    const rect = this.anchor.getBoundingClientRect();
+    const width = menu.offsetWidth;
+    const height = menu.offsetHeight;
+
+    const left = Math.min(Math.max(8, rect.right - width), window.innerWidth - width - 8);
+    const below = rect.bottom + 6;
+    const top = below + height > window.innerHeight ? Math.max(8, rect.top - height - 6) : below;
+
+    menu.style.left = `${left}px`;
+    menu.style.top = `${top}px`;
+  },
+
+  /**
+   * Render the list checkboxes and the "new list" field
+   */
+  render() {
+    const menu = this.getElement();
+    const collections = bookmarkManager.getCollections();
+    const memberIds = new Set(bookmarkManager.getItemCollections(this.item, collections).map(collection => collection.id));
+
+    menu.innerHTML = `
+      <p class="collection-menu-title" id="collection-menu-title">Add to list</p>
+      ${collections.length > 0 ? `
+        <ul class="collection-menu-list">
+          ${collections.map(collection => `
+            <li>
+              <label class="collection-menu-option">
+                <input type="checkbox" data-collection-id="${sanitizeHTML(collection.id)}" ${memberIds.has(collection.id) ? 'checked' : ''}>
+                <span>${sanitizeHTML(collection.name)}</span>
+              </label>
+            </li>
+          `).join('')}
+        </ul>
+      ` : '<p class="collection-menu-empty">No lists yet.</p>'}
+      <form class="collection-menu-new">
+        <input type="text" name="collection-name" class="collection-menu-input" placeholder="New list…" maxlength="40" aria-label="New list name" autocomplete="off">
+        <button type="submit" class="collection-menu-add">Add</button>
+      </form>
+    `;
+  },
+
+  /**
+   * Keep the grid, modal and sidebar in step after a membership change
+   * @param {object} item - Changed item
+   * @param {string} collectionId - Changed collection
+   * @param {boolean} included - Whether the item is now in the collection
+   */
+  afterChange(item, collectionId, included) {
+    const isBookmarked = bookmarkManager.isBookmarked(item);
+    const inAnyList = bookmarkManager.getItemCollections(item).length > 0;
+
+    const card = CardComponents.findCard(item);
+    if (card) {
+      const bookmarkBtn = card.querySelector('.bookmark-btn-card');
+      if (bookmarkBtn) bookmarkBtn.classList.toggle('active', isBookmarked);
+      const listBtn = card.querySelector('.list-btn-card');
+      if (listBtn) listBtn.classList.toggle('active', inAnyList);
+    }
+
+    const modal = document.getElementById('content-modal');
+    if (modal && modal.style.display === 'flex' && this.anchor && modal.contains(this.anchor)) {
+      document.getElementById('modal-bookmark-btn').classList.toggle('active', isBookmarked);
+      this.anchor.classList.toggle('active', inAnyList);
+    }
+
+    CollectionsNav.render();
+
+    // Leaving the list that is on screen: drop the card
+    if (!included && Router.getActiveListRoute() === `bookmarks/${collectionId}`) {
+      const itemIndex = currentMoviesArray.findIndex(m => AdapterUtils.isSameItem(m, item));
+      if (itemIndex !== -1) {
+        currentMoviesArray.splice(itemIndex, 1);
+      }
+      if (card) {
+        card.style.pointerEvents = 'none';
+        CardComponents.removeCardWithAnimation(card);
+      }
+    }
+  },
+
+  /**
+   * Wire the shared menu (checkbox changes, new list form, dismissal)
+   */
+  init() {
+    const menu = this.getElement();
+    if (!menu) return;
+
+    // Keep clicks from reaching cards or the modal backdrop
+    menu.addEventListener('click', (e) => e.stopPropagation());
+
+    menu.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[data-collection-id]');
+      if (!checkbox || !this.item) return;
+
+      const { collectionId } = checkbox.dataset;
+      if (!bookmarkManager.setInCollection(this.item, collectionId, checkbox.checked)) {
+        checkbox.checked = !checkbox.checked;
+        return;
+      }
+      this.afterChange(this.item, collectionId, checkbox.checked);
+    });
+
+    menu.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!this.item) return;
+
+      const input = menu.querySelector('.collection-menu-input');
+      const collection = bookmarkManager.createCollection(input.value);
+      if (!collection) {
+        input.focus();
+        return;
+      }
+
+      if (bookmarkManager.setInCollection(this.item, collection.id, true)) {
+        this.afterChange(this.item, collection.id, true);
+      }
+      this.render();
+      this.position();
+      menu.querySelector('.collection-menu-input').focus();
+    });
+
+    // Escape closes only the menu and arrow keys stay in the name field
+    // (neither should reach the modal underneath)
+    menu.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.stopPropagation();
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (this.isOpen() && !menu.contains(e.target) && e.target.closest('.list-btn-card, .list-btn-modal') !== this.anchor) {
+        this.close({ restoreFocus: false });
+      }
+    });
+
+    window.addEventListener('resize', () => this.close({ restoreFocus: false }));
+  }
+};
+
+const CollectionsNav = {
+  /**
+   * Render the per-list links under Bookmarks and the "Delete list" tool
+   */
+  render() {
+    const submenu = document.getElementById('bookmarks-submenu');
+    if (!submenu) return;
+
+    const { items, collections } = bookmarkManager.read();
+    const itemKeys = new Set(items.map(item => bookmarkManager.getItemKey(item)));
+
+    submenu.innerHTML = collections.map(collection => `
+      <li>
+        <a href="#/bookmarks/${encodeURIComponent(collection.id)}" class="nav-sublink" data-category="bookmarks" data-subcategory="${sanitizeHTML(collection.id)}">
+          <img src="./img/arrow.svg" class="nav-sublink-icon" alt="">
+          <span class="nav-sublink-label">${sanitizeHTML(collection.name)}</span>
+          <span class="nav-sublink-count">${collection.items.filter(key => itemKeys.has(key)).length}</span>
+        </a>
+      </li>
+    `).join('');
+    submenu.hidden = collections.length === 0;
+
+    const activeRoute = Router.getActiveListRoute();
+    const deleteBtn = document.getElementById('collection-delete-btn');
+    if (deleteBtn) {
+      deleteBtn.hidden = !activeRoute.startsWith('bookmarks/');
+    }
+
+    // Re-highlight the current list after re-rendering its link
+    if (Router.currentBasePath) {
+      Router.updateActiveLink(Router.currentBasePath);
+    }
+  },
+
+  /**
+   * Delete the list on screen (its items stay bookmarked)
+   */
+  deleteActive() {
+    const listId = Router.getActiveListRoute().split('/')[1];
+    const collection = listId ? bookmarkManager.getCollection(listId) : null;
+    if (!collection) return;
+
+    if (!window.confirm(`Delete the list "${collection.name}"? Its items stay in your bookmarks.`)) return;
+
+    if (bookmarkManager.deleteCollection(collection.id)) {
+      this.render();
+      Router.navigate('bookmarks');
+    }
+  },
+
+  /**
+   * Initial render and tool wiring
+   */
+  init() {
+    this.render();
+
+    const deleteBtn = document.getElementById('collection-delete-btn');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => this.deleteActive());
+    }
+  }
+};
+
+// ============================================================================
+// BOOKMARK SYNC - Keep other open tabs up to date
+// ============================================================================
+// Every bookmarkManager write goes to localStorage, and browsers fire a
+// `storage` event in all *other* tabs of the same origin when that happens,
+// so no extra broadcasting is needed. The tab that made the change has
+// already updated its own UI.
+
+const BookmarkSync = {
+  /**
+   * Bring the grid, modal, menu and sidebar in line with stored bookmarks
+   */
+  apply() {
+    CollectionsNav.render();
+
+    const route = Router.getActiveListRoute();
+    if (Router.isBookmarksRoute(route)) {
+      // The list on screen was deleted in another tab
+      if (!Router.isValidRoute(route)) {
+        Router.navigate('bookmarks');
+        return;
+      }
+      this.refreshBookmarksGrid(route);
+    }
+
+    // Calendar with "Bookmarked only" ticked (no-op while hidden)
+    if (CalendarView.bookmarkedOnly) {
+      CalendarView.render();
+    }
+
+    this.refreshCards();
+    this.refreshModal();
+
+    if (CollectionMenu.isOpen()) {
+      CollectionMenu.render();
+    }
+  },
+
+  /**
+   * Re-render the bookmarks grid when its items were added or removed elsewhere
+   * @param {string} route - 'bookmarks' or 'bookmarks/<list>'
+   * @param {boolean} [force=false] - Re-render even if the same items are listed
+   */
+  refreshBookmarksGrid(route, force = false) {
+    const listId = route.split('/')[1];
+    const bookmarks = listId ? bookmarkManager.getCollectionItems(listId) : bookmarkManager.getAll();
+
+    const keysOf = (items) => items.map(item => bookmarkManager.getItemKey(item)).sort().join('|');
+    if (!force && keysOf(bookmarks) === keysOf(unfilteredItemsArray)) return;
+
+    unfilteredItemsArray = bookmarks;
+    displayItems(getVisibleItems(bookmarks));
+    if (bookmarks.length === 0) {
+      CardComponents.checkEmptyBookmarks();
+    }
+  },
+
+  /**
+   * Update bookmark/list buttons and status badges on rendered cards
+   */
+  refreshCards() {
+    currentMoviesArray.forEach(item => {
+      CardComponents.refreshBadges(item);
+
+      const card = CardComponents.findCard(item);
+      const listBtn = card && card.querySelector('.list-btn-card');
+      if (listBtn) {
+        listBtn.classList.toggle('active', bookmarkManager.getItemCollections(item).length > 0);
+      }
+    });
+  },
+
+  /**
+   * Update the open modal's buttons and personal section
+   */
+  refreshModal() {
+    const modal = document.getElementById('content-modal');
+    const item = PersonalSection.item;
+    if (!modal || modal.style.display !== 'flex' || !item) return;
+
+    document.getElementById('modal-bookmark-btn').classList.toggle('active', bookmarkManager.isBookmarked(item));
+    document.getElementById('modal-list-btn').classList.toggle('active', bookmarkManager.getItemCollections(item).length > 0);
+
+    ChangeLogSection.render(item);
+
+    // Don't overwrite what the user is typing or choosing here
+    const section = document.getElementById('modal-personal-section');
+    if (section && !section.contains(document.activeElement)) {
+      PersonalSection.render(item);
+    }
+  },
+
+  /**
+   * Listen for bookmark writes from other tabs
+   */
+  init() {
+    window.addEventListener('storage', (e) => {
+      // key is null when another tab clears all storage
+      if (e.key === bookmarkManager.STORAGE_KEY || e.key === null) {
+        this.apply();
+      }
+    });
+  }
+};
+
+// ============================================================================
+// UNDO TOAST - Restore bookmarks removed from the Bookmarks view
+// ============================================================================
+// Removals stack up, so several in a row can be undone newest-first, each
+// within UNDO_TIMEOUT of being removed. Ctrl/Cmd+Z undoes the newest.
+
+const UndoToast = {
+  UNDO_TIMEOUT: 8000,
+
+  /**
+   * Timer that hides the "Restored" confirmation
+   */
+  hideTimer: null,
+
+  /**
+   * Pending removals, oldest first: [{ snapshot, timer }]
+   */
+  entries: [],
+
+  /**
+   * Offer undo for a removed bookmark
+   * @param {object} snapshot - From bookmarkManager.snapshotItem()
+   */
+  push(snapshot) {
+    const entry = { snapshot, timer: null };
+    entry.timer = setTimeout(() => this.expire(entry), this.UNDO_TIMEOUT);
+    this.entries.push(entry);
+    this.render();
+  },
+
+  /**
+   * Drop a removal once its undo window has passed
+   * @param {object} entry - Pending entry
+   */
+  expire(entry) {
+    this.entries = this.entries.filter(pending => pending !== entry);
+    this.render();
+  },
+
+  /**
+   * Restore the most recent removal
+   * @returns {boolean} True if something was restored
+   */
+  undo() {
+    const entry = this.entries.pop();
+    if (!entry) return false;
+
+    clearTimeout(entry.timer);
+    const restored = bookmarkManager.restoreItem(entry.snapshot);
+    this.render(restored ? `Restored “${entry.snapshot.item.title}”` : null);
+    if (!restored) return false;
+
+    CollectionsNav.render();
+    const route = Router.getActiveListRoute();
+    if (Router.isBookmarksRoute(route)) {
+      BookmarkSync.refreshBookmarksGrid(route, true);
+    }
+    return true;
+  },
+
+  /**
+   * Show the newest pending removal (or hide when none are left)
+   * @param {string|null} [announcement] - Message to show when nothing is pending
+   */
+  render(announcement = null) {
+    const toast = document.getElementById('undo-toast');
+    if (!toast) return;
+
+    const latest = this.entries[this.entries.length - 1];
+    if (!latest) {
+      if (announcement) {
+        toast.innerHTML = `<span class="toast-text">${sanitizeHTML(announcement)}</span>`;
+        toast.hidden = false;
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => { toast.hidden = true; }, 2000);
+      } else {
+        toast.hidden = true;
+      }
+      return;
+    }
+
+    const count = this.entries.length;
+    clearTimeout(this.hideTimer);
+    toast.innerHTML = `
+      <span class="toast-text">
+        Removed “${sanitizeHTML(latest.snapshot.item.title)}”${count > 1 ? ` <span class="toast-count">(${count} to undo)</span>` : ''}
+      </span>
+      <button type="button" class="toast-action" data-toast-action="undo" aria-keyshortcuts="Control+Z Meta+Z">Undo</button>
+    `;
+    toast.hidden = false;
+  },
+
+  /**
+   * Wire the Undo button and the keyboard shortcut
+   */
+  init() {
+    const toast = document.getElementById('undo-toast');
+    if (!toast) return;
+
+    toast.addEventListener('click', (e) => {
+      if (e.target.closest('[data-toast-action="undo"]')) {
+        this.undo();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key.toLowerCase() !== 'z' || !(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+      if (this.entries.length === 0) return;
+
+      // Leave text undo alone in inputs and the notes field
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      e.preventDefault();
+      this.undo();
+    });
+  }
+};
+
+/**
+ * Load a category's normalized items, using dataCache when fresh
+ * Used by views that need whole categories outside the grid (calendar,
+ * bookmark refresh).
+ * @param {string} category - Category key from CATEGORY_CONFIG
+ * @param {string|null} [subcategory] - Subcategory key (e.g., 'past-week')
+ * @returns {Promise<Array>} Normalized items
+ * @throws {Error} Load error tagged with a LOAD_OUTCOMES value
+ */
+async function loadCategoryItems(category, subcategory = null) {
+  const config = CATEGORY_CONFIG[category];
+  const cacheKey = subcategory ? `${category}/${subcategory}` : category;
+  const dataFile = subcategory ? config.subcategories[subcategory].dataFile : config.dataFile;
+
+  if (dataCache.isValid(cacheKey)) {
+    return dataCache.get(cacheKey);
+  }
+
+  const data = await fetchCategoryData(dataFile);
+  const { items, skipped } = normalizeCollection(data, config.adapter);
+  NormalizationDiagnostics.record(cacheKey, skipped);
+
+  if (items.length === 0 && skipped.length > 0) {
+    throw createLoadError(LOAD_OUTCOMES.ADAPTER_ERROR, `All ${skipped.length} ${cacheKey} items failed to normalize`);
+  }
+
+  dataCache.set(cacheKey, items);
+  return items;
+}
+
+/**
+ * Resolve after a delay (used to let fade-out transitions finish)
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Load a category into the grid
+ * @param {string} category - Category key from CATEGORY_CONFIG
+ * @param {string|null} subcategory - Optional subcategory key (e.g., 'past-week')
+ * @returns {Promise<void>} Resolves once the grid (or a state) is rendered
+ */
+async function loadContent(category, subcategory = null) {
+  const config = CATEGORY_CONFIG[category];
+  let dataFile = config?.dataFile;
+  
+  // If subcategory is provided and exists, use its data file
+  if (subcategory && config?.subcategories && config.subcategories[subcategory]) {
+    dataFile = config.subcategories[subcategory].dataFile;
+  }
+  
+  const container = document.getElementById('movies-container');
+
+  if (!config) {
+    console.error(`Unknown category: ${category} `);
+    return;
+  }
+
+  // Leaving the calendar: the grid takes over again
+  CalendarView.hide();
+  CollectionMenu.close({ restoreFocus: false });
+
+  // Create cache key that includes subcategory
+  const cacheKey = subcategory ? `${category}/${subcategory}` : category;
+
+  // Ignore responses that arrive after the user has navigated elsewhere
+  const loadId = ++currentLoadId;
+
+  // CHECK CACHE FIRST (Respect TTL)
+  // For bookmarks, we don't use the standard cache logic in the same way, or we bypass it
+  if (category === 'bookmarks') {
+    // Load directly from local storage
+    container.style.transition = 'opacity 0.2s ease';
+    container.style.opacity = '0';
+
+    await wait(200);
+    if (loadId !== currentLoadId) return;
+    NormalizationDiagnostics.hideNotice();
+    let bookmarks = bookmarkManager.getAll();
+
+    // Refresh from source data before rendering so old copies don't flicker
+    const refreshed = await refreshBookmarks(bookmarks);
+    bookmarks = refreshed.items;
+
+    if (loadId !== currentLoadId) return;
+    CollectionsNav.render();
+    UnlistedBookmarks.set(refreshed.unlisted);
+
+    // #/bookmarks/:list shows one collection
+    if (subcategory) {
+      bookmarks = bookmarkManager.getCollectionItems(subcategory, bookmarks);
+    }
+    UnlistedBookmarks.showNotice(bookmarks.filter(item => UnlistedBookmarks.has(item)).length);
+
+    if (bookmarks.length === 0) {
+      unfilteredItemsArray = [];
+      displayItems([]);
+      CardComponents.checkEmptyBookmarks();
+    } else {
+      unfilteredItemsArray = bookmarks;
+      displayItems(getVisibleItems(bookmarks));
+    }
+    container.style.opacity = '1';
+    return;
+  }
+
+  const retry = () => {
+    dataCache.clear(cacheKey);
+    loadContent(category, subcategory);
+  };
+
+  if (dataCache.isValid(cacheKey)) {
+    // Fade out current content
+    container.style.transition = 'opacity 0.2s ease';
+    container.style.opacity = '0';
+
+    await wait(200);
+    if (loadId !== currentLoadId) return;
+
+    const cachedData = dataCache.get(cacheKey);
+    unfilteredItemsArray = cachedData;
+    displayItems(getVisibleItems(cachedData));
+    NormalizationDiagnostics.showNotice(cacheKey);
+    if (cachedData.length === 0) {
+      ContentStates.show(LOAD_OUTCOMES.EMPTY, { displayName: config.displayName, onRetry: retry });
+    }
+    // Fade in instantly
+    container.style.opacity = '1';
+    return;
+  }
+
+  // Fade out current content
+  container.style.transition = 'opacity 0.3s ease';
+  container.style.opacity = '0';
+
+  // Wait for fade out
+  await wait(300);
+  if (loadId !== currentLoadId) return;
+
+  // Show skeleton cards while the request is in flight
+  ContentStates.showLoading();
+  NormalizationDiagnostics.hideNotice();
+  container.style.opacity = '1';
+
+  try {
+    const data = await fetchCategoryData(dataFile);
+
+    // Normalize per item: bad records are quarantined, not fatal
+    const { items: normalizedData, skipped } = normalizeCollection(data, config.adapter);
+
+    if (normalizedData.length === 0 && skipped.length > 0) {
+      NormalizationDiagnostics.record(cacheKey, skipped);
+      throw createLoadError(LOAD_OUTCOMES.ADAPTER_ERROR, `All ${skipped.length} ${category} items failed to normalize`);
+    }
+
+    if (loadId !== currentLoadId) return;
+
+    // STORE IN CACHE
+    dataCache.set(cacheKey, normalizedData);
+    NormalizationDiagnostics.record(cacheKey, skipped);
+    NormalizationDiagnostics.showNotice(cacheKey);
+
+    unfilteredItemsArray = normalizedData;
+
+    if (normalizedData.length === 0) {
+      displayItems([]);
+      ContentStates.show(LOAD_OUTCOMES.EMPTY, { displayName: config.displayName, onRetry: retry });
+      return;
+    }
+
+    displayItems(getVisibleItems(normalizedData));
+  } catch (error) {
+    if (loadId !== currentLoadId) return;
+
+    console.error(`Load error (${error.outcome || 'unknown'}):`, error);
+    NormalizationDiagnostics.hideNotice();
+    unfilteredItemsArray = [];
+    displayItems([]);
+    ContentStates.show(error.outcome || LOAD_OUTCOMES.NETWORK_ERROR, {
+      displayName: config.displayName,
+      onRetry: retry
+    });
+  }
+}
+
+function displayItems(items) {
+  const container = document.getElementById('movies-container');
+  container.innerHTML = '';
+  ContentStates.clear();
+
+  // Store globally for modal navigation
+  currentMoviesArray = items;
+
+  // Show/hide the bordered grid box based on whether items exist
+  if (items.length === 0) {
+    container.style.display = 'none';
+  } else {
+    container.style.display = 'grid';
+  }
+
+  // Render cards using component system
+  items.forEach((item, index) => {
+    const card = CardComponents.createCard(item, index);
+    container.appendChild(card);
+  });
+
+  // Facet values and counts follow the loaded items
+  FacetPanel.render();
+}
+
+// ============================================================================
+// CONTENT STATES - Loading, empty and error states for the content grid
+// ============================================================================
+// Replaces the old behaviour of silently hiding the grid. Each LOAD_OUTCOMES
+// value maps to a message and a retry action rendered in #content-state.
+
+const ContentStates = {
+  /**
+   * Number of skeleton cards shown while loading
+   */
+  skeletonCount: 10,
+
+  /**
+   * User-facing copy per outcome
+   * Messages receive the category display name (e.g., "Books")
+   */
+  definitions: {
+    [LOAD_OUTCOMES.MISSING_FILE]: {
+      title: 'Coming soon',
+      message: (name) => `${name} listings aren't available yet. Check back soon.`,
+      actionLabel: 'Try again'
+    },
+    [LOAD_OUTCOMES.MALFORMED_JSON]: {
+      title: 'Data unavailable',
+      message: (name) => `The ${name} data file couldn't be read. It may be mid-update.`,
+      actionLabel: 'Try again'
+    },
+    [LOAD_OUTCOMES.ADAPTER_ERROR]: {
+      title: 'Something went wrong',
+      message: (name) => `${name} listings couldn't be prepared for display.`,
+      actionLabel: 'Try again'
+    },
+    [LOAD_OUTCOMES.NETWORK_ERROR]: {
+      title: 'Connection problem',
+      message: (name) => `We couldn't reach the server to load ${name}. Check your connection and try again.`,
+      actionLabel: 'Retry'
+    },
+    [LOAD_OUTCOMES.EMPTY]: {
+      title: 'Nothing here yet',
+      message: (name) => `There are no ${name} releases to show right now.`,
+      actionLabel: 'Reload'
+    }
+  },
+
+  /**
+   * Get the state container element
+   * @returns {HTMLElement|null} State container
+   */
+  getElement() {
+    return document.getElementById('content-state');
+  },
+
+  /**
+   * Fill the grid with skeleton cards while a request is in flight
+   */
+  showLoading() {
+    const container = document.getElementById('movies-container');
+    this.clear();
+
+    container.innerHTML = Array.from({ length: this.skeletonCount }, () => `
+      <div class="content-card skeleton-card" aria-hidden="true">
+        <div class="skeleton-poster"></div>
+      </div>
+    `).join('');
+    container.style.display = 'grid';
+    container.setAttribute('aria-busy', 'true');
+  },
+
+  /**
+   * Show an outcome state with a retry action
+   * @param {string} outcome - One of LOAD_OUTCOMES
+   * @param {object} options - Display options
+   * @param {string} options.displayName - Category name used in the message
+   * @param {Function} options.onRetry - Called when the action button is pressed
+   * @param {string} [options.title] - Override the default title
+   * @param {string} [options.message] - Override the default message
+   * @param {string} [options.actionLabel] - Override the default action label
+   */
+  show(outcome, options = {}) {
+    const stateElement = this.getElement();
+    const definition = this.definitions[outcome] || this.definitions[LOAD_OUTCOMES.NETWORK_ERROR];
+    const { displayName = 'Content', onRetry = null } = options;
+    const title = options.title || definition.title;
+    const message = options.message || definition.message(displayName);
+    const actionLabel = options.actionLabel || definition.actionLabel;
+
+    const container = document.getElementById('movies-container');
+    container.innerHTML = '';
+    container.style.display = 'none';
+    container.removeAttribute('aria-busy');
+
+    if (!stateElement) return;
+
+    stateElement.dataset.outcome = outcome;
+    stateElement.innerHTML = `
+      <h2 class="content-state-title">${sanitizeHTML(title)}</h2>
+      <p class="content-state-message">${sanitizeHTML(message)}</p>
+      ${onRetry ? `<button type="button" class="content-state-action">${sanitizeHTML(actionLabel)}</button>` : ''}
+    `;
+    stateElement.hidden = false;
+
+    const actionBtn = stateElement.querySelector('.content-state-action');
+    if (actionBtn) {
+      actionBtn.addEventListener('click', () => {
+        this.clear();
+        onRetry();
+      });
+    }
+  },
+
+  /**
+   * Hide any visible state
+   */
+  clear() {
+    const stateElement = this.getElement();
+    const container = document.getElementById('movies-container');
+    if (container) {
+      container.removeAttribute('aria-busy');
+    }
+    if (stateElement) {
+      stateElement.hidden = true;
+      stateElement.innerHTML = '';
+      delete stateElement.dataset.outcome;
+    }
+  }
+};
+
+// ============================================================================
+// DATE FILTER FUNCTIONALITY
+// ============================================================================
+
+/**
+ * Date filter keys, matching the data-filter attributes on .date-filter-btn
+ */
+const DATE_FILTERS = ['all', 'next-7', 'next-30', 'month', 'quarter', 'week', 'tba', 'custom'];
+
+/**
+ * Parse a date input value ('YYYY-MM-DD') as a local day
+ * @param {string} value - Value from <input type="date">
+ * @returns {Date|null} Local midnight, or null if empty/invalid
+ */
+function parseLocalDateInput(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+
+  // Reject overflow such as 2025-02-31
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Filter items by release date
+ * Days are compared in the user's timezone (see AdapterUtils.getLocalDay).
+ * @param {array} items - Array of normalized items
+ * @param {string} filter - Filter key from DATE_FILTERS
+ * @param {object} range - { from, to } 'YYYY-MM-DD' bounds for 'custom'
+ * @returns {array} Filtered items
+ */
+function filterItemsByDate(items, filter, range = currentDateRange) {
+  if (filter === 'all') {
+    return items;
+  }
+
+  // TBA: releases without a date yet
+  if (filter === 'tba') {
+    return items.filter(item => !AdapterUtils.getLocalDay(item.releaseDate));
+  }
+
+  const today = AdapterUtils.getLocalDay(new Date());
+  const rangeFrom = parseLocalDateInput(range && range.from);
+  const rangeTo = parseLocalDateInput(range && range.to);
+
+  return items.filter(item => {
+    const releaseDay = AdapterUtils.getLocalDay(item.releaseDate);
+    if (!releaseDay) return false;
+
+    const { daysUntil } = AdapterUtils.getCountdownStatus(item.releaseDate);
+
+    switch (filter) {
+      case 'week':
+        // Past 7 days up to today
+        return daysUntil >= -7 && daysUntil <= 0;
+      case 'next-7':
+        return daysUntil >= 0 && daysUntil <= 7;
+      case 'next-30':
+        return daysUntil >= 0 && daysUntil <= 30;
+      case 'month':
+        // Same calendar month and year as today
+        return releaseDay.getFullYear() === today.getFullYear() &&
+               releaseDay.getMonth() === today.getMonth();
+      case 'quarter':
+        return releaseDay.getFullYear() === today.getFullYear() &&
+               Math.floor(releaseDay.getMonth() / 3) === Math.floor(today.getMonth() / 3);
+      case 'custom':
+        // Inclusive range; an empty bound is open-ended
+        return (!rangeFrom || releaseDay >= rangeFrom) && (!rangeTo || releaseDay <= rangeTo);
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Set the active date filter and button states without re-rendering
+ * @param {string} filter - Filter key from DATE_FILTERS
+ */
+function setActiveDateFilter(filter) {
+  currentDateFilter = filter;
+
+  // Update button states
+  document.querySelectorAll('.date-filter-btn').forEach(btn => {
+    if (btn.dataset.filter === filter) {
+      btn.classList.add('active');
+    } else {
+      btn.classList.remove('active');
+    }
+  });
+
+  // Show the from/to pickers only for the custom range
+  const rangeGroup = document.getElementById('date-range');
+  if (rangeGroup) {
+    rangeGroup.hidden = filter !== 'custom';
+    document.getElementById('date-range-from').value = currentDateRange.from;
+    document.getElementById('date-range-to').value = currentDateRange.to;
+    document.getElementById('date-range-to').min = currentDateRange.from;
+    document.getElementById('date-range-from').max = currentDateRange.to;
+  }
+}
+
+/**
+ * Apply date filter and update display
+ * @param {string} filter - Filter key from DATE_FILTERS
+ */
+function applyDateFilter(filter) {
+  setActiveDateFilter(filter);
+  Router.updateQuery();
+
+  // Filter and display items
+  renderVisibleItems();
+}
+
+// ============================================================================
+// SORTING
+// ============================================================================
+// Sorting runs after filtering. Items missing the sort value always go last,
+// whichever direction is chosen.
+
+const SORT_STORAGE_KEY = 'midloop_sort';
+
+/**
+ * Sort options shown in #sort-select
+ * `value` extracts the comparable value; `direction` is 1 (asc) or -1 (desc)
+ */
+const SORT_OPTIONS = {
+  'default': {
+    label: 'Default order',
+    value: null
+  },
+  'release-asc': {
+    label: 'Release date (soonest)',
+    value: (item) => (item.releaseDate ? new Date(item.releaseDate).getTime() : null),
+    direction: 1
+  },
+  'release-desc': {
+    label: 'Release date (latest)',
+    value: (item) => (item.releaseDate ? new Date(item.releaseDate).getTime() : null),
+    direction: -1
+  },
+  'rating': {
+    label: 'Rating',
+    value: (item) => Formatters.ratingNormalized(item.rating, item.ratingMax),
+    direction: -1
+  },
+  'popularity': {
+    label: 'Popularity / hype',
+    value: (item) => item.popularity ?? null,
+    direction: -1
+  },
+  'title': {
+    label: 'Title (A–Z)',
+    value: (item) => item.title || null,
+    direction: 1
+  },
+  'added': {
+    label: 'Recently added',
+    value: (item) => (item.addedAt ? new Date(item.addedAt).getTime() : null),
+    direction: -1
+  }
+};
+
+/**
+ * Default sort per list route when nothing is remembered
+ * Bookmarks have always been listed soonest-first; sub-routes such as
+ * bookmark lists inherit their parent's default.
+ */
+const DEFAULT_SORTS = {
+  bookmarks: 'release-asc'
+};
+
+/**
+ * Sort items without mutating the input
+ * @param {array} items - Array of normalized items
+ * @param {string} sortKey - Key from SORT_OPTIONS
+ * @returns {array} Sorted copy
+ */
+function sortItems(items, sortKey) {
+  const option = SORT_OPTIONS[sortKey];
+  if (!option || !option.value) {
+    return items.slice();
+  }
+
+  const isMissing = (value) => value === null || value === undefined || Number.isNaN(value);
+
+  return items
+    .map(item => ({ item, value: option.value(item) }))
+    .sort((a, b) => {
+      const aMissing = isMissing(a.value);
+      const bMissing = isMissing(b.value);
+      if (aMissing || bMissing) return aMissing - bMissing;
+
+      const result = typeof a.value === 'string'
+        ? a.value.localeCompare(b.value, undefined, { sensitivity: 'base' })
+        : a.value - b.value;
+      return result * option.direction;
+    })
+    .map(entry => entry.item);
+}
+
+/**
+ * Apply the active filter and sort to a list of items
+ * @param {array} items - Unfiltered items (usually unfilteredItemsArray)
+ * @returns {array} Items ready for displayItems()
+ */
+function getVisibleItems(items) {
+  const dateFiltered = filterItemsByDate(items, currentDateFilter);
+  return sortItems(filterItemsByFacets(dateFiltered), currentSort);
+}
+
+/**
+ * Re-render the grid after a filter or sort change
+ * The results page renders itself so it can show its own empty states.
+ */
+function renderVisibleItems() {
+  if (Router.isSearchRoute()) {
+    SearchPage.render();
+    return;
+  }
+  displayItems(getVisibleItems(unfilteredItemsArray));
+}
+
+/**
+ * Get the remembered sort for a list route
+ * @param {string} route - List route (e.g., 'games', 'movies/past-week')
+ * @returns {string} Sort key
+ */
+function getRememberedSort(route) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY)) || {};
+    if (SORT_OPTIONS[saved[route]]) {
+      return saved[route];
+    }
+  } catch (e) {
+    console.warn('Error reading saved sort order', e);
+  }
+  return DEFAULT_SORTS[route] || DEFAULT_SORTS[String(route).split('/')[0]] || 'default';
+}
+
+/**
+ * Remember the sort chosen for a list route
+ * @param {string} route - List route
+ * @param {string} sortKey - Sort key
+ */
+function rememberSort(route, sortKey) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY)) || {};
+    saved[route] = sortKey;
+    localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.warn('Error saving sort order', e);
+  }
+}
+
+/**
+ * Set the active sort and selector state without re-rendering
+ * @param {string} sortKey - Key from SORT_OPTIONS
+ */
+function setActiveSort(sortKey) {
+  currentSort = SORT_OPTIONS[sortKey] ? sortKey : 'default';
+
+  const sortSelect = document.getElementById('sort-select');
+  if (sortSelect) {
+    sortSelect.value = currentSort;
+  }
+}
+
+/**
+ * Apply a sort chosen by the user, remember it, and update display
+ * @param {string} sortKey - Key from SORT_OPTIONS
+ */
+function applySort(sortKey) {
+  setActiveSort(sortKey);
+  rememberSort(Router.getActiveListRoute(), currentSort);
+  Router.updateQuery();
+
+  renderVisibleItems();
+}
+
+/**
+ * Populate #sort-select from SORT_OPTIONS and wire change events
+ */
+function setupSortControl() {
+  const sortSelect = document.getElementById('sort-select');
+  if (!sortSelect) return;
+
+  sortSelect.innerHTML = Object.entries(SORT_OPTIONS)
+    .map(([key, option]) => `<option value="${key}">${sanitizeHTML(option.label)}</option>`)
+    .join('');
+  sortSelect.value = currentSort;
+
+  sortSelect.addEventListener('change', () => {
+    applySort(sortSelect.value);
+  });
+}
+
+// ============================================================================
+// FACETED FILTERING
+// ============================================================================
+// Facet values are built from the loaded items. Selected values combine with
+// OR (or AND in 'all' mode) inside a facet, and with AND across facets.
+// Facets stack on top of the date filter.
+
+/**
+ * Facet definitions, keyed by the URL param that stores the selection
+ * `types` limits a facet to item types (null = every type)
+ */
+const FACETS = {
+  genre: {
+    label: 'Genre',
+    types: null,
+    values: (item) => item.genres
+  },
+  platform: {
+    label: 'Platform',
+    types: ['game'],
+    values: (item) => item.metadata.platforms
+  },
+  mode: {
+    label: 'Game Mode',
+    types: ['game'],
+    values: (item) => item.metadata.gameModes
+  },
+  network: {
+    label: 'Network',
+    types: ['tv-show'],
+    values: (item) => item.metadata.networks
+  },
+  status: {
+    label: 'Status',
+    types: ['tv-show'],
+    values: (item) => (item.metadata.status ? [item.metadata.status] : [])
+  },
+  progress: {
+    label: 'My Status',
+    types: null,
+    values: (item) => {
+      const { status } = bookmarkManager.getItemData(item);
+      return status ? [status] : [];
+    },
+    format: (status) => getItemStatusLabel(status)
+  },
+  language: {
+    label: 'Original Language',
+    types: ['movie'],
+    values: (item) => (item.metadata.originalLanguage ? [item.metadata.originalLanguage] : []),
+    format: (code) => {
+      try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+      } catch (e) {
+        return code;
+      }
+    }
+  }
+};
+
+/**
+ * Get an item's values for a facet
+ * @param {object} item - Normalized item
+ * @param {string} key - FACETS key
+ * @returns {array} Values (empty when the facet doesn't apply to the item)
+ */
+function getFacetValues(item, key) {
+  const facet = FACETS[key];
+  if (!facet || !item || !item.metadata) return [];
+  if (facet.types && !facet.types.includes(item.metadata.type)) return [];
+
+  const values = facet.values(item);
+  return Array.isArray(values) ? values.filter(Boolean) : [];
+}
+
+/**
+ * Filter items by selected facet values
+ * @param {array} items - Array of normalized items
+ * @param {object} facets - Selected values keyed by FACETS key
+ * @param {string} mode - 'any' or 'all' (within a facet)
+ * @param {string|null} exceptKey - Facet to ignore (used for counts)
+ * @returns {array} Filtered items
+ */
+function filterItemsByFacets(items, facets = currentFacets, mode = currentFacetMode, exceptKey = null) {
+  const active = Object.entries(facets).filter(([key, selected]) => key !== exceptKey && selected.length > 0);
+  if (active.length === 0) {
+    return items;
+  }
+
+  return items.filter(item => active.every(([key, selected]) => {
+    const values = getFacetValues(item, key);
+    return mode === 'all'
+      ? selected.every(value => values.includes(value))
+      : selected.some(value => values.includes(value));
+  }));
+}
+
+/**
+ * Build facet groups with per-value counts
+ * Counts reflect the date filter and every other facet's selection.
+ * @param {array} items - Unfiltered items
+ * @returns {array} [{ key, label, values: [{ value, label, count, selected }] }]
+ */
+function buildFacetGroups(items) {
+  const dateFiltered = filterItemsByDate(items, currentDateFilter);
+
+  return Object.entries(FACETS).map(([key, facet]) => {
+    const selected = currentFacets[key] || [];
+    const counts = new Map();
+
+    // Every value present in the list, so options don't vanish as filters narrow
+    items.forEach(item => {
+      getFacetValues(item, key).forEach(value => counts.set(value, 0));
+    });
+
+    filterItemsByFacets(dateFiltered, currentFacets, currentFacetMode, key).forEach(item => {
+      getFacetValues(item, key).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+
+    // Keep selections from the URL visible even if no item has them
+    selected.forEach(value => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+
+    const values = Array.from(counts, ([value, count]) => ({
+      value,
+      label: String(facet.format ? facet.format(value) : value),
+      count,
+      selected: selected.includes(value)
+    })).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+
+    return { key, label: facet.label, values };
+  }).filter(group => group.values.length > 0);
+}
+
+/**
+ * Set the selected values for a facet without re-rendering
+ * @param {string} key - FACETS key
+ * @param {array} values - Selected values
+ */
+function setFacetValues(key, values) {
+  const unique = Array.from(new Set(values.map(value => value.trim()).filter(Boolean)));
+  if (unique.length > 0) {
+    currentFacets[key] = unique;
+  } else {
+    delete currentFacets[key];
+  }
+}
+
+/**
+ * Re-render the grid after a facet change and sync the URL
+ */
+function applyFacets() {
+  Router.updateQuery();
+  renderVisibleItems();
+}
+
+// Facet selections and match mode round-trip through the URL (?genre=Horror,Comedy&match=all)
+Object.keys(FACETS).forEach(key => {
+  Router.queryParams[key] = {
+    defaultValue: '',
+    read: () => (currentFacets[key] || []).join(','),
+    apply: (value) => setFacetValues(key, value ? value.split(',') : [])
+  };
+});
+Router.queryParams.match = {
+  defaultValue: 'any',
+  values: ['any', 'all'],
+  read: () => currentFacetMode,
+  apply: (value) => { currentFacetMode = value; }
+};
+
+/**
+ * Facet panel UI (#facet-panel, toggled by #facet-toggle)
+ */
+const FacetPanel = {
+  /**
+   * Wire toggle button and delegated panel events
+   */
+  init() {
+    const panel = document.getElementById('facet-panel');
+    const toggle = document.getElementById('facet-toggle');
+    if (!panel || !toggle) return;
+
+    toggle.addEventListener('click', () => {
+      const isOpen = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!isOpen));
+      panel.hidden = isOpen;
+    });
 
-      try {
-        const response = await fetch(`${config.dataFile}?t = ${Date.now()} `);
-        if (!response.ok) return [];
-        const data = await response.json();
-        return data.map(config.adapter);
-      } catch (e) {
-        console.warn(`Failed to refresh data for ${catKey}`, e);
-        return [];
+    panel.addEventListener('change', (e) => {
+      const input = e.target;
+      if (input.name === 'facet-mode') {
+        currentFacetMode = input.value;
+      } else if (input.dataset.facet) {
+        const selected = currentFacets[input.dataset.facet] || [];
+        setFacetValues(
+          input.dataset.facet,
+          input.checked ? [...selected, input.value] : selected.filter(value => value !== input.value)
+        );
+      } else {
+        return;
       }
+      applyFacets();
     });
 
-    const results = await Promise.all(fetchPromises);
-    const allFreshItems = results.flat();
-
-    // Create a map for faster lookup: id -> item
-    const freshItemMap = new Map(allFreshItems.map(item => [item.id, item]));
-
-    // Update bookmarks
-    let hasUpdates = false;
-    const updatedBookmarks = bookmarks.map(bookmark => {
-      const freshItem = freshItemMap.get(bookmark.id);
-      if (freshItem) {
-        // Check for changes (simple check or just overwrite)
-        // We'll overwrite to ensure we have the latest data
-        // We preserve the 'bookmarked' status implicitly since it's in the bookmark list
-        if (JSON.stringify(bookmark) !== JSON.stringify(freshItem)) {
-          hasUpdates = true;
-          return freshItem;
-        }
+    panel.addEventListener('click', (e) => {
+      if (e.target.closest('[data-facet-action="clear"]')) {
+        currentFacets = {};
+        applyFacets();
       }
-      return bookmark;
     });
+  },
 
-    if (hasUpdates) {
-      bookmarkManager.save(updatedBookmarks);
-      console.log('Bookmarks updated with fresh data');
+  /**
+   * Rebuild facet groups from unfilteredItemsArray
+   */
+  render() {
+    const panel = document.getElementById('facet-panel');
+    const toggle = document.getElementById('facet-toggle');
+    if (!panel || !toggle) return;
+
+    const groups = buildFacetGroups(unfilteredItemsArray);
+    const selectedCount = Object.values(currentFacets).reduce((total, values) => total + values.length, 0);
+
+    toggle.disabled = groups.length === 0;
+    toggle.textContent = selectedCount > 0 ? `Filters (${selectedCount})` : 'Filters';
+    toggle.classList.toggle('active', selectedCount > 0);
+
+    // Restore focus to the same control after re-rendering
+    const focused = panel.contains(document.activeElement) ? document.activeElement : null;
+    const focusKey = focused ? `${focused.dataset.facet || focused.name}:${focused.value}` : null;
+
+    if (groups.length === 0) {
+      panel.innerHTML = '';
+      panel.hidden = true;
+      toggle.setAttribute('aria-expanded', 'false');
+      return;
     }
 
-    return updatedBookmarks;
+    panel.innerHTML = `
+      <div class="facet-panel-header">
+        <div class="facet-mode" role="radiogroup" aria-label="Match values within a filter">
+          <label><input type="radio" name="facet-mode" value="any" ${currentFacetMode === 'any' ? 'checked' : ''}> Match any</label>
+          <label><input type="radio" name="facet-mode" value="all" ${currentFacetMode === 'all' ? 'checked' : ''}> Match all</label>
+        </div>
+        <button type="button" class="facet-clear" data-facet-action="clear" ${selectedCount === 0 ? 'disabled' : ''}>Clear filters</button>
+      </div>
+      <div class="facet-groups">
+        ${groups.map(group => `
+          <fieldset class="facet-group">
+            <legend class="facet-group-title">${sanitizeHTML(group.label)}</legend>
+            <ul class="facet-values">
+              ${group.values.map(option => `
+                <li>
+                  <label class="facet-value${option.count === 0 && !option.selected ? ' is-empty' : ''}">
+                    <input type="checkbox" data-facet="${group.key}" value="${sanitizeHTML(String(option.value)).replace(/"/g, '&quot;')}" ${option.selected ? 'checked' : ''}>
+                    <span class="facet-value-label">${sanitizeHTML(option.label)}</span>
+                    <span class="facet-value-count">${option.count}</span>
+                  </label>
+                </li>
+              `).join('')}
+            </ul>
+          </fieldset>
+        `).join('')}
+      </div>
+    `;
 
-  } catch (error) {
-    console.error('Error refreshing bookmarks:', error);
-    return bookmarks; // Return original if something goes wrong
+    if (focusKey) {
+      const match = Array.from(panel.querySelectorAll('input'))
+        .find(input => `${input.dataset.facet || input.name}:${input.value}` === focusKey);
+      if (match) match.focus();
+    }
   }
-}
+};
 
-function loadContent(category, subcategory = null) {
-  const config = CATEGORY_CONFIG[category];
-  let dataFile = config?.dataFile;
-  
-  // If subcategory is provided and exists, use its data file
-  if (subcategory && config?.subcategories && config.subcategories[subcategory]) {
-    dataFile = config.subcategories[subcategory].dataFile;
-  }
-  
-  const container = document.getElementById('movies-container');
+// ============================================================================
+// RELEASE CALENDAR - Month grid and agenda views (#/calendar)
+// ============================================================================
+// Loads every category (through dataCache) and places releases on their local
+// day. TV shows also get an event for their next episode. Clicking an event
+// opens the standard item modal.
 
-  if (!config) {
-    console.error(`Unknown category: ${category} `);
-    return;
+/**
+ * Get the dated events for an item
+ * Every dated item has a release event; TV shows also get their next episode.
+ * @param {object} item - Normalized item
+ * @returns {array} [{ item, day: Date (local midnight), kind: 'release'|'episode' }]
+ */
+function getReleaseEvents(item) {
+  const events = [];
+  const releaseDay = AdapterUtils.getLocalDay(item.releaseDate);
+  const episodeDay = item.metadata.type === 'tv-show' ? AdapterUtils.getLocalDay(item.metadata.nextEpisodeDate) : null;
+
+  // TV display dates may already be the next episode; don't list it twice
+  if (releaseDay && (!episodeDay || releaseDay.getTime() !== episodeDay.getTime())) {
+    events.push({ item, day: releaseDay, kind: 'release' });
+  }
+  if (episodeDay) {
+    events.push({ item, day: episodeDay, kind: 'episode' });
   }
 
-  // Create cache key that includes subcategory
-  const cacheKey = subcategory ? `${category}/${subcategory}` : category;
+  return events;
+}
 
-  // CHECK CACHE FIRST (Respect TTL)
-  // For bookmarks, we don't use the standard cache logic in the same way, or we bypass it
-  if (category === 'bookmarks') {
-    // Load directly from local storage
-    container.style.transition = 'opacity 0.2s ease';
-    container.style.opacity = '0';
+const CalendarView = {
+  /**
+   * Displayed month as 'YYYY-MM' ('' = current month)
+   */
+  month: '',
 
-    setTimeout(async () => {
-      let bookmarks = bookmarkManager.getAll();
+  /**
+   * Layout: 'month' grid or 'agenda' list
+   */
+  mode: 'month',
 
-      // Attempt to refresh data
-      if (bookmarks.length > 0) {
-        // Show loading state if needed, or just update after fetch
-        // For now, we'll fetch then render to ensure no flicker of old data
-        bookmarks = await refreshBookmarks(bookmarks);
+  /**
+   * Category key to show ('' = all categories)
+   */
+  category: '',
 
-        // Sort bookmarks by release date (earliest first)
-        bookmarks.sort((a, b) => {
-          const dateA = a.releaseDate ? new Date(a.releaseDate) : new Date('9999-12-31');
-          const dateB = b.releaseDate ? new Date(b.releaseDate) : new Date('9999-12-31');
-          return dateA - dateB;
-        });
+  /**
+   * Only show bookmarked items
+   */
+  bookmarkedOnly: false,
+
+  /**
+   * All loaded items (every category plus bookmarks not in the data files)
+   */
+  items: [],
+
+  /**
+   * Events rendered in the current view, indexed by data-event-index
+   */
+  events: [],
+
+  /**
+   * Get the calendar container
+   * @returns {HTMLElement|null}
+   */
+  getElement() {
+    return document.getElementById('calendar-view');
+  },
+
+  /**
+   * Wire delegated events on the calendar container
+   */
+  init() {
+    const element = this.getElement();
+    if (!element) return;
+
+    element.addEventListener('click', (e) => {
+      const eventBtn = e.target.closest('[data-event-index]');
+      const actionBtn = e.target.closest('[data-calendar-action]');
+      const modeBtn = e.target.closest('[data-calendar-mode]');
+
+      if (eventBtn) {
+        this.openEvent(parseInt(eventBtn.dataset.eventIndex, 10));
+      } else if (actionBtn) {
+        const action = actionBtn.dataset.calendarAction;
+        this.month = action === 'today' ? '' : this.shiftMonth(action === 'next' ? 1 : -1);
+        this.update();
+      } else if (modeBtn) {
+        this.mode = modeBtn.dataset.calendarMode;
+        this.update();
       }
+    });
 
-      if (bookmarks.length === 0) {
-        container.innerHTML = CardComponents.getEmptyBookmarksHTML();
-        container.style.display = 'none';
-        container.style.opacity = '1';
+    element.addEventListener('change', (e) => {
+      const control = e.target.dataset.calendarControl;
+      if (control === 'category') {
+        this.category = e.target.value;
+      } else if (control === 'bookmarked') {
+        this.bookmarkedOnly = e.target.checked;
       } else {
-        unfilteredItemsArray = bookmarks;
-        const filteredBookmarks = filterItemsByDate(bookmarks, currentDateFilter);
-        displayItems(filteredBookmarks);
-        container.style.opacity = '1';
+        return;
       }
-    }, 200);
-    return;
+      this.update();
+    });
+  },
+
+  /**
+   * Route handler: load all categories and render
+   * @returns {Promise<void>} Resolves once the calendar is rendered
+   */
+  async show() {
+    const loadId = ++currentLoadId;
+    const element = this.getElement();
+    const container = document.getElementById('movies-container');
+    const layoutContainer = document.querySelector('.layout-container');
+
+    // Hide the grid and its states
+    container.innerHTML = '';
+    container.style.display = 'none';
+    container.style.opacity = '1';
+    ContentStates.clear();
+    NormalizationDiagnostics.hideNotice();
+    if (layoutContainer) layoutContainer.classList.add('is-calendar-view');
+
+    element.hidden = false;
+    element.setAttribute('aria-busy', 'true');
+    element.innerHTML = '<p class="calendar-loading">Loading releases…</p>';
+
+    const categories = Object.keys(CATEGORY_CONFIG).filter(key => CATEGORY_CONFIG[key].itemType);
+    const results = await Promise.all(categories.map(category =>
+      loadCategoryItems(category).catch(error => {
+        console.warn(`Calendar: could not load ${category}`, error);
+        return null;
+      })
+    ));
+
+    if (loadId !== currentLoadId) return;
+    element.removeAttribute('aria-busy');
+
+    if (results.every(result => result === null)) {
+      element.hidden = true;
+      element.innerHTML = '';
+      ContentStates.show(LOAD_OUTCOMES.NETWORK_ERROR, {
+        displayName: 'Calendar',
+        onRetry: () => this.show()
+      });
+      return;
+    }
+
+    // Bookmarks can reference items no longer in the files (e.g. past-week movies)
+    const loaded = results.filter(Boolean).flat();
+    const loadedKeys = new Set(loaded.map(item => AdapterUtils.getItemKey(item)));
+    const orphanBookmarks = bookmarkManager.getAll()
+      .filter(item => item && item.metadata && !loadedKeys.has(AdapterUtils.getItemKey(item)));
+
+    this.items = loaded.concat(orphanBookmarks);
+    unfilteredItemsArray = this.items;
+    this.render();
+  },
+
+  /**
+   * Hide the calendar (called when the grid loads a category)
+   */
+  hide() {
+    const element = this.getElement();
+    if (!element || element.hidden) return;
+
+    element.hidden = true;
+    element.innerHTML = '';
+    this.events = [];
+
+    const layoutContainer = document.querySelector('.layout-container');
+    if (layoutContainer) layoutContainer.classList.remove('is-calendar-view');
+  },
+
+  /**
+   * Sync the URL and re-render after a control changes
+   */
+  update() {
+    Router.updateQuery();
+    this.render();
+  },
+
+  /**
+   * Get the first day of the displayed month
+   * @returns {Date} Local midnight on the 1st
+   */
+  getMonthStart() {
+    const match = /^(\d{4})-(\d{2})$/.exec(this.month);
+    if (match) {
+      return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+    }
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  },
+
+  /**
+   * Month key offset from the displayed month
+   * @param {number} offset - Months to move (+1 / -1)
+   * @returns {string} 'YYYY-MM'
+   */
+  shiftMonth(offset) {
+    const start = this.getMonthStart();
+    start.setMonth(start.getMonth() + offset);
+    return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+  },
+
+  /**
+   * Items matching the category and bookmark filters
+   * @returns {array} Normalized items
+   */
+  getFilteredItems() {
+    const itemType = this.category ? CATEGORY_CONFIG[this.category].itemType : null;
+
+    return this.items.filter(item =>
+      (!itemType || item.metadata.type === itemType) &&
+      (!this.bookmarkedOnly || bookmarkManager.isBookmarked(item))
+    );
+  },
+
+  /**
+   * Build dated events for a month
+   * @param {array} items - Normalized items
+   * @param {Date} monthStart - First day of the month
+   * @returns {array} [{ item, day, kind }] sorted by day, then title
+   */
+  buildEvents(items, monthStart) {
+    const inMonth = (day) =>
+      day.getFullYear() === monthStart.getFullYear() &&
+      day.getMonth() === monthStart.getMonth();
+
+    return items
+      .flatMap(item => getReleaseEvents(item))
+      .filter(event => inMonth(event.day))
+      .sort((a, b) => a.day - b.day || a.item.title.localeCompare(b.item.title));
+  },
+
+  /**
+   * Render toolbar and the current layout
+   */
+  render() {
+    const element = this.getElement();
+    if (!element || element.hidden) return;
+
+    const monthStart = this.getMonthStart();
+    this.events = this.buildEvents(this.getFilteredItems(), monthStart);
+
+    // Modal prev/next walks the events in calendar order
+    currentMoviesArray = Array.from(new Set(this.events.map(event => event.item)));
+
+    const monthTitle = monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    const categoryOptions = Object.entries(CATEGORY_CONFIG)
+      .filter(([, config]) => config.itemType)
+      .map(([key, config]) =>
+        `<option value="${key}" ${key === this.category ? 'selected' : ''}>${sanitizeHTML(config.displayName)}</option>`)
+      .join('');
+    const legend = Object.values(CATEGORY_CONFIG)
+      .filter(config => config.itemType)
+      .map(config => `<li class="calendar-legend-item calendar-type--${config.itemType}">${sanitizeHTML(config.displayName)}</li>`)
+      .join('');
+
+    element.innerHTML = `
+      <div class="calendar-toolbar">
+        <div class="calendar-nav">
+          <button type="button" class="calendar-btn" data-calendar-action="prev" aria-label="Previous month">‹</button>
+          <h2 class="calendar-title" aria-live="polite">${monthTitle}</h2>
+          <button type="button" class="calendar-btn" data-calendar-action="next" aria-label="Next month">›</button>
+          <button type="button" class="calendar-btn" data-calendar-action="today">Today</button>
+        </div>
+        <div class="calendar-controls">
+          <select class="calendar-select" data-calendar-control="category" aria-label="Category">
+            <option value="">All categories</option>
+            ${categoryOptions}
+          </select>
+          <label class="calendar-checkbox">
+            <input type="checkbox" data-calendar-control="bookmarked" ${this.bookmarkedOnly ? 'checked' : ''}>
+            Bookmarked only
+          </label>
+          <div class="calendar-mode" role="group" aria-label="Calendar layout">
+            <button type="button" class="calendar-btn" data-calendar-mode="month" aria-pressed="${this.mode === 'month'}">Month</button>
+            <button type="button" class="calendar-btn" data-calendar-mode="agenda" aria-pressed="${this.mode === 'agenda'}">Agenda</button>
+          </div>
+        </div>
+      </div>
+      <ul class="calendar-legend" aria-label="Colour key">${legend}</ul>
+      ${this.mode === 'agenda' ? this.renderAgenda() : this.renderMonth(monthStart)}
+    `;
+  },
+
+  /**
+   * Render a single event button
+   * @param {object} event - { item, kind }
+   * @param {number} index - Index in this.events
+   * @returns {string} HTML
+   */
+  renderEvent(event, index) {
+    const label = event.kind === 'episode' ? `${event.item.title} · New episode` : event.item.title;
+    return `
+      <button type="button" class="calendar-event calendar-type--${sanitizeHTML(event.item.metadata.type)}" data-event-index="${index}" title="${sanitizeHTML(label)}">
+        ${sanitizeHTML(label)}
+      </button>
+    `;
+  },
+
+  /**
+   * Render the month grid (weeks start on Monday)
+   * @param {Date} monthStart - First day of the month
+   * @returns {string} HTML
+   */
+  renderMonth(monthStart) {
+    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const todayTime = AdapterUtils.getLocalDay(new Date()).getTime();
+    const gridStart = new Date(monthStart);
+    gridStart.setDate(gridStart.getDate() - ((monthStart.getDay() + 6) % 7));
+
+    const cells = [];
+    const day = new Date(gridStart);
+    do {
+      for (let i = 0; i < 7; i++) {
+        const dayTime = day.getTime();
+        const dayEvents = this.events
+          .map((event, index) => ({ event, index }))
+          .filter(({ event }) => event.day.getTime() === dayTime);
+        const classes = ['calendar-day'];
+        if (day.getMonth() !== monthStart.getMonth()) classes.push('is-outside');
+        if (dayTime === todayTime) classes.push('is-today');
+
+        cells.push(`
+          <div class="${classes.join(' ')}" role="gridcell">
+            <span class="calendar-day-number">${day.getDate()}</span>
+            ${dayEvents.length > 0 ? `<ul class="calendar-events">${dayEvents.map(({ event, index }) => `<li>${this.renderEvent(event, index)}</li>`).join('')}</ul>` : ''}
+          </div>
+        `);
+        day.setDate(day.getDate() + 1);
+      }
+    } while (day.getMonth() === monthStart.getMonth());
+
+    const rows = [];
+    for (let i = 0; i < cells.length; i += 7) {
+      rows.push(`<div class="calendar-week" role="row">${cells.slice(i, i + 7).join('')}</div>`);
+    }
+
+    return `
+      <div class="calendar-grid" role="grid" aria-label="Releases by day">
+        <div class="calendar-week calendar-weekdays" role="row">
+          ${weekdays.map(name => `<span class="calendar-weekday" role="columnheader">${name}</span>`).join('')}
+        </div>
+        ${rows.join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Render the agenda list (days with events only)
+   * @returns {string} HTML
+   */
+  renderAgenda() {
+    if (this.events.length === 0) {
+      return '<p class="calendar-empty">No releases this month.</p>';
+    }
+
+    const days = [];
+    this.events.forEach((event, index) => {
+      const last = days[days.length - 1];
+      if (last && last.day.getTime() === event.day.getTime()) {
+        last.entries.push({ event, index });
+      } else {
+        days.push({ day: event.day, entries: [{ event, index }] });
+      }
+    });
+
+    return `
+      <ol class="calendar-agenda">
+        ${days.map(({ day, entries }) => `
+          <li class="calendar-agenda-day">
+            <h3 class="calendar-agenda-date">${Formatters.dateDisplay(day.toISOString(), 'full')}</h3>
+            <ul class="calendar-events">
+              ${entries.map(({ event, index }) => `<li>${this.renderEvent(event, index)}</li>`).join('')}
+            </ul>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  },
+
+  /**
+   * Open an event's item in the details modal
+   * @param {number} index - Index in this.events
+   */
+  openEvent(index) {
+    const event = this.events[index];
+    if (!event) return;
+
+    const itemIndex = currentMoviesArray.indexOf(event.item);
+    showItemDetails(event.item, itemIndex >= 0 ? itemIndex : 0);
   }
+};
 
-  if (dataCache.isValid(cacheKey)) {
-    // Fade out current content
-    container.style.transition = 'opacity 0.2s ease';
-    container.style.opacity = '0';
+// Calendar state round-trips through the URL (#/calendar?month=2026-03&view=agenda&category=games&bookmarked=1)
+Object.assign(Router.queryParams, {
+  view: {
+    defaultValue: 'month',
+    values: ['month', 'agenda'],
+    read: () => CalendarView.mode,
+    apply: (value) => { CalendarView.mode = value; }
+  },
+  month: {
+    defaultValue: '',
+    read: () => CalendarView.month,
+    apply: (value) => { CalendarView.month = /^\d{4}-(0[1-9]|1[0-2])$/.test(value) ? value : ''; }
+  },
+  category: {
+    defaultValue: '',
+    read: () => CalendarView.category,
+    apply: (value) => { CalendarView.category = CATEGORY_CONFIG[value]?.itemType ? value : ''; }
+  },
+  bookmarked: {
+    defaultValue: '',
+    read: () => (CalendarView.bookmarkedOnly ? '1' : ''),
+    apply: (value) => { CalendarView.bookmarkedOnly = value === '1'; }
+  }
+});
+
+// ============================================================================
+// ICALENDAR EXPORT - RFC 5545 .ics file of the current view
+// ============================================================================
+// Exports whatever the grid or calendar currently shows (on #/bookmarks that
+// is the bookmark list). One all-day VEVENT per release event.
+
+const IcsExport = {
+  PRODID: '-//MIDLOOP//Release Calendar//EN',
+
+  /**
+   * Escape a TEXT value (RFC 5545 §3.3.11)
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  /**
+   * Fold a content line to 75 octets (RFC 5545 §3.1)
+   * Continuation lines start with a single space.
+   * @param {string} line - Unfolded content line
+   * @returns {string} Folded line joined with CRLF
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    // Iterate by code point so multi-byte characters are never split
+    for (const char of line) {
+      const charBytes = encoder.encode(char).length;
+      const limit = parts.length === 0 ? 75 : 74; // Continuations lose one octet to the space
+      if (currentBytes + charBytes > limit) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  },
+
+  /**
+   * Format a local day as a DATE value
+   * @param {Date} day - Local midnight
+   * @returns {string} 'YYYYMMDD'
+   */
+  formatDate(day) {
+    return `${day.getFullYear()}${String(day.getMonth() + 1).padStart(2, '0')}${String(day.getDate()).padStart(2, '0')}`;
+  },
+
+  /**
+   * Format an instant as a UTC DATE-TIME value
+   * @param {Date} date - Instant
+   * @returns {string} 'YYYYMMDDTHHMMSSZ'
+   */
+  formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  /**
+   * Absolute deep link to an item (#/<category>/item/<id>)
+   * @param {object} item - Normalized item
+   * @returns {string} URL
+   */
+  getItemURL(item) {
+    const category = Router.getCategoryForType(item.metadata.type) || Router.defaultRoute;
+    const base = `${window.location.origin}${window.location.pathname}`;
+    return `${base}#/${Router.buildItemPath(category, Router.getItemRouteId(item, category))}`;
+  },
+
+  /**
+   * Build the VEVENT lines for one release event
+   * @param {object} event - { item, day, kind } from getReleaseEvents()
+   * @param {Date} now - Export time (DTSTAMP)
+   * @param {array} [collections] - Bookmark collections (listed in CATEGORIES)
+   * @returns {array} Unfolded content lines
+   */
+  buildEvent(event, now, collections = []) {
+    const { item, day, kind } = event;
+    const type = item.metadata.type;
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+
+    // UID is stable per item key so re-imports update instead of duplicating
+    const uidSuffix = kind === 'episode' ? '-next-episode' : '';
+    const summary = kind === 'episode' ? `${item.title} (New episode)` : item.title;
+    const url = this.getItemURL(item);
+    const categories = [CATEGORY_CONFIG[Router.getCategoryForType(type)]?.displayName || type]
+      .concat(bookmarkManager.getItemCollections(item, collections).map(collection => collection.name));
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${this.escapeText(AdapterUtils.getItemKey(item))}${uidSuffix}@midloop`,
+      `DTSTAMP:${this.formatTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${this.formatDate(day)}`,
+      `DTEND;VALUE=DATE:${this.formatDate(nextDay)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      `DESCRIPTION:${this.escapeText(`${item.description || ''}\n\n${url}`.trim())}`,
+      `URL:${url}`,
+      `CATEGORIES:${categories.map(category => this.escapeText(category)).join(',')}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ];
+  },
+
+  /**
+   * Build a complete VCALENDAR for a list of items
+   * @param {array} items - Normalized items (undated items are skipped)
+   * @param {Date} now - Export time
+   * @returns {{ics: string, eventCount: number}}
+   */
+  build(items, now = new Date()) {
+    const events = items.flatMap(item => getReleaseEvents(item));
+    const collections = bookmarkManager.getCollections();
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:MIDLOOP Releases',
+      ...events.flatMap(event => this.buildEvent(event, now, collections)),
+      'END:VCALENDAR'
+    ];
+
+    return {
+      ics: lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n',
+      eventCount: events.length
+    };
+  },
+
+  /**
+   * Download the current view as an .ics file
+   * @param {HTMLElement} button - Export button (used for feedback)
+   */
+  exportCurrentView(button) {
+    const { ics, eventCount } = this.build(currentMoviesArray);
+
+    if (eventCount === 0) {
+      const originalText = button.textContent;
+      button.textContent = 'No dated releases';
+      button.disabled = true;
+      setTimeout(() => {
+        button.textContent = originalText;
+        button.disabled = false;
+      }, 2000);
+      return;
+    }
+
+    const route = Router.getActiveListRoute().replace(/[^a-z0-9]+/gi, '-');
+    downloadFile(ics, `midloop-${route}.ics`, 'text/calendar;charset=utf-8');
+  },
+
+  /**
+   * Wire the export button
+   */
+  init() {
+    const button = document.getElementById('ics-export-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => this.exportCurrentView(button));
+  }
+};
+
+// ============================================================================
+// RELEASE NOTIFICATIONS - Browser notifications for bookmarked releases
+// ============================================================================
+// Opt-in from the Bookmarks toolbar. Checked on load, every CHECK_INTERVAL and
+// when the tab becomes visible again. Each release (item, kind, day) notifies
+// once; a moved release date notifies again for the new day.
+
+const ReleaseNotifier = {
+  STORAGE_KEY: 'midloop_notifications',
+  CHECK_INTERVAL: 60 * 60 * 1000,
+
+  /**
+   * Lead time choices: days before release to start notifying
+   */
+  LEAD_OPTIONS: {
+    0: 'On the day',
+    1: '1 day before',
+    3: '3 days before',
+    7: '1 week before'
+  },
+
+  checkTimer: null,
+
+  /**
+   * Read the notification settings
+   * @returns {{enabled: boolean, leadDays: number, shown: object}} shown maps release keys to their day (ms)
+   */
+  getSettings() {
+    const defaults = { enabled: false, leadDays: 0, shown: {} };
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+      return {
+        enabled: saved.enabled === true,
+        leadDays: this.LEAD_OPTIONS[saved.leadDays] ? Number(saved.leadDays) : defaults.leadDays,
+        shown: saved.shown && typeof saved.shown === 'object' ? saved.shown : {}
+      };
+    } catch (e) {
+      console.warn('Error reading notification settings', e);
+      return defaults;
+    }
+  },
+
+  /**
+   * Update the notification settings
+   * @param {object} changes - Any of { enabled, leadDays, shown }
+   */
+  saveSettings(changes) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ ...this.getSettings(), ...changes }));
+    } catch (e) {
+      console.warn('Error saving notification settings', e);
+    }
+  },
 
-    setTimeout(() => {
-      const cachedData = dataCache.get(cacheKey);
-      unfilteredItemsArray = cachedData;
-      const filteredData = filterItemsByDate(cachedData, currentDateFilter);
-      displayItems(filteredData);
-      // Fade in instantly
-      container.style.opacity = '1';
-    }, 200);
-    return;
-  }
+  /**
+   * Check whether the browser supports notifications and the user allowed them
+   * @returns {boolean}
+   */
+  isAllowed() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+  },
 
-  // Fade out current content
-  container.style.transition = 'opacity 0.3s ease';
-  container.style.opacity = '0';
+  /**
+   * Find bookmarked releases happening today or within the lead time
+   * Release day has its own key, so a release notified ahead of time is
+   * still announced on the day.
+   * @param {array} items - Bookmarked items
+   * @param {number} leadDays - Days before release to include
+   * @returns {array} [{ key, item, kind: 'release'|'episode', day, daysUntil }]
+   */
+  getDueReleases(items, leadDays) {
+    return items.flatMap(item => getReleaseEvents(item).map(event => {
+      const { daysUntil } = AdapterUtils.getCountdownStatus(event.day);
+      const key = `${bookmarkManager.getItemKey(item)}|${event.kind}|${event.day.getTime()}`;
+      return { ...event, key: daysUntil === 0 ? `${key}|today` : key, daysUntil };
+    })).filter(due => due.daysUntil !== null && due.daysUntil >= 0 && due.daysUntil <= leadDays);
+  },
 
-  // Wait for fade out
-  setTimeout(() => {
-    // Add cache-busting timestamp to URL
-    fetch(`${dataFile}?t=${Date.now()}`)
-      .then(response => {
-        if (!response.ok) {
-          // If file doesn't exist (e.g. books/music), show coming soon
-          throw new Error('Content not found');
-        }
-        return response.json();
-      })
-      .then(data => {
-        // Normalize Data with error handling
-        const normalizedData = data.map((item, index) => {
-          try {
-            return config.adapter(item);
-          } catch (error) {
-            console.error(`Error normalizing ${category} item at index ${index}: `, error);
-            console.error('Raw item data:', item);
-            throw error; // Re-throw to trigger catch block
-          }
-        });
+  /**
+   * Convert shown keys saved before item keys gained the source
+   * ('movie:123|release|…' -> 'movie:tmdb:123|release|…') so those releases
+   * aren't notified a second time
+   * @param {object} shown - Release keys mapped to their day (ms)
+   * @param {array} items - Bookmarked items
+   * @returns {object} Shown entries with current keys
+   */
+  rekeyShown(shown, items) {
+    const keyMap = getLegacyKeyMap(items);
+    return Object.fromEntries(Object.entries(shown).map(([key, day]) => {
+      const [itemKey, ...rest] = key.split('|');
+      return [keyMap.has(itemKey) ? [keyMap.get(itemKey), ...rest].join('|') : key, day];
+    }));
+  },
 
-        // STORE IN CACHE
-        dataCache.set(cacheKey, normalizedData);
+  /**
+   * Notification text for a due release
+   * @param {object} due - Entry from getDueReleases()
+   * @returns {{title: string, body: string}}
+   */
+  getMessage(due) {
+    const what = due.kind === 'episode' ? 'New episode' : 'Out';
+    let when = `in ${due.daysUntil} days`;
+    if (due.daysUntil === 0) when = 'today';
+    if (due.daysUntil === 1) when = 'tomorrow';
 
-        unfilteredItemsArray = normalizedData;
-        const filteredData = filterItemsByDate(normalizedData, currentDateFilter);
-        displayItems(filteredData);
+    return { title: due.item.title, body: `${what} ${when}` };
+  },
 
-        // Fade in
-        setTimeout(() => {
-          container.style.opacity = '1';
-        }, 50);
-      })
-      .catch(error => {
-        console.log('Load error:', error);
-        const container = document.getElementById('movies-container');
-        container.innerHTML = '';
-        container.style.display = 'none';
-        container.style.opacity = '1';
-      });
-  }, 300);
-}
+  /**
+   * Show a browser notification; clicking it opens the item from Bookmarks
+   * @param {object} due - Entry from getDueReleases()
+   */
+  notify(due) {
+    const { title, body } = this.getMessage(due);
+    const notification = new Notification(title, {
+      body,
+      icon: due.item.poster || undefined,
+      tag: due.key
+    });
 
-function displayItems(items) {
-  const container = document.getElementById('movies-container');
-  container.innerHTML = '';
+    notification.addEventListener('click', () => {
+      window.focus();
+      Router.navigate(Router.buildItemPath('bookmarks', Router.getItemRouteId(due.item, 'bookmarks')));
+      notification.close();
+    });
+  },
 
-  // Store globally for modal navigation
-  currentMoviesArray = items;
+  /**
+   * Notify for due releases that haven't been shown yet
+   * @returns {array} Releases notified
+   */
+  check() {
+    const settings = this.getSettings();
+    if (!settings.enabled || !this.isAllowed()) return [];
 
-  // Show/hide the bordered grid box based on whether items exist
-  if (items.length === 0) {
-    container.style.display = 'none';
-  } else {
-    container.style.display = 'grid';
-  }
+    // Forget releases that are in the past
+    const items = bookmarkManager.getAll();
+    const today = AdapterUtils.getLocalDay(new Date()).getTime();
+    const shown = this.rekeyShown(Object.fromEntries(Object.entries(settings.shown).filter(([, day]) => day >= today)), items);
 
-  // Render cards using component system
-  items.forEach((item, index) => {
-    const card = CardComponents.createCard(item, index);
-    container.appendChild(card);
-  });
-}
+    const due = this.getDueReleases(items, settings.leadDays)
+      .filter(release => !shown[release.key]);
 
-// ============================================================================
-// DATE FILTER FUNCTIONALITY
-// ============================================================================
+    due.forEach(release => {
+      try {
+        this.notify(release);
+      } catch (e) {
+        console.warn('Release notification failed', e);
+      }
+      shown[release.key] = release.day.getTime();
+    });
 
-/**
- * Filter items by release date
- * @param {array} items - Array of normalized items
- * @param {string} filter - Filter type: 'all', 'month', 'week'
- * @returns {array} Filtered items
- */
-function filterItemsByDate(items, filter) {
-  if (filter === 'all') {
-    return items;
-  }
+    this.saveSettings({ shown });
+    return due;
+  },
 
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  /**
+   * Turn notifications on (asking for permission) or off
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} Whether notifications are now on
+   */
+  async setEnabled(enabled) {
+    if (enabled && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      await Notification.requestPermission();
+    }
 
-  return items.filter(item => {
-    if (!item.releaseDate) return false;
+    const on = enabled && this.isAllowed();
+    this.saveSettings({ enabled: on });
+    this.render();
+    if (on) this.check();
+    return on;
+  },
 
-    const releaseDate = new Date(item.releaseDate);
-    const releaseDateOnly = new Date(releaseDate.getFullYear(), releaseDate.getMonth(), releaseDate.getDate());
+  /**
+   * Reflect the settings in the toolbar controls
+   */
+  render() {
+    const button = document.getElementById('notify-toggle-btn');
+    const select = document.getElementById('notify-lead-select');
+    if (!button || !select) return;
+
+    const { enabled, leadDays } = this.getSettings();
+    const blocked = typeof Notification !== 'undefined' && Notification.permission === 'denied';
+    const on = enabled && this.isAllowed();
+
+    button.setAttribute('aria-pressed', String(on));
+    button.textContent = on ? 'Notifications on' : 'Notify me';
+    button.disabled = blocked;
+    button.title = blocked
+      ? 'Notifications are blocked for this site in your browser settings'
+      : 'Get a browser notification when bookmarked items release';
+    select.value = String(leadDays);
+    select.hidden = !on;
+  },
 
-    if (filter === 'week') {
-      // Past 7 days from today
-      const weekAgo = new Date(today);
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      return releaseDateOnly >= weekAgo && releaseDateOnly <= today;
-    }
+  /**
+   * Wire the toolbar controls and schedule checks
+   */
+  init() {
+    const group = document.getElementById('notify-tools');
+    if (!group) return;
 
-    if (filter === 'month') {
-      // Same month and year as current date
-      return releaseDate.getMonth() === now.getMonth() && 
-             releaseDate.getFullYear() === now.getFullYear();
+    if (typeof Notification === 'undefined') {
+      group.hidden = true;
+      return;
     }
 
-    return true;
-  });
-}
+    const button = document.getElementById('notify-toggle-btn');
+    const select = document.getElementById('notify-lead-select');
 
-/**
- * Apply date filter and update display
- * @param {string} filter - Filter type: 'all', 'month', 'week'
- */
-function applyDateFilter(filter) {
-  currentDateFilter = filter;
-  
-  // Update button states
-  document.querySelectorAll('.date-filter-btn').forEach(btn => {
-    if (btn.dataset.filter === filter) {
-      btn.classList.add('active');
-    } else {
-      btn.classList.remove('active');
-    }
-  });
+    select.innerHTML = Object.entries(this.LEAD_OPTIONS)
+      .map(([days, label]) => `<option value="${days}">${label}</option>`)
+      .join('');
 
-  // Filter and display items
-  const filteredItems = filterItemsByDate(unfilteredItemsArray, filter);
-  displayItems(filteredItems);
-}
+    button.addEventListener('click', () => {
+      this.setEnabled(button.getAttribute('aria-pressed') !== 'true');
+    });
+
+    select.addEventListener('change', () => {
+      this.saveSettings({ leadDays: parseInt(select.value, 10) });
+      this.check();
+    });
+
+    // Timers are throttled in background tabs; catch up when the tab is shown
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.check();
+    });
+
+    this.render();
+    this.check();
+    this.checkTimer = setInterval(() => this.check(), this.CHECK_INTERVAL);
+  }
+};
 
 // ============================================================================
 // PHASE 3: MODAL RENDERERS - Strategy pattern for type-specific rendering
@@ -2121,7 +6340,7 @@ const ModalRenderers = {
       if (meta.imdbId) {
         details.push({
           label: 'IMDb',
-          value: `< a href = "https://www.imdb.com/title/${meta.imdbId}/" target = "_blank" rel = "noopener" > View on IMDb</a > `,
+          value: `<a href="https://www.imdb.com/title/${encodeURIComponent(meta.imdbId)}/" target="_blank" rel="noopener">View on IMDb</a>`,
           isHtml: true
         });
       }
@@ -2196,7 +6415,7 @@ const ModalRenderers = {
       if (meta.imdbId) {
         details.push({
           label: 'IMDb',
-          value: `< a href = "https://www.imdb.com/title/${meta.imdbId}/" target = "_blank" rel = "noopener" > View on IMDb</a > `,
+          value: `<a href="https://www.imdb.com/title/${encodeURIComponent(meta.imdbId)}/" target="_blank" rel="noopener">View on IMDb</a>`,
           isHtml: true
         });
       }
@@ -2275,7 +6494,7 @@ const ModalRenderers = {
       if (meta.steamUrl) {
         details.push({
           label: 'Steam',
-          value: `< a href = "${sanitizeURL(meta.steamUrl)}" target = "_blank" rel = "noopener" > View on Steam</a > `,
+          value: `<a href="${sanitizeHTML(sanitizeURL(meta.steamUrl))}" target="_blank" rel="noopener">View on Steam</a>`,
           isHtml: true
         });
       }
@@ -2284,11 +6503,166 @@ const ModalRenderers = {
       if (meta.epicUrl) {
         details.push({
           label: 'Epic Games',
-          value: `< a href = "${sanitizeURL(meta.epicUrl)}" target = "_blank" rel = "noopener" > View on Epic</a > `,
+          value: `<a href="${sanitizeHTML(sanitizeURL(meta.epicUrl))}" target="_blank" rel="noopener">View on Epic</a>`,
           isHtml: true
         });
       }
 
+      return details;
+    }
+  },
+
+  /**
+   * Book renderer - handles authors, series, publisher and edition details
+   */
+  book: {
+    /**
+     * Extract and format book-specific details
+     * @param {object} item - Normalized item with metadata
+     * @returns {array} Array of {label, value} detail pairs
+     */
+    render(item) {
+      const details = [];
+      const meta = item.metadata;
+
+      // Authors (array display)
+      if (meta.authors && meta.authors.length > 0) {
+        details.push({
+          label: meta.authors.length > 1 ? 'Authors' : 'Author',
+          value: Formatters.arrayDisplay(meta.authors)
+        });
+      }
+
+      // Series (with position when known, e.g. "The Lantern Cycle #2")
+      if (meta.series) {
+        details.push({
+          label: 'Series',
+          value: meta.seriesPosition ? `${meta.series} #${meta.seriesPosition}` : meta.series
+        });
+      }
+
+      // Publisher (if available)
+      if (meta.publisher) {
+        details.push({
+          label: 'Publisher',
+          value: meta.publisher
+        });
+      }
+
+      // Page Count (if available)
+      if (meta.pageCount) {
+        details.push({
+          label: 'Pages',
+          value: String(meta.pageCount)
+        });
+      }
+
+      // Format (if available)
+      if (meta.format) {
+        details.push({
+          label: 'Format',
+          value: meta.format
+        });
+      }
+
+      // ISBN (if available)
+      if (meta.isbn) {
+        details.push({
+          label: 'ISBN',
+          value: meta.isbn
+        });
+      }
+
+      return details;
+    }
+  },
+
+  /**
+   * Music renderer - handles artists, label, release type and tracklist
+   */
+  music: {
+    /**
+     * Extract and format music-specific details
+     * @param {object} item - Normalized item with metadata
+     * @returns {array} Array of {label, value} detail pairs
+     */
+    render(item) {
+      const details = [];
+      const meta = item.metadata;
+
+      // Artists (array display)
+      if (meta.artists && meta.artists.length > 0) {
+        details.push({
+          label: meta.artists.length > 1 ? 'Artists' : 'Artist',
+          value: Formatters.arrayDisplay(meta.artists)
+        });
+      }
+
+      // Release Type (if available)
+      if (meta.releaseType) {
+        details.push({
+          label: 'Release Type',
+          value: meta.releaseType
+        });
+      }
+
+      // Label (if available)
+      if (meta.label) {
+        details.push({
+          label: 'Label',
+          value: meta.label
+        });
+      }
+
+      // Track Count (if available)
+      if (meta.trackCount) {
+        details.push({
+          label: 'Tracks',
+          value: String(meta.trackCount)
+        });
+      }
+
+      // Total Duration (if available)
+      if (meta.totalDuration) {
+        details.push({
+          label: 'Length',
+          value: Formatters.runtimeDisplay(meta.totalDuration)
+        });
+      }
+
+      // Streaming Links (if available)
+      const streamingLinks = [
+        { url: meta.spotifyUrl, label: 'Spotify' },
+        { url: meta.appleMusicUrl, label: 'Apple Music' },
+        { url: meta.bandcampUrl, label: 'Bandcamp' }
+      ];
+      streamingLinks.forEach(link => {
+        if (link.url) {
+          details.push({
+            label: link.label,
+            value: `<a href="${sanitizeHTML(sanitizeURL(link.url))}" target="_blank" rel="noopener">Listen on ${link.label}</a>`,
+            isHtml: true
+          });
+        }
+      });
+
+      // Tracklist (spans the full grid width)
+      if (meta.tracks && meta.tracks.length > 0) {
+        const rows = meta.tracks.map(track => `
+          <li class="modal-tracklist-item">
+            <span class="track-position">${sanitizeHTML(String(track.position))}</span>
+            <span class="track-title">${sanitizeHTML(track.title)}</span>
+            <span class="track-duration">${track.duration ? Formatters.runtimeDisplay(track.duration) : ''}</span>
+          </li>
+        `).join('');
+        details.push({
+          label: 'Tracklist',
+          value: `<ol class="modal-tracklist">${rows}</ol>`,
+          isHtml: true,
+          fullWidth: true
+        });
+      }
+
       return details;
     }
   }
@@ -2310,32 +6684,214 @@ function populateModalDetails(item, detailsContainer = null) {
     return;
   }
 
-  // Render type-specific details
-  const details = renderer.render(item);
+  // Render type-specific details
+  const details = renderer.render(item);
+
+  // Populate the flexible details section if it exists
+  const flexibleSection = detailsContainer || document.querySelector('#modal-flexible-details .modal-details-grid');
+  if (flexibleSection) {
+    let html = '';
+    details.forEach(detail => {
+      const displayValue = detail.isHtml ? detail.value : sanitizeHTML(detail.value);
+      html += `
+        <div class="modal-detail-card${detail.fullWidth ? ' full-width' : ''}">
+          <span class="detail-card-label">${sanitizeHTML(detail.label)}</span>
+          <span class="detail-card-value">${displayValue}</span>
+        </div>
+      `;
+    });
+    flexibleSection.innerHTML = html;
+  }
+}
+
+/**
+ * Source data changes detected for a bookmark, shown in the modal
+ * Opening the modal counts as seeing them, which clears the card's "Changed" badge.
+ */
+const ChangeLogSection = {
+  /**
+   * Render the change log for an item (hidden when there is none)
+   * @param {object} item - Normalized item
+   */
+  render(item) {
+    const section = document.getElementById('modal-change-log');
+    if (!section) return;
+
+    const entries = bookmarkManager.getChangeLog(item);
+    section.hidden = entries.length === 0;
+    if (entries.length === 0) {
+      section.innerHTML = '';
+      return;
+    }
+
+    const rows = entries.slice().reverse().map(entry => {
+      const tracked = BOOKMARK_TRACKED_FIELDS[entry.field];
+      const format = tracked ? tracked.format : (value) => String(value);
+      return `
+        <li class="change-log-entry${entry.seen ? '' : ' is-new'}">
+          <span class="change-log-field">${sanitizeHTML(tracked ? tracked.label : entry.field)}</span>
+          <span class="change-log-values">
+            <del>${sanitizeHTML(format(entry.from))}</del> → <ins>${sanitizeHTML(format(entry.to))}</ins>
+          </span>
+          <time class="change-log-date" datetime="${sanitizeHTML(entry.detectedAt)}">${Formatters.dateDisplay(entry.detectedAt, 'short')}</time>
+          ${entry.seen ? '' : '<span class="change-log-new">New</span>'}
+        </li>
+      `;
+    }).join('');
+
+    section.innerHTML = `
+      <h3 class="modal-section-heading">What Changed</h3>
+      <ul class="change-log-list">${rows}</ul>
+    `;
+
+    if (bookmarkManager.markChangesSeen(item)) {
+      CardComponents.refreshBadges(item);
+    }
+  }
+};
+
+/**
+ * Editable personal status, score and notes in the modal
+ * Rendered after the ModalRenderers details; saves straight to bookmarkManager.
+ */
+const PersonalSection = {
+  item: null,
+  notesTimer: null,
+  NOTES_DEBOUNCE: 500,
+
+  /**
+   * Render the section for an item
+   * @param {object} item - Normalized item
+   */
+  render(item) {
+    const section = document.getElementById('modal-personal-section');
+    if (!section) return;
+
+    // Don't lose notes typed just before arrowing to another item
+    this.flushNotes();
+    this.item = item;
+
+    const type = item.metadata.type;
+    const { status, score, notes } = bookmarkManager.getItemData(item);
+
+    section.innerHTML = `
+      <h3 class="modal-section-heading">My Tracking</h3>
+      <div class="personal-fields">
+        <label class="personal-field">
+          <span class="detail-card-label">Status</span>
+          <select class="personal-select" data-personal-field="status">
+            <option value="">Not set</option>
+            ${ITEM_STATUSES.map(value => `
+              <option value="${value}" ${value === status ? 'selected' : ''}>${getItemStatusLabel(value, type)}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label class="personal-field">
+          <span class="detail-card-label">My Score</span>
+          <select class="personal-select" data-personal-field="score">
+            <option value="">—</option>
+            ${Array.from({ length: 10 }, (_, i) => i + 1).map(value => `
+              <option value="${value}" ${value === score ? 'selected' : ''}>${value}/10</option>
+            `).join('')}
+          </select>
+        </label>
+      </div>
+      <label class="personal-field personal-field--notes">
+        <span class="detail-card-label">Notes</span>
+        <textarea class="personal-notes" data-personal-field="notes" rows="3" maxlength="${bookmarkManager.NOTES_MAX_LENGTH}" placeholder="Only visible to you">${sanitizeHTML(notes)}</textarea>
+      </label>
+      <p class="personal-status" aria-live="polite"></p>
+    `;
+  },
+
+  /**
+   * Save a change for the current item and update the rest of the UI
+   * @param {object} changes - Any of { status, score, notes }
+   */
+  save(changes) {
+    if (!this.item) return;
+
+    const wasBookmarked = bookmarkManager.isBookmarked(this.item);
+    const saved = bookmarkManager.setItemData(this.item, changes);
+
+    const message = document.querySelector('#modal-personal-section .personal-status');
+    if (message) {
+      if (!saved) {
+        message.textContent = 'Not saved';
+      } else if (!wasBookmarked && bookmarkManager.isBookmarked(this.item)) {
+        message.textContent = 'Saved and bookmarked';
+      } else {
+        message.textContent = 'Saved';
+      }
+    }
+    if (!saved) return;
+
+    const modalBookmarkBtn = document.getElementById('modal-bookmark-btn');
+    if (modalBookmarkBtn) {
+      modalBookmarkBtn.classList.toggle('active', bookmarkManager.isBookmarked(this.item));
+    }
+    CardComponents.refreshBadges(this.item);
+  },
+
+  /**
+   * Save notes waiting on the debounce timer
+   */
+  flushNotes() {
+    if (!this.notesTimer) return;
+
+    clearTimeout(this.notesTimer);
+    this.notesTimer = null;
+
+    const textarea = document.querySelector('#modal-personal-section .personal-notes');
+    if (textarea) {
+      this.save({ notes: textarea.value });
+    }
+  },
+
+  /**
+   * Wire the section's controls (delegated, so re-rendering keeps them working)
+   */
+  init() {
+    const section = document.getElementById('modal-personal-section');
+    if (!section) return;
+
+    section.addEventListener('change', (e) => {
+      const field = e.target.dataset.personalField;
+      if (field === 'status') {
+        this.save({ status: e.target.value || null });
+      } else if (field === 'score') {
+        this.save({ score: e.target.value ? parseInt(e.target.value, 10) : null });
+      } else if (field === 'notes') {
+        this.flushNotes();
+      }
+    });
+
+    section.addEventListener('input', (e) => {
+      if (e.target.dataset.personalField !== 'notes') return;
 
-  // Populate the flexible details section if it exists
-  const flexibleSection = detailsContainer || document.querySelector('#modal-flexible-details .modal-details-grid');
-  if (flexibleSection) {
-    let html = '';
-    details.forEach(detail => {
-      const displayValue = detail.isHtml ? detail.value : sanitizeHTML(detail.value);
-      html += `
-      < div class="modal-detail-card" >
-          <span class="detail-card-label">${sanitizeHTML(detail.label)}</span>
-          <span class="detail-card-value">${displayValue}</span>
-        </div >
-      `;
+      clearTimeout(this.notesTimer);
+      this.notesTimer = setTimeout(() => this.flushNotes(), this.NOTES_DEBOUNCE);
+    });
+
+    // Arrow keys in the notes field move the caret, not the modal
+    section.addEventListener('keydown', (e) => {
+      if (e.target.matches('textarea, select') && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+        e.stopPropagation();
+      }
     });
-    flexibleSection.innerHTML = html;
   }
-}
+};
 
 function showItemDetails(item, index = 0) {
-  // Capture focus
-  if (document.activeElement && document.activeElement !== document.body) {
+  // Capture focus (only when opening, not when arrowing between items)
+  const modalElement = document.getElementById('content-modal');
+  if (modalElement.style.display !== 'flex' && document.activeElement && document.activeElement !== document.body) {
     lastFocusedElement = document.activeElement;
   }
 
+  // Deep link: #/<category>/item/<id>
+  Router.syncItemRoute(item);
+
   const modal = document.getElementById('content-modal');
   const meta = item.metadata;
 
@@ -2344,7 +6900,7 @@ function showItemDetails(item, index = 0) {
 
   // Update initial state
   const updateModalBookmarkState = () => {
-    const isBookmarked = bookmarkManager.isBookmarked(item.id);
+    const isBookmarked = bookmarkManager.isBookmarked(item);
     modalBookmarkBtn.classList.toggle('active', isBookmarked);
   };
   updateModalBookmarkState();
@@ -2354,11 +6910,12 @@ function showItemDetails(item, index = 0) {
   modalBookmarkBtn.parentNode.replaceChild(newBtn, modalBookmarkBtn);
 
   newBtn.addEventListener('click', () => {
+    const snapshot = bookmarkManager.snapshotItem(item);
     const isAdded = bookmarkManager.toggle(item);
     newBtn.classList.toggle('active', isAdded);
 
-    // Find the card by item ID (more reliable than index which can become stale)
-    const gridCard = document.querySelector(`.content-card[data-item-id="${item.id}"]`);
+    // Find the card by item key (more reliable than index which can become stale)
+    const gridCard = CardComponents.findCard(item);
 
     // Update the card bookmark icon if it exists
     if (gridCard) {
@@ -2369,13 +6926,19 @@ function showItemDetails(item, index = 0) {
     }
 
     // If on bookmarks page and removed, close modal and remove from grid
-    if (Router.getCurrentRoute() === 'bookmarks' && !isAdded) {
+    if (Router.isBookmarksRoute() && !isAdded) {
+      Router.clearItemRoute();
+
+      if (snapshot) {
+        UndoToast.push(snapshot);
+      }
+
       // Fade out the modal
       modal.style.transition = 'opacity 0.3s ease';
       modal.style.opacity = '0';
 
       // Remove the item from currentMoviesArray
-      const itemIndex = currentMoviesArray.findIndex(m => m.id === item.id);
+      const itemIndex = currentMoviesArray.findIndex(m => AdapterUtils.isSameItem(m, item));
       if (itemIndex !== -1) {
         currentMoviesArray.splice(itemIndex, 1);
       }
@@ -2394,18 +6957,21 @@ function showItemDetails(item, index = 0) {
           setTimeout(() => {
             gridCard.remove();
             // Check if all bookmarks are gone
-            if (currentMoviesArray.length === 0) {
-              const container = document.getElementById('movies-container');
-              if (container) {
-                container.innerHTML = CardComponents.getEmptyBookmarksHTML();
-              }
-            }
+            CardComponents.checkEmptyBookmarks();
           }, 300);
         }
       }, 300);
     }
   });
 
+  // Add-to-list menu for Modal (same clone trick as the bookmark button)
+  const modalListBtn = document.getElementById('modal-list-btn');
+  const newListBtn = modalListBtn.cloneNode(true);
+  modalListBtn.parentNode.replaceChild(newListBtn, modalListBtn);
+  newListBtn.classList.toggle('active', bookmarkManager.getItemCollections(item).length > 0);
+  newListBtn.addEventListener('click', () => CollectionMenu.open(item, newListBtn));
+  CollectionMenu.close({ restoreFocus: false });
+
   // Populate Basic Info
   const modalPoster = document.getElementById('modal-poster');
   modalPoster.src = sanitizeURL(item.poster);
@@ -2447,6 +7013,10 @@ function showItemDetails(item, index = 0) {
   // This single line replaces ~200 lines of type-checking conditionals!
   populateModalDetails(item);
 
+  // Detected source changes, then personal status, score and notes
+  ChangeLogSection.render(item);
+  PersonalSection.render(item);
+
   // Store index
   modal.dataset.currentIndex = index;
   modal.style.display = 'flex';
@@ -2462,26 +7032,46 @@ function showItemDetails(item, index = 0) {
 // Global variable to store movies array
 let currentMoviesArray = [];
 let unfilteredItemsArray = []; // Store all items before filtering
-let currentDateFilter = 'all'; // Current active filter: 'all', 'month', 'week'
+let currentDateFilter = 'all'; // Current active filter, one of DATE_FILTERS
+let currentDateRange = { from: '', to: '' }; // 'YYYY-MM-DD' bounds for the 'custom' filter
+let currentSort = 'default'; // Current sort key from SORT_OPTIONS
+let currentFacets = {}; // Selected facet values keyed by FACETS key
+let currentFacetMode = 'any'; // Within a facet: 'any' (OR) or 'all' (AND)
+let currentLoadId = 0; // Incremented per loadContent call to discard stale responses
 
 // Focus Management
 let lastFocusedElement = null;
 
+/**
+ * Close the item details modal
+ * @param {object} options - Close options
+ * @param {boolean} options.updateRoute - Return the URL to the list route
+ */
+function closeItemDetails({ updateRoute = true } = {}) {
+  const modal = document.getElementById('content-modal');
+  if (!modal || modal.style.display !== 'flex') return;
+
+  modal.style.display = 'none';
+  CollectionMenu.close({ restoreFocus: false });
+  PersonalSection.flushNotes();
+
+  if (updateRoute) {
+    Router.clearItemRoute();
+  }
+
+  // Return focus
+  if (lastFocusedElement) {
+    lastFocusedElement.focus();
+    lastFocusedElement = null;
+  }
+}
+
 function setupModal() {
   const modal = document.getElementById('content-modal');
   const closeBtn = document.querySelector('.close-modal');
   const prevBtn = document.getElementById('modal-prev');
   const nextBtn = document.getElementById('modal-next');
-
-  function closeModal() {
-    modal.style.display = 'none';
-
-    // Return focus
-    if (lastFocusedElement) {
-      lastFocusedElement.focus();
-      lastFocusedElement = null;
-    }
-  }
+  const closeModal = () => closeItemDetails();
 
   closeBtn.addEventListener('click', closeModal);
 
@@ -2606,6 +7196,47 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // Custom range pickers
+  ['from', 'to'].forEach(bound => {
+    const input = document.getElementById(`date-range-${bound}`);
+    if (!input) return;
+    input.addEventListener('change', () => {
+      currentDateRange[bound] = input.value;
+      applyDateFilter('custom');
+    });
+  });
+
+  // Sort selector
+  setupSortControl();
+
+  // Facet panel
+  FacetPanel.init();
+
+  // Release calendar
+  CalendarView.init();
+
+  // iCalendar export
+  IcsExport.init();
+
+  // Bookmark import / export
+  BookmarkTransfer.init();
+
+  // Bookmark collections
+  CollectionMenu.init();
+  CollectionsNav.init();
+
+  // Personal status, score and notes (modal)
+  PersonalSection.init();
+
+  // Live updates when bookmarks change in another tab
+  BookmarkSync.init();
+
+  // Undo for bookmark removal
+  UndoToast.init();
+
+  // Release notifications for bookmarked items
+  ReleaseNotifier.init();
+
   // Grid Responsive Column Detection - Optimized Configuration System
   const contentGrid = document.getElementById('movies-container');
   
@@ -2885,6 +7516,596 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================================================
 // SEARCH FUNCTIONALITY - Unified search across all loaded content
 // ============================================================================
+// Ranked search: every query term must match some field (exactly, as a
+// prefix, inside a word, or within a small typo distance). Matches score by
+// quality times field weight, so title hits outrank overview hits. Text is
+// compared without case, diacritics or punctuation.
+
+/**
+ * Searchable fields, highest weight first
+ * `get` returns the field's text values for an item.
+ */
+const SEARCH_FIELDS = [
+  {
+    key: 'title',
+    label: 'Title',
+    weight: 10,
+    get: (item) => [item.title]
+  },
+  {
+    key: 'originalTitle',
+    label: 'Original title',
+    weight: 8,
+    get: (item) => [item.metadata.originalTitle]
+  },
+  {
+    key: 'people',
+    label: 'People',
+    weight: 5,
+    get: (item) => {
+      const meta = item.metadata;
+      return [meta.director].concat(
+        (meta.topCast || []).slice(0, 5),
+        meta.creators || [],
+        meta.authors || [],
+        meta.artists || []
+      );
+    }
+  },
+  {
+    key: 'companies',
+    label: 'Companies',
+    weight: 4,
+    get: (item) => {
+      const meta = item.metadata;
+      return [meta.publisher, meta.label].concat(
+        AdapterUtils.parseJSONArray(meta.productionCompanies), // Still a string in bookmarks saved before it was parsed
+        meta.developers || [],
+        meta.publishers || [],
+        meta.networks || []
+      );
+    }
+  },
+  {
+    key: 'genres',
+    label: 'Genres',
+    weight: 3,
+    get: (item) => item.genres || []
+  },
+  {
+    key: 'keywords',
+    label: 'Keywords',
+    weight: 3,
+    get: (item) => item.metadata.keywords || []
+  },
+  {
+    key: 'overview',
+    label: 'Overview',
+    weight: 1,
+    get: (item) => [item.description]
+  }
+];
+
+/**
+ * Match quality by kind; the best match per query term counts
+ */
+const SEARCH_MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  substring: 0.6,
+  fuzzy: 0.5
+};
+
+/**
+ * A word in original (unfolded) text, as tokenizeSearchText() splits it
+ */
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}\p{M}'’]+/gu;
+
+/**
+ * Letters that NFD doesn't split into a base letter and a mark
+ */
+const SEARCH_LETTER_FOLDS = {
+  ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i'
+};
+
+/**
+ * Fold text for matching: lowercase, no diacritics, punctuation as spaces
+ * Apostrophes are dropped so "Yuki's" matches "yukis".
+ * @param {string} text - Any text
+ * @returns {string} Folded text
+ *
+ * @example
+ * foldSearchText('Pokémon: Legends – Z-A')
+ * // Returns: 'pokemon legends z a'
+ */
+function foldSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[øæœßłđðþı]/g, letter => SEARCH_LETTER_FOLDS[letter])
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split text into folded words
+ * @param {string} text - Any text
+ * @returns {array} Words
+ */
+function tokenizeSearchText(text) {
+  const folded = foldSearchText(text);
+  return folded ? folded.split(' ') : [];
+}
+
+/**
+ * Edit distance between two words (insert, delete, substitute, swap)
+ * Stops early once the distance is known to exceed `max`.
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 if larger than max
+ */
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Typos allowed for a query term (none for short terms)
+ * @param {string} term - Folded query term
+ * @returns {number} Maximum edit distance
+ */
+function getAllowedTypos(term) {
+  if (term.length < 5) return 0;
+  return term.length < 9 ? 1 : 2;
+}
+
+/**
+ * How well a query term matches a word
+ * @param {string} term - Folded query term
+ * @param {string} word - Folded word from a field
+ * @returns {number} Score from SEARCH_MATCH_SCORES, or 0
+ */
+function matchSearchTerm(term, word) {
+  if (word === term) return SEARCH_MATCH_SCORES.exact;
+  if (word.startsWith(term)) return SEARCH_MATCH_SCORES.prefix;
+  if (term.length >= 3 && word.includes(term)) return SEARCH_MATCH_SCORES.substring;
+
+  const typos = getAllowedTypos(term);
+  if (typos === 0) return 0;
+
+  // Typos in a word being typed: compare against a prefix of the same length too
+  const distance = Math.min(
+    getEditDistance(term, word, typos),
+    word.length > term.length ? getEditDistance(term, word.slice(0, term.length), typos) : typos + 1
+  );
+  return distance <= typos ? SEARCH_MATCH_SCORES.fuzzy : 0;
+}
+
+/**
+ * Folded words per searchable field, cached per item object
+ */
+const searchWordsCache = new WeakMap();
+
+/**
+ * Get an item's folded words for each searchable field
+ * @param {object} item - Normalized item
+ * @returns {array} [{ field, words }] in SEARCH_FIELDS order
+ */
+function getSearchWords(item) {
+  if (!searchWordsCache.has(item)) {
+    searchWordsCache.set(item, SEARCH_FIELDS.map(field => ({
+      field,
+      words: [...new Set(field.get(item).filter(Boolean).flatMap(value => tokenizeSearchText(value)))]
+    })));
+  }
+  return searchWordsCache.get(item);
+}
+
+/**
+ * Score an item against a query
+ * @param {object} item - Normalized item
+ * @param {array} terms - Folded query terms
+ * @param {string} [foldedQuery] - Whole folded query (phrase bonus)
+ * @returns {{score: number, matches: object}|null} Score and matched words per
+ *   field key, or null when some term matches nothing
+ */
+function scoreSearchItem(item, terms, foldedQuery = terms.join(' ')) {
+  const fields = getSearchWords(item);
+
+  let score = 0;
+  const matches = {};
+
+  for (const term of terms) {
+    let best = null;
+    fields.forEach(({ field, words }) => {
+      words.forEach(word => {
+        const quality = matchSearchTerm(term, word);
+        if (quality === 0) return;
+
+        const value = quality * field.weight;
+        if (!best || value > best.value) {
+          best = { value, field: field.key, word };
+        }
+      });
+    });
+
+    if (!best) return null;
+
+    score += best.value;
+    (matches[best.field] = matches[best.field] || new Set()).add(best.word);
+  }
+
+  // Phrase bonus: whole query at the start of (or equal to) the title
+  const foldedTitle = foldSearchText(item.title);
+  if (foldedTitle === foldedQuery) {
+    score += 20;
+  } else if (foldedTitle.startsWith(foldedQuery)) {
+    score += 10;
+  }
+
+  return { score, matches };
+}
+
+/**
+ * Wrap matched words of a text in <mark>, escaping everything else
+ * @param {string} text - Original text
+ * @param {Set<string>|null} words - Folded words to highlight
+ * @returns {string} Safe HTML
+ *
+ * @example
+ * highlightSearchMatches('Pokémon Legends', new Set(['pokemon']))
+ * // Returns: '<mark>Pokémon</mark> Legends'
+ */
+function highlightSearchMatches(text, words) {
+  const source = String(text || '');
+  if (!words || words.size === 0) return sanitizeHTML(source);
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of source.matchAll(SEARCH_WORD_PATTERN)) {
+    if (!words.has(foldSearchText(match[0]))) continue;
+
+    html += sanitizeHTML(source.slice(lastIndex, match.index)) + `<mark>${sanitizeHTML(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return html + sanitizeHTML(source.slice(lastIndex));
+}
+
+/**
+ * Describe where a result matched, for fields other than the title
+ * @param {object} item - Normalized item
+ * @param {object} matches - Matched words per field key (from scoreSearchItem)
+ * @returns {string} Safe HTML like 'Director: <mark>Tarantino</mark>', or ''
+ */
+function getSearchMatchContext(item, matches) {
+  const field = SEARCH_FIELDS.find(entry => entry.key !== 'title' && matches[entry.key]);
+  if (!field) return '';
+
+  const words = matches[field.key];
+  const values = [...new Set(field.get(item).filter(Boolean).map(String))];
+
+  if (field.key === 'overview') {
+    // Window of the overview around the first matched word
+    const text = values[0] || '';
+    const match = Array.from(text.matchAll(SEARCH_WORD_PATTERN)).find(m => words.has(foldSearchText(m[0])));
+    const start = match && match.index > 30 ? text.lastIndexOf(' ', match.index - 30) + 1 : 0;
+    const snippet = text.slice(start, start + 100);
+    return `${start > 0 ? '…' : ''}${highlightSearchMatches(snippet, words)}${start + 100 < text.length ? '…' : ''}`;
+  }
+
+  const matched = values.filter(value => tokenizeSearchText(value).some(word => words.has(word)));
+  return `${sanitizeHTML(field.label)}: ${matched.map(value => highlightSearchMatches(value, words)).join(', ')}`;
+}
+
+// ---- Query syntax ----------------------------------------------------------
+// Free text mixed with qualifiers, e.g.
+//   type:game platform:PC genre:RPG year:2026 rating:>70 before:2026-06-01 bookmarked
+// Values with spaces are quoted (developer:"Game Freak"); a leading '-'
+// negates a qualifier or flag. Unknown qualifiers are reported and searched
+// as text, so titles like "Re:Zero" still match.
+
+/**
+ * Type names accepted by type: (item types and category names)
+ */
+const SEARCH_TYPE_ALIASES = {
+  movie: 'movie', movies: 'movie', film: 'movie', films: 'movie',
+  tv: 'tv-show', 'tv-show': 'tv-show', 'tv-shows': 'tv-show', show: 'tv-show', shows: 'tv-show', series: 'tv-show',
+  game: 'game', games: 'game',
+  book: 'book', books: 'book',
+  music: 'music', album: 'music', albums: 'music'
+};
+
+/**
+ * Parse a number comparison such as '>70', '<=7.5' or '2026'
+ * @param {string} value - Qualifier value
+ * @returns {{op: string, value: number}|null} Comparison, or null if invalid
+ */
+function parseSearchComparison(value) {
+  const match = String(value).match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  return match ? { op: match[1] || '=', value: parseFloat(match[2]) } : null;
+}
+
+/**
+ * Check a number against a parsed comparison
+ * @param {number|null} actual - Item value
+ * @param {{op: string, value: number}} comparison - From parseSearchComparison()
+ * @returns {boolean} False when the item has no value
+ */
+function compareSearchNumber(actual, comparison) {
+  if (actual === null || actual === undefined || isNaN(actual)) return false;
+
+  switch (comparison.op) {
+    case '>': return actual > comparison.value;
+    case '>=': return actual >= comparison.value;
+    case '<': return actual < comparison.value;
+    case '<=': return actual <= comparison.value;
+    default: return actual === comparison.value;
+  }
+}
+
+/**
+ * Parse a date period: 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD'
+ * @param {string} value - Qualifier value
+ * @returns {{start: Date, end: Date}|null} First and last local day, or null if invalid
+ */
+function parseSearchPeriod(value) {
+  const match = String(value).match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+  if (month !== null && (month < 0 || month > 11)) return null;
+
+  if (day !== null) {
+    const date = new Date(year, month, day);
+    return date.getMonth() === month ? { start: date, end: date } : null;
+  }
+  if (month !== null) {
+    return { start: new Date(year, month, 1), end: new Date(year, month + 1, 0) };
+  }
+  return { start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+}
+
+/**
+ * Check whether any value contains the wanted words (folded, whole words)
+ * @param {array} values - Item values
+ * @param {string} wanted - Folded qualifier value
+ * @returns {boolean}
+ */
+function matchesSearchValue(values, wanted) {
+  return (values || []).some(value => ` ${foldSearchText(value)} `.includes(` ${wanted} `));
+}
+
+/**
+ * Text qualifier over a list of item values
+ * @param {string} label - Name used in messages
+ * @param {function} getValues - item => array of strings
+ * @returns {object} Qualifier definition
+ */
+function createTextQualifier(label, getValues) {
+  return {
+    label,
+    hint: `${label.toLowerCase()}:"some name"`,
+    parse: (value) => foldSearchText(value) || null,
+    test: (item, wanted) => matchesSearchValue(getValues(item), wanted)
+  };
+}
+
+/**
+ * Release day of an item, for date qualifiers
+ * @param {object} item - Normalized item
+ * @returns {Date|null} Local day
+ */
+function getSearchReleaseDay(item) {
+  return AdapterUtils.getLocalDay(item.releaseDate);
+}
+
+/**
+ * Qualifiers (name:value)
+ * `parse` turns the raw value into what `test` expects, or null when invalid.
+ */
+const SEARCH_QUALIFIERS = {
+  type: {
+    label: 'Type',
+    hint: 'type:game (movie, tv, game, book or music)',
+    parse: (value) => SEARCH_TYPE_ALIASES[String(value).toLowerCase()] || null,
+    test: (item, type) => item.metadata.type === type
+  },
+  genre: createTextQualifier('Genre', (item) => getFacetValues(item, 'genre')),
+  platform: createTextQualifier('Platform', (item) => getFacetValues(item, 'platform')),
+  mode: createTextQualifier('Mode', (item) => getFacetValues(item, 'mode')),
+  network: createTextQualifier('Network', (item) => getFacetValues(item, 'network')),
+  status: createTextQualifier('Status', (item) => getFacetValues(item, 'status')),
+  developer: createTextQualifier('Developer', (item) => item.metadata.developers),
+  publisher: createTextQualifier('Publisher', (item) => [item.metadata.publisher].concat(item.metadata.publishers || []).filter(Boolean)),
+  director: createTextQualifier('Director', (item) => [item.metadata.director].filter(Boolean)),
+  cast: createTextQualifier('Cast', (item) => item.metadata.topCast),
+  creator: createTextQualifier('Creator', (item) => item.metadata.creators),
+  author: createTextQualifier('Author', (item) => item.metadata.authors),
+  artist: createTextQualifier('Artist', (item) => item.metadata.artists),
+  label: createTextQualifier('Label', (item) => [item.metadata.label].filter(Boolean)),
+  year: {
+    label: 'Year',
+    hint: 'year:2026 or year:>=2025',
+    parse: parseSearchComparison,
+    test: (item, comparison) => {
+      const day = getSearchReleaseDay(item);
+      return compareSearchNumber(day ? day.getFullYear() : null, comparison);
+    }
+  },
+  rating: {
+    label: 'Rating',
+    // Values up to 10 compare on the 0-10 scale, larger ones as percentages
+    hint: 'rating:>7 or rating:>70',
+    parse: parseSearchComparison,
+    test: (item, comparison) => {
+      if (!item.rating) return false;
+      const rating = Formatters.ratingNormalized(item.rating, item.ratingMax);
+      return compareSearchNumber(comparison.value > 10 ? rating * 10 : rating, comparison);
+    }
+  },
+  before: {
+    label: 'Before',
+    hint: 'before:2026-06-01 (or 2026-06, 2026)',
+    parse: parseSearchPeriod,
+    test: (item, period) => {
+      const day = getSearchReleaseDay(item);
+      return Boolean(day) && day < period.start;
+    }
+  },
+  after: {
+    label: 'After',
+    hint: 'after:2026-06-01 (or 2026-06, 2026)',
+    parse: parseSearchPeriod,
+    test: (item, period) => {
+      const day = getSearchReleaseDay(item);
+      return Boolean(day) && day > period.end;
+    }
+  }
+};
+
+/**
+ * Bare-word flags
+ */
+const SEARCH_FLAGS = {
+  bookmarked: (item) => bookmarkManager.isBookmarked(item),
+  upcoming: (item) => {
+    const { daysUntil } = AdapterUtils.getCountdownStatus(item.releaseDate);
+    return daysUntil !== null && daysUntil >= 0;
+  },
+  tba: (item) => !item.releaseDate
+};
+
+/**
+ * Recent and pinned searches, shown when the empty search bar is focused
+ * Queries are compared case-insensitively.
+ */
+const SearchHistory = {
+  STORAGE_KEY: 'midloop_search_history',
+
+  /**
+   * Recent searches kept
+   */
+  RECENT_LIMIT: 8,
+
+  /**
+   * Read the stored history
+   * @returns {{recent: string[], pinned: string[]}} Newest first
+   */
+  read() {
+    const defaults = { recent: [], pinned: [] };
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+      const toList = (value) => (Array.isArray(value) ? value.filter(query => typeof query === 'string' && query.trim()) : []);
+      return { recent: toList(saved.recent), pinned: toList(saved.pinned) };
+    } catch (e) {
+      console.warn('Error reading search history', e);
+      return defaults;
+    }
+  },
+
+  /**
+   * Store the history
+   * @param {{recent: string[], pinned: string[]}} history - Newest first
+   */
+  write(history) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(history));
+    } catch (e) {
+      console.warn('Error saving search history', e);
+    }
+  },
+
+  /**
+   * Drop a query from a list, ignoring case
+   * @param {string[]} list - Queries
+   * @param {string} query - Query to drop
+   * @returns {string[]} Remaining queries
+   */
+  without(list, query) {
+    const key = query.toLowerCase();
+    return list.filter(entry => entry.toLowerCase() !== key);
+  },
+
+  /**
+   * Remember a search (moves it to the top of the recent list)
+   * @param {string} query - Search query
+   */
+  add(query) {
+    const value = String(query || '').trim();
+    if (!value) return;
+
+    const history = this.read();
+    this.write({ ...history, recent: [value, ...this.without(history.recent, value)].slice(0, this.RECENT_LIMIT) });
+  },
+
+  /**
+   * Forget a search (recent and pinned)
+   * @param {string} query - Search query
+   */
+  remove(query) {
+    const { recent, pinned } = this.read();
+    this.write({ recent: this.without(recent, query), pinned: this.without(pinned, query) });
+  },
+
+  /**
+   * Pin a search, or unpin it (it stays in the recent list)
+   * @param {string} query - Search query
+   * @returns {boolean} True if the query is now pinned
+   */
+  togglePin(query) {
+    const { recent, pinned } = this.read();
+    const remaining = this.without(pinned, query);
+
+    if (remaining.length !== pinned.length) {
+      this.write({ recent: [query, ...this.without(recent, query)].slice(0, this.RECENT_LIMIT), pinned: remaining });
+      return false;
+    }
+
+    this.write({ recent, pinned: [query, ...pinned] });
+    return true;
+  },
+
+  /**
+   * Entries for the dropdown: pinned first, then recent ones not pinned
+   * @returns {array} [{ query, pinned }]
+   */
+  getEntries() {
+    const { recent, pinned } = this.read();
+    const unpinned = pinned.reduce((list, query) => this.without(list, query), recent);
+
+    return [
+      ...pinned.map(query => ({ query, pinned: true })),
+      ...unpinned.map(query => ({ query, pinned: false }))
+    ];
+  }
+};
 
 const SearchModule = {
   /**
@@ -2892,12 +8113,23 @@ const SearchModule = {
    */
   allItems: [],
 
+  /**
+   * Resolves once allItems is loaded (null before init)
+   */
+  ready: null,
+
   /**
    * Initialize search module
    */
   init() {
     this.setupEventListeners();
-    this.loadAllContent();
+    this.load().then(() => {
+      // Show results for a query restored from the URL (?q=)
+      const query = this.getQuery();
+      if (query) {
+        this.displayResults(query);
+      }
+    });
     this.updateDropdownPosition();
     
     // Update dropdown position when sidebar toggles
@@ -2919,6 +8151,50 @@ const SearchModule = {
     }
   },
 
+  /**
+   * Start loading every category (once)
+   * The results page can run before init(), so both share this promise.
+   * @returns {Promise<void>} Resolves once allItems is loaded
+   */
+  load() {
+    if (!this.ready) {
+      this.ready = this.loadAllContent();
+    }
+    return this.ready;
+  },
+
+  /**
+   * Get the current search query
+   * @returns {string} Trimmed search input value
+   */
+  getQuery() {
+    const searchInput = document.getElementById('search-input');
+    return searchInput ? searchInput.value.trim() : '';
+  },
+
+  /**
+   * Set the search query (used when restoring state from the URL)
+   * @param {string} query - Search query
+   */
+  setQuery(query) {
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput || searchInput.value.trim() === query) return;
+
+    searchInput.value = query;
+
+    if (!query) {
+      this.close();
+      return;
+    }
+
+    // Before init(), results are shown once content has loaded
+    if (this.ready) {
+      this.ready.then(() => {
+        this.displayResults(query);
+      });
+    }
+  },
+
   /**
    * Update dropdown position based on sidebar state
    */
@@ -2941,110 +8217,309 @@ const SearchModule = {
 
   /**
    * Load all content from all categories for search
+   * Goes through loadCategoryItems() so search shares dataCache (and the
+   * normalized items) with the grid instead of downloading everything again.
    */
   async loadAllContent() {
+    const sources = Object.entries(CATEGORY_CONFIG)
+      .filter(([, config]) => config && config.dataFile)
+      .flatMap(([category, config]) => [null, ...Object.keys(config.subcategories || {})]
+        .map(subcategory => ({ category, subcategory })));
+
+    const results = await Promise.all(sources.map(({ category, subcategory }) => this.loadCategory(category, subcategory)));
+    this.allItems = this.dedupeItems(results.flat());
+    console.log(`Search: Loaded ${this.allItems.length} items for searching (deduped)`);
+  },
+
+  /**
+   * Load one category (or subcategory) for search
+   * @param {string} category - Category key from CATEGORY_CONFIG
+   * @param {string|null} [subcategory] - Subcategory key
+   * @returns {Promise<Array>} Normalized items (empty if loading failed)
+   */
+  async loadCategory(category, subcategory = null) {
     try {
-      const promises = [];
+      return await loadCategoryItems(category, subcategory);
+    } catch (error) {
+      console.warn(`Failed to load ${subcategory ? `${category}/${subcategory}` : category} for search:`, error);
+      return [];
+    }
+  },
 
-      // Load top-level categories and their subcategories (e.g., movies/past-week)
-      Object.entries(CATEGORY_CONFIG).forEach(([category, config]) => {
-        if (config && config.dataFile && config.adapter) {
-          promises.push(this.loadDataFile(config.dataFile, config.adapter));
-        }
+  /**
+   * Deduplicate items by item key to avoid duplicates across subcategories
+   */
+  dedupeItems(items) {
+    return dedupeItems(items.filter(item => item && item.id && item.metadata));
+  },
 
-        if (config && config.subcategories && config.adapter) {
-          Object.values(config.subcategories).forEach(subCfg => {
-            const subAdapter = subCfg && (subCfg.adapter || config.adapter);
-            if (subCfg && subCfg.dataFile && subAdapter) {
-              promises.push(this.loadDataFile(subCfg.dataFile, subAdapter));
-            }
-          });
+  /**
+   * Maximum results in the dropdown
+   */
+  DROPDOWN_LIMIT: 8,
+
+  /**
+   * Split a query into chunks, keeping quoted values together
+   * @param {string} query - Search query
+   * @returns {array} [{ raw, negate, key, value }] (key is null for free text and flags)
+   *
+   * @example
+   * tokenizeQuery('developer:"Game Freak" -bookmarked zelda')
+   * // Returns: [
+   * //   { raw: 'developer:"Game Freak"', negate: false, key: 'developer', value: 'Game Freak' },
+   * //   { raw: '-bookmarked', negate: true, key: null, value: 'bookmarked' },
+   * //   { raw: 'zelda', negate: false, key: null, value: 'zelda' }
+   * // ]
+   */
+  tokenizeQuery(query) {
+    const chunks = String(query || '').match(/[^\s"]*"[^"]*"?|\S+/g) || [];
+    const unquote = (text) => text.replace(/"/g, '');
+
+    return chunks.map(raw => {
+      const qualifier = raw.match(/^(-?)([a-z]+):(.+)$/i);
+      if (qualifier && unquote(qualifier[3]).trim()) {
+        return { raw, negate: qualifier[1] === '-', key: qualifier[2].toLowerCase(), value: unquote(qualifier[3]).trim() };
+      }
+
+      const negated = raw.match(/^-([^\s-].*)$/);
+      return negated
+        ? { raw, negate: true, key: null, value: unquote(negated[1]) }
+        : { raw, negate: false, key: null, value: unquote(raw) };
+    });
+  },
+
+  /**
+   * Parse a query into free text, filters and errors
+   * @param {string} query - Search query
+   * @returns {{text: string, filters: array, errors: array}} filters are
+   *   [{ raw, negate, test: item => boolean }]; errors are [{ token, message }]
+   */
+  parseQuery(query) {
+    const text = [];
+    const filters = [];
+    const errors = [];
+
+    this.tokenizeQuery(query).forEach(token => {
+      const flagName = token.value.toLowerCase();
+
+      if (!token.key) {
+        if (SEARCH_FLAGS[flagName]) {
+          filters.push({ raw: token.raw, negate: token.negate, test: SEARCH_FLAGS[flagName] });
+        } else if (token.negate) {
+          // -word excludes items the word would match
+          const terms = tokenizeSearchText(token.value);
+          if (terms.length === 0) {
+            errors.push({ token: token.raw, message: `Nothing to exclude in “${token.raw}”` });
+          } else {
+            filters.push({ raw: token.raw, negate: true, test: (item) => scoreSearchItem(item, terms) !== null });
+          }
+        } else {
+          text.push(token.value);
         }
-      });
+        return;
+      }
 
-      const results = await Promise.all(promises);
-      this.allItems = this.dedupeItems(results.flat());
-      console.log(`Search: Loaded ${this.allItems.length} items for searching (deduped)`);
-    } catch (error) {
-      console.error('Error loading content for search:', error);
+      const qualifier = SEARCH_QUALIFIERS[token.key];
+      if (!qualifier) {
+        errors.push({ token: token.raw, message: `Unknown filter “${token.key}:” (searched as text)` });
+        text.push(token.raw);
+        return;
+      }
+
+      const parsed = qualifier.parse(token.value);
+      if (parsed === null) {
+        errors.push({ token: token.raw, message: `Can't read “${token.raw}”, try ${qualifier.hint}` });
+        return;
+      }
+
+      filters.push({ raw: token.raw, negate: token.negate, test: (item) => qualifier.test(item, parsed) });
+    });
+
+    return { text: text.join(' '), filters, errors };
+  },
+
+  /**
+   * Rank items against a query, best first
+   * Qualifiers, flags and -excluded words filter; free text scores. With no free text, every
+   * item passing the filters is returned by popularity.
+   * @param {string} query - Search query (may use the query syntax)
+   * @param {array} [items] - Items to search (defaults to all loaded items)
+   * @returns {array} [{ item, score, matches }] (see scoreSearchItem)
+   */
+  rank(query, items = this.allItems) {
+    const { text, filters } = this.parseQuery(query);
+    const terms = tokenizeSearchText(text);
+    if (terms.length === 0 && filters.length === 0) return [];
+
+    const foldedQuery = terms.join(' ');
+    return items
+      .filter(item => filters.every(filter => filter.test(item) !== filter.negate))
+      .map(item => (terms.length > 0
+        ? { item, ...scoreSearchItem(item, terms, foldedQuery) }
+        : { item, score: 0, matches: {} }))
+      .filter(result => result.matches)
+      .sort((a, b) => b.score - a.score || (b.item.popularity || 0) - (a.item.popularity || 0));
+  },
+
+  /**
+   * Search items for the dropdown
+   * @param {string} query - Search query
+   * @returns {array} Best matching items
+   */
+  search(query) {
+    return this.rank(query).slice(0, this.DROPDOWN_LIMIT).map(result => result.item);
+  },
+
+  /**
+   * Delay before typing updates the results (ms)
+   */
+  INPUT_DEBOUNCE: 300,
+
+  /**
+   * Actions for the options in the dropdown, indexed by data-option-index
+   * Each is { activate: Function, query?: string } (query is set on recent searches)
+   */
+  options: [],
+
+  /**
+   * Index of the option highlighted with the arrow keys (-1 = none)
+   */
+  activeIndex: -1,
+
+  /**
+   * Check whether the dropdown is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    const searchResults = document.getElementById('search-results');
+    return Boolean(searchResults && searchResults.classList.contains('active'));
+  },
+
+  /**
+   * Open the dropdown and announce what it lists
+   * @param {string} status - Message for screen readers (e.g., '8 results available')
+   */
+  open(status) {
+    document.getElementById('search-results').classList.add('active');
+    document.getElementById('search-input').setAttribute('aria-expanded', 'true');
+    this.setActiveOption(-1);
+    this.announce(status);
+  },
+
+  /**
+   * Close the dropdown
+   */
+  close() {
+    const searchResults = document.getElementById('search-results');
+    const searchInput = document.getElementById('search-input');
+    if (searchResults) searchResults.classList.remove('active');
+    if (searchInput) searchInput.setAttribute('aria-expanded', 'false');
+    this.setActiveOption(-1);
+  },
+
+  /**
+   * Update the visually hidden status region next to the search bar
+   * @param {string} message - Text to announce
+   */
+  announce(message) {
+    const status = document.getElementById('search-status');
+    if (status) {
+      status.textContent = message;
     }
   },
 
   /**
-   * Load a single category's data (top-level)
+   * Highlight an option and point aria-activedescendant at it
+   * @param {number} index - Option index (-1 clears the highlight)
    */
-  async loadCategory(category) {
-    const config = CATEGORY_CONFIG[category];
-    if (!config || !config.dataFile) return [];
+  setActiveOption(index) {
+    const searchInput = document.getElementById('search-input');
+    const listContainer = document.getElementById('search-results-list');
+    this.activeIndex = index;
+    if (!searchInput || !listContainer) return;
+
+    listContainer.querySelectorAll('[role="option"]').forEach(option => {
+      const isActive = Number(option.dataset.optionIndex) === index;
+      option.classList.toggle('is-active', isActive);
+      option.setAttribute('aria-selected', String(isActive));
+      if (isActive) {
+        option.scrollIntoView({ block: 'nearest' });
+      }
+    });
 
-    try {
-      return this.loadDataFile(config.dataFile, config.adapter);
-    } catch (error) {
-      console.warn(`Failed to load ${category} for search:`, error);
-      return [];
+    if (index >= 0) {
+      searchInput.setAttribute('aria-activedescendant', `search-option-${index}`);
+    } else {
+      searchInput.removeAttribute('aria-activedescendant');
     }
   },
 
   /**
-   * Load and normalize a data file with the given adapter
+   * Move the highlight up or down
+   * Moving past either end returns to the input, then wraps.
+   * @param {number} step - 1 (down) or -1 (up)
    */
-  async loadDataFile(dataFile, adapter) {
-    if (!dataFile || !adapter) return [];
-    try {
-      const response = await fetch(`${dataFile}?t=${Date.now()}`);
-      if (!response.ok) return [];
-      const data = await response.json();
-      return data.map(adapter);
-    } catch (error) {
-      console.warn(`Failed to load data file ${dataFile} for search:`, error);
-      return [];
+  moveActiveOption(step) {
+    const count = this.options.length;
+    if (count === 0) return;
+
+    // Positions 1..count are options; 0 is the input itself
+    const position = (this.activeIndex + 1 + step + count + 1) % (count + 1);
+    this.setActiveOption(position - 1);
+  },
+
+  /**
+   * Run an option's action
+   * @param {number} index - Option index
+   */
+  activateOption(index) {
+    const option = this.options[index];
+    if (option) {
+      option.activate();
     }
   },
 
   /**
-   * Deduplicate items by metadata type + id to avoid duplicates across subcategories
+   * Show results for the current query, or recent searches when it is empty
    */
-  dedupeItems(items) {
-    const seen = new Set();
-    const unique = [];
-    items.forEach(item => {
-      if (!item || !item.id) return;
-      const key = `${item.metadata && item.metadata.type ? item.metadata.type : 'item'}-${item.id}`;
-      if (seen.has(key)) return;
-      seen.add(key);
-      unique.push(item);
-    });
-    return unique;
+  showSuggestions() {
+    const query = this.getQuery();
+    if (query) {
+      this.displayResults(query);
+    } else {
+      this.showRecent();
+    }
   },
 
   /**
-   * Search items by title and genres
+   * Put a query in the search bar and show its results
    * @param {string} query - Search query
-   * @returns {array} Matching items
    */
-  search(query) {
-    if (!query || query.trim().length === 0) {
-      return [];
+  useQuery(query) {
+    document.getElementById('search-input').value = query;
+    if (Router.isSearchRoute()) {
+      SearchPage.update();
     }
+    this.showSuggestions();
+    Router.updateQuery();
+  },
 
-    const lowerQuery = query.toLowerCase().trim();
-    
-    return this.allItems.filter(item => {
-      // Search in title
-      if (item.title && item.title.toLowerCase().includes(lowerQuery)) {
-        return true;
-      }
+  /**
+   * Open a result in the details modal, remembering the query
+   * @param {object} item - Normalized item
+   * @param {string} query - Query that found it
+   */
+  openResult(item, query) {
+    SearchHistory.add(query);
 
-      // Search in genres
-      if (item.genres && Array.isArray(item.genres)) {
-        const genreMatch = item.genres.some(genre =>
-          genre.toLowerCase().includes(lowerQuery)
-        );
-        if (genreMatch) return true;
-      }
+    // Close search results (before the modal records its route)
+    this.close();
+    document.getElementById('search-input').value = '';
+    Router.updateQuery();
 
-      return false;
-    }).slice(0, 8); // Limit to 8 results
+    // Find the item's index in currentMoviesArray (or use the search result's position)
+    const itemIndex = currentMoviesArray.findIndex(i => AdapterUtils.isSameItem(i, item));
+    showItemDetails(item, itemIndex >= 0 ? itemIndex : 0);
   },
 
   /**
@@ -3059,102 +8534,454 @@ const SearchModule = {
 
     // Debounce search input
     let searchTimeout;
-    searchInput.addEventListener('input', (e) => {
+    searchInput.addEventListener('input', () => {
       clearTimeout(searchTimeout);
-      const query = e.target.value;
 
       searchTimeout = setTimeout(() => {
-        this.displayResults(query, searchResultsList, searchResults);
-      }, 300); // 300ms debounce
+        // The results page updates its cards; the dropdown stays closed there
+        if (Router.isSearchRoute()) {
+          SearchPage.update();
+        }
+        this.showSuggestions();
+        Router.updateQuery();
+      }, this.INPUT_DEBOUNCE);
+    });
+
+    // Recent searches when the empty bar is focused
+    searchInput.addEventListener('focus', () => {
+      if (!this.getQuery()) {
+        this.showRecent();
+      }
+    });
+
+    // Combobox keys (WAI-ARIA: focus stays in the input, options are active descendants)
+    searchInput.addEventListener('keydown', (e) => {
+      const activeOption = this.options[this.activeIndex];
+
+      switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+          e.preventDefault();
+          if (this.isOpen()) {
+            this.moveActiveOption(e.key === 'ArrowDown' ? 1 : -1);
+          } else {
+            this.showSuggestions();
+          }
+          break;
+
+        case 'Enter':
+          e.preventDefault();
+          clearTimeout(searchTimeout);
+          if (this.isOpen() && activeOption) {
+            this.activateOption(this.activeIndex);
+          } else {
+            // Enter opens every match on the results page
+            SearchPage.open(this.getQuery());
+          }
+          break;
+
+        case 'Escape':
+          // First Escape closes the list, the next clears the query
+          if (this.isOpen()) {
+            this.close();
+          } else if (searchInput.value) {
+            clearTimeout(searchTimeout);
+            searchInput.value = '';
+            if (Router.isSearchRoute()) SearchPage.update();
+            Router.updateQuery();
+          }
+          break;
+
+        case 'Delete':
+          // Forget the highlighted recent search
+          if (activeOption && activeOption.query) {
+            e.preventDefault();
+            SearchHistory.remove(activeOption.query);
+            this.showRecent();
+          }
+          break;
+
+        case 'Tab':
+          this.close();
+          break;
+
+        default:
+          // Alt+P pins or unpins the highlighted recent search (e.code: Alt changes e.key on macOS)
+          if (e.altKey && e.code === 'KeyP' && activeOption && activeOption.query) {
+            e.preventDefault();
+            SearchHistory.togglePin(activeOption.query);
+            this.showRecent();
+            this.setActiveOption(this.options.findIndex(option => option.query === activeOption.query));
+          }
+      }
+    });
+
+    // Keep focus in the input while using the dropdown with the mouse
+    searchResults.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+    });
+
+    searchResultsList.addEventListener('click', (e) => {
+      const pinBtn = e.target.closest('[data-search-pin]');
+      const removeBtn = e.target.closest('[data-search-remove]');
+      const option = e.target.closest('[role="option"]');
+
+      // Options may re-render the list, so keep the outside-click handler from closing it
+      e.stopPropagation();
+
+      if (pinBtn || removeBtn) {
+        const query = this.options[Number((pinBtn || removeBtn).closest('[role="option"]').dataset.optionIndex)].query;
+        if (pinBtn) {
+          SearchHistory.togglePin(query);
+        } else {
+          SearchHistory.remove(query);
+        }
+        this.showRecent();
+      } else if (option) {
+        this.activateOption(Number(option.dataset.optionIndex));
+      }
     });
 
     // Close results when clicking outside
     document.addEventListener('click', (e) => {
-      if (!e.target.closest('.header-center')) {
-        searchResults.classList.remove('active');
+      if (!e.target.closest('.header-center, #search-results')) {
+        this.close();
       }
     });
 
-    // Close results on Escape
+    // Close results on Escape elsewhere on the page (the input handles its own)
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        searchResults.classList.remove('active');
-        searchInput.value = '';
+      if (e.key === 'Escape' && e.target !== searchInput) {
+        this.close();
       }
     });
   },
 
   /**
-   * Display search results
-   * @param {string} query - Search query
-   * @param {HTMLElement} listContainer - Results list container
-   * @param {HTMLElement} resultsContainer - Results dropdown container
+   * Show pinned and recent searches in the dropdown
+   * Closes it when there are none.
    */
-  displayResults(query, listContainer, resultsContainer) {
-    if (!query || query.trim().length === 0) {
-      resultsContainer.classList.remove('active');
+  showRecent() {
+    const listContainer = document.getElementById('search-results-list');
+    const entries = SearchHistory.getEntries();
+
+    if (entries.length === 0) {
+      this.options = [];
+      this.close();
       return;
     }
 
-    const results = this.search(query);
+    this.options = entries.map(entry => ({
+      query: entry.query,
+      activate: () => this.useQuery(entry.query)
+    }));
+
+    const renderEntry = (entry, index) => `
+      <li id="search-option-${index}" class="search-recent-item${entry.pinned ? ' is-pinned' : ''}" role="option" aria-selected="false" data-option-index="${index}">
+        <span class="search-recent-query">${sanitizeHTML(entry.query)}</span>
+        <button type="button" class="search-recent-action" data-search-pin tabindex="-1" aria-hidden="true" title="${entry.pinned ? 'Unpin' : 'Pin'}">${entry.pinned ? '★' : '☆'}</button>
+        <button type="button" class="search-recent-action" data-search-remove tabindex="-1" aria-hidden="true" title="Remove">&times;</button>
+      </li>
+    `;
+    const pinnedCount = entries.filter(entry => entry.pinned).length;
+    const renderGroup = (label, groupEntries, offset) => (groupEntries.length > 0
+      ? `<li class="search-recent-heading" role="presentation">${label}</li>${groupEntries.map((entry, i) => renderEntry(entry, offset + i)).join('')}`
+      : '');
+
+    listContainer.innerHTML =
+      renderGroup('Pinned', entries.slice(0, pinnedCount), 0) +
+      renderGroup('Recent searches', entries.slice(pinnedCount), pinnedCount);
+
+    this.open(`${entries.length} recent ${entries.length === 1 ? 'search' : 'searches'}. Delete removes one, Alt+P pins it.`);
+  },
+
+  /**
+   * Display search results in the dropdown
+   * @param {string} query - Search query
+   */
+  displayResults(query) {
+    const listContainer = document.getElementById('search-results-list');
+
+    // The results page lists matches as cards instead
+    if (!query || query.trim().length === 0 || Router.isSearchRoute()) {
+      this.options = [];
+      this.close();
+      return;
+    }
 
-    if (results.length === 0) {
-      listContainer.innerHTML = '<div class="search-no-results">No results found</div>';
-      resultsContainer.classList.add('active');
+    const allRanked = this.rank(query);
+    const ranked = allRanked.slice(0, this.DROPDOWN_LIMIT);
+
+    // Problems with qualifiers are listed above the results
+    const { errors } = this.parseQuery(query);
+    const errorsHTML = errors.length > 0
+      ? `<li class="search-query-errors" role="presentation">${errors.map(error => `
+          <p class="search-query-error">${sanitizeHTML(error.message)}</p>
+        `).join('')}</li>`
+      : '';
+    const errorsStatus = errors.map(error => error.message).join(' ');
+
+    if (ranked.length === 0) {
+      this.options = [];
+      listContainer.innerHTML = `${errorsHTML}<li class="search-no-results" role="presentation">No results found</li>`;
+      this.open(`No results found. ${errorsStatus}`.trim());
       return;
     }
 
+    this.options = ranked.map(({ item }) => ({ activate: () => this.openResult(item, query) }));
+    this.options.push({ activate: () => SearchPage.open(query) });
+
     // Build results HTML
-    listContainer.innerHTML = results.map((item, index) => {
+    listContainer.innerHTML = errorsHTML + ranked.map(({ item, matches }, index) => {
       const genres = item.genres && item.genres.length > 0
         ? item.genres.slice(0, 2).join(', ')
         : 'No genres';
-      
+      const context = getSearchMatchContext(item, matches);
+
       const releaseDate = item.releaseDate 
         ? new Date(item.releaseDate).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
         : 'TBA';
 
       return `
-        <li>
-          <button class="search-result-item" data-item-id="${item.id}" data-item-index="${index}">
-            <img 
-              src="${sanitizeURL(item.poster)}" 
-              alt="${sanitizeHTML(item.title)}" 
-              class="search-result-thumbnail"
-            >
-            <div class="search-result-info">
-              <h4 class="search-result-title">${sanitizeHTML(item.title)}</h4>
-              <div class="search-result-genres">${sanitizeHTML(genres)}</div>
-              <div class="search-result-date">${releaseDate}</div>
-            </div>
-          </button>
+        <li id="search-option-${index}" class="search-result-item" role="option" aria-selected="false" data-option-index="${index}">
+          <img 
+            src="${sanitizeURL(item.poster)}" 
+            alt="" 
+            class="search-result-thumbnail"
+          >
+          <div class="search-result-info">
+            <h4 class="search-result-title">${highlightSearchMatches(item.title, matches.title)}</h4>
+            ${context
+              ? `<div class="search-result-context">${context}</div>`
+              : `<div class="search-result-genres">${sanitizeHTML(genres)}</div>`}
+            <div class="search-result-date">${releaseDate}</div>
+          </div>
         </li>
       `;
-    }).join('');
+    }).join('') + `
+      <li id="search-option-${ranked.length}" class="search-see-all" role="option" aria-selected="false" data-option-index="${ranked.length}">
+        See all ${allRanked.length} ${allRanked.length === 1 ? 'result' : 'results'}
+      </li>
+    `;
+
+    const countStatus = `${allRanked.length} ${allRanked.length === 1 ? 'result' : 'results'} available, ${ranked.length} shown. Use up and down arrows to review.`;
+    this.open(`${countStatus} ${errorsStatus}`.trim());
+  }
+};
 
-    // Add click handlers to results
-    listContainer.querySelectorAll('.search-result-item').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const itemId = btn.getAttribute('data-item-id');
-        const item = this.allItems.find(i => i.id == itemId);
+// Initialize search when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  SearchModule.init();
+});
 
-        if (item) {
-          // Find the item's index in currentMoviesArray (or use the search result's position)
-          const itemIndex = currentMoviesArray.findIndex(i => i.id == itemId);
-          showItemDetails(item, itemIndex >= 0 ? itemIndex : 0);
+// ============================================================================
+// SEARCH RESULTS PAGE - Every match as cards (#/search?q=...)
+// ============================================================================
+// Matches keep their relevance order under the 'default' sort. The type chips
+// count matches per item type; the date filter, facets and sort apply on top
+// as on any list.
 
-          // Close search results
-          resultsContainer.classList.remove('active');
-          document.getElementById('search-input').value = '';
-        }
+const SearchPage = {
+  /**
+   * Item type shown ('' = every type)
+   */
+  type: '',
+
+  /**
+   * Ranked matches for the current query, every type
+   */
+  results: [],
+
+  /**
+   * Item types with their category names, in sidebar order
+   * @returns {array} [{ type, label }]
+   */
+  getTypes() {
+    return Object.values(CATEGORY_CONFIG)
+      .filter(config => config.itemType)
+      .map(config => ({ type: config.itemType, label: config.displayName }));
+  },
+
+  /**
+   * Route path for a query's results page
+   * @param {string} query - Search query
+   * @returns {string} Path such as 'search?q=zelda'
+   */
+  getPath(query) {
+    return `search?q=${encodeURIComponent(query)}`;
+  },
+
+  /**
+   * Show every match for a query (from Enter in the search bar)
+   * @param {string} query - Search query
+   */
+  open(query) {
+    if (!query) return;
+
+    SearchHistory.add(query);
+    SearchModule.close();
+    if (Router.isSearchRoute()) {
+      this.update();
+      Router.updateQuery();
+    } else {
+      Router.navigate(this.getPath(query));
+    }
+  },
+
+  /**
+   * Route handler: wait for search data and render
+   * @returns {Promise<void>} Resolves once the results are rendered
+   */
+  async show() {
+    const loadId = ++currentLoadId;
+    const container = document.getElementById('movies-container');
+
+    CalendarView.hide();
+    CollectionMenu.close({ restoreFocus: false });
+    NormalizationDiagnostics.hideNotice();
+    SearchModule.close();
+    container.style.opacity = '1';
+
+    if (SearchModule.allItems.length === 0) {
+      ContentStates.showLoading();
+    }
+
+    await SearchModule.load();
+    if (loadId !== currentLoadId) return;
+
+    this.update();
+  },
+
+  /**
+   * Re-rank the current query and render
+   */
+  update() {
+    const query = SearchModule.getQuery();
+    this.results = query ? SearchModule.rank(query).map(result => result.item) : [];
+    this.render();
+  },
+
+  /**
+   * Count items per item type
+   * @param {array} items - Normalized items
+   * @returns {object} { [type]: count }
+   */
+  getTypeCounts(items) {
+    return items.reduce((counts, item) => {
+      counts[item.metadata.type] = (counts[item.metadata.type] || 0) + 1;
+      return counts;
+    }, {});
+  },
+
+  /**
+   * Show one item type ('' = all) and sync the URL
+   * @param {string} type - Item type
+   */
+  setType(type) {
+    this.type = type;
+    Router.updateQuery();
+    this.render();
+  },
+
+  /**
+   * Render the summary, type chips and cards
+   */
+  render() {
+    const query = SearchModule.getQuery();
+    unfilteredItemsArray = this.type
+      ? this.results.filter(item => item.metadata.type === this.type)
+      : this.results;
+
+    this.renderToolbar(query);
+    const visible = getVisibleItems(unfilteredItemsArray);
+    displayItems(visible);
+
+    if (!query) {
+      ContentStates.show(LOAD_OUTCOMES.EMPTY, {
+        title: 'Search everything',
+        message: 'Type in the search bar and press Enter to see every match across movies, TV shows, games, books and music.'
       });
-    });
+    } else if (this.results.length === 0) {
+      ContentStates.show(LOAD_OUTCOMES.EMPTY, {
+        title: 'No matches',
+        message: `Nothing matches “${query}”. Check the spelling or remove a filter.`
+      });
+    } else if (visible.length === 0) {
+      ContentStates.show(LOAD_OUTCOMES.EMPTY, {
+        title: 'No matches',
+        message: `None of the results for “${query}” match the active filters.`,
+        actionLabel: 'Clear filters',
+        onRetry: () => this.clearFilters()
+      });
+    }
+  },
+
+  /**
+   * Reset the type, date filter and facets, keeping the query and sort
+   */
+  clearFilters() {
+    this.type = '';
+    currentFacets = {};
+    setActiveDateFilter('all');
+    Router.updateQuery();
+    this.render();
+  },
+
+  /**
+   * Render the result summary and type chips into #search-toolbar
+   * Types without matches are left out unless selected.
+   * @param {string} query - Search query
+   */
+  renderToolbar(query) {
+    const element = document.getElementById('search-toolbar');
+    if (!element) return;
+
+    const { errors } = SearchModule.parseQuery(query);
+    element.hidden = this.results.length === 0 && errors.length === 0;
+
+    const counts = this.getTypeCounts(this.results);
+    const total = this.results.length;
+    const chips = [{ type: '', label: 'All' }, ...this.getTypes()]
+      .filter(({ type }) => !type || counts[type] || type === this.type)
+      .map(({ type, label }) => `
+        <button type="button" class="search-type-chip" data-search-type="${type}" aria-pressed="${type === this.type}">
+          ${sanitizeHTML(label)} <span class="search-type-count">${type ? counts[type] || 0 : total}</span>
+        </button>
+      `).join('');
+
+    element.innerHTML = `
+      <p class="search-toolbar-summary">${total} ${total === 1 ? 'result' : 'results'} for “${sanitizeHTML(query)}”</p>
+      ${total > 0 ? `<div class="search-type-chips" role="group" aria-label="Filter results by type">${chips}</div>` : ''}
+      ${errors.map(error => `<p class="search-query-error">${sanitizeHTML(error.message)}</p>`).join('')}
+    `;
+  },
+
+  /**
+   * Wire the type chips
+   */
+  init() {
+    const element = document.getElementById('search-toolbar');
+    if (!element) return;
 
-    resultsContainer.classList.add('active');
+    element.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-search-type]');
+      if (chip) {
+        this.setType(chip.dataset.searchType);
+      }
+    });
   }
 };
 
-// Initialize search when DOM is ready
+// The type chip round-trips through the URL (#/search?q=zelda&type=game)
+Router.queryParams.type = {
+  defaultValue: '',
+  get values() {
+    return ['', ...SearchPage.getTypes().map(({ type }) => type)];
+  },
+  read: () => SearchPage.type,
+  apply: (value) => { SearchPage.type = value; }
+};
+
 document.addEventListener('DOMContentLoaded', () => {
-  SearchModule.init();
+  SearchPage.init();
 });
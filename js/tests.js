@@ -20,6 +20,21 @@ const TestRunner = {
   failed: 0,
   tests: [],
 
+  /**
+   * Async test blocks; summary() waits for them
+   */
+  pending: [],
+
+  /**
+   * Run an async test block after the synchronous tests
+   * @param {Function} fn - Async function making assertions
+   */
+  runAsync(fn) {
+    this.pending.push(Promise.resolve()
+      .then(fn)
+      .catch(error => this.assert(false, `Async test threw: ${error.message}`)));
+  },
+
   assert(condition, message) {
     if (condition) {
       this.passed++;
@@ -39,7 +54,8 @@ const TestRunner = {
     this.assert(haystack.includes(needle), `${message} (expected to include: ${needle})`);
   },
 
-  summary() {
+  async summary() {
+    await Promise.all(this.pending);
     const total = this.passed + this.failed;
     console.log(`\n${'='.repeat(70)}`);
     console.log(`Test Results: ${this.passed}/${total} passed`);
@@ -68,12 +84,18 @@ console.log('\nTesting Formatters.ratingNormalized()');
 TestRunner.assertEquals(Formatters.ratingNormalized(5.7, 10), 5.7, 'Movies normalized (10-scale)');
 TestRunner.assertEquals(Formatters.ratingNormalized(80, 100), 8, 'Games normalized (100->10)');
 TestRunner.assertEquals(Formatters.ratingNormalized(null, 10), 0, 'Null rating normalizes to 0');
+TestRunner.assertEquals(Formatters.ratingNormalized(4, 5), 8, 'Books normalized (5->10)');
 
 console.log('\nTesting Formatters.runtimeDisplay()');
 TestRunner.assertEquals(Formatters.runtimeDisplay(91), '1h 31m', 'Minutes to hours and minutes');
 TestRunner.assertEquals(Formatters.runtimeDisplay(45), '45m', 'Less than 60 minutes');
 TestRunner.assertEquals(Formatters.runtimeDisplay(120), '2h 0m', 'Exactly 2 hours');
 TestRunner.assertEquals(Formatters.runtimeDisplay(null), 'N/A', 'Null runtime');
+TestRunner.assertEquals(Formatters.runtimeDisplay(3.5), '3m 30s', 'Fractional minutes keep seconds');
+TestRunner.assertEquals(Formatters.runtimeDisplay(3.999), '4m', 'Seconds rounding up to a minute carry over');
+TestRunner.assertEquals(Formatters.runtimeDisplay(3.99), '3m 59s', 'Seconds rounded to the nearest second');
+TestRunner.assertEquals(Formatters.runtimeDisplay(59.999), '1h 0m', 'Rounding can reach a full hour');
+TestRunner.assertEquals(Formatters.runtimeDisplay(90.6), '1h 31m', 'Hours round to the nearest minute');
 
 console.log('\nTesting Formatters.currencyDisplay()');
 TestRunner.assertEquals(Formatters.currencyDisplay(1400000), '$1.4M', 'Millions');
@@ -314,6 +336,1556 @@ TestRunner.assertEquals(countdownNull.daysUntil, null, 'Null daysUntil is null')
 const countdownUndefined = AdapterUtils.getCountdownStatus(undefined);
 TestRunner.assertEquals(countdownUndefined.isCountdown, false, 'Undefined returns no countdown');
 
+// ============================================================================
+// BOOKS CATEGORY TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKS CATEGORY TESTS\n');
+
+console.log('Testing AdapterUtils.normalizeISBN()');
+TestRunner.assertEquals(AdapterUtils.normalizeISBN('978-0-7432-7356-5'), '9780743273565', 'Hyphenated ISBN-13');
+TestRunner.assertEquals(AdapterUtils.normalizeISBN('0-306-40615-x'), '030640615X', 'ISBN-10 with check character');
+TestRunner.assertEquals(AdapterUtils.normalizeISBN('12345'), null, 'Wrong length rejected');
+TestRunner.assertEquals(AdapterUtils.normalizeISBN(null), null, 'Null ISBN');
+
+console.log('\nTesting normalizeBook()');
+const rawBook = {
+  id: 40112,
+  title: 'The Lantern Archive',
+  authors: ['Mara Ellison'],
+  publisher: 'Northwind Press',
+  release_date: '2026-10-27T00:00:00.000Z',
+  isbn_13: '978-1-4028-9462-6',
+  page_count: '412',
+  series_name: 'The Lantern Cycle',
+  series_position: 2,
+  format: 'Hardcover',
+  cover_url: null,
+  description: 'Test book',
+  average_rating: 4.2,
+  genres: ['Fantasy']
+};
+const bookItem = normalizeBook(rawBook);
+TestRunner.assertEquals(bookItem.id, 40112, 'Book id preserved');
+TestRunner.assertEquals(bookItem.ratingMax, 5, 'Books use a 0-5 rating scale');
+TestRunner.assertEquals(bookItem.poster, 'shared-data/placeholder_poster.jpg', 'Missing cover falls back to placeholder');
+TestRunner.assertEquals(bookItem.metadata.type, 'book', 'Book metadata type set');
+TestRunner.assertEquals(bookItem.metadata.isbn, '9781402894626', 'ISBN normalized');
+TestRunner.assertEquals(normalizeBook({ id: 'isbn-fallback', title: 'Fallback', isbn_13: '978-12', isbn_10: '0-306-40615-X' }).metadata.isbn, '030640615X', 'Invalid ISBN-13 falls back to ISBN-10');
+TestRunner.assertEquals(normalizeBook({ id: 'isbn-none', title: 'No ISBN', isbn_13: 'n/a' }).metadata.isbn, null, 'No valid ISBN left empty');
+TestRunner.assertEquals(bookItem.metadata.pageCount, 412, 'Page count parsed to integer');
+TestRunner.assertEquals(validateMetadata(bookItem.metadata, 'book').warnings.length, 0, 'Book metadata matches schema');
+
+const untitledBook = normalizeBook({ id: 1, title: 'Untitled', series_name: null, series_position: 4 });
+TestRunner.assertEquals(untitledBook.metadata.seriesPosition, null, 'Series position dropped without a series');
+TestRunner.assertEquals(untitledBook.releaseDate, null, 'Missing release date stays null');
+
+console.log('\nTesting ModalRenderers.book.render()');
+TestRunner.assert(ModalRenderers.book, 'Book renderer exists');
+const bookDetails = ModalRenderers.book.render(bookItem);
+TestRunner.assert(bookDetails.some(d => d.label === 'Author'), 'Author included');
+TestRunner.assert(bookDetails.some(d => d.label === 'Series' && d.value === 'The Lantern Cycle #2'), 'Series with position included');
+TestRunner.assert(bookDetails.some(d => d.label === 'Pages'), 'Pages included');
+TestRunner.assert(bookDetails.some(d => d.label === 'ISBN'), 'ISBN included');
+
+console.log('\nTesting Formatters.releaseBadgeText() for books');
+TestRunner.assertEquals(Formatters.releaseBadgeText('book', true), 'Book<br>Release<br>Today!', 'Book release badge');
+TestRunner.assertEquals(Formatters.releaseBadgeText('music', true, 'Album'), 'Album<br>Release<br>Today!', 'Music release badge names the release type');
+TestRunner.assertEquals(Formatters.releaseBadgeText('music', true, 'Single'), 'Single<br>Release<br>Today!', 'Singles are not called albums');
+TestRunner.assertEquals(Formatters.releaseBadgeText('music', true), 'New<br>Release<br>Today!', 'Neutral badge without a release type');
+
+// ============================================================================
+// MUSIC CATEGORY TESTS
+// ============================================================================
+
+console.log('\n\n🧪 MUSIC CATEGORY TESTS\n');
+
+console.log('Testing normalizeMusicRelease()');
+const rawRelease = {
+  id: 'rel-81d5e7',
+  title: 'Neon Parish',
+  artists: ['KOVA', { name: 'Dela Marsh' }],
+  label: 'Night Shift Audio',
+  release_type: 'ep',
+  release_date: '2026-11-07T00:00:00.000Z',
+  cover_url: null,
+  genres: ['Electronic'],
+  critic_score: 74,
+  total_tracks: null,
+  total_duration_ms: null,
+  tracks: [
+    { position: 1, title: 'Parish Lights', duration_ms: 210000 },
+    { position: 2, title: 'Tram 28', duration_ms: 180000 }
+  ],
+  spotify_url: null,
+  bandcamp_url: 'https://nightshiftaudio.bandcamp.com/album/neon-parish'
+};
+const musicItem = normalizeMusicRelease(rawRelease);
+TestRunner.assertEquals(musicItem.metadata.type, 'music', 'Music metadata type set');
+TestRunner.assertEquals(musicItem.metadata.artists.length, 2, 'Artists from strings and objects');
+TestRunner.assertEquals(musicItem.metadata.releaseType, 'EP', 'Release type normalized');
+TestRunner.assertEquals(musicItem.metadata.trackCount, 2, 'Track count falls back to tracklist length');
+TestRunner.assertEquals(musicItem.metadata.totalDuration, 6.5, 'Total duration summed from tracks (minutes)');
+TestRunner.assertEquals(musicItem.metadata.tracks[0].duration, 3.5, 'Track duration converted to minutes');
+TestRunner.assertEquals(validateMetadata(musicItem.metadata, 'music').warnings.length, 0, 'Music metadata matches schema');
+
+console.log('\nTesting ModalRenderers.music.render()');
+TestRunner.assert(ModalRenderers.music, 'Music renderer exists');
+const musicDetails = ModalRenderers.music.render(musicItem);
+TestRunner.assert(musicDetails.some(d => d.label === 'Artists'), 'Artists included');
+TestRunner.assert(musicDetails.some(d => d.label === 'Length' && d.value === '6m 30s'), 'Total length formatted');
+TestRunner.assert(musicDetails.some(d => d.label === 'Bandcamp' && d.isHtml), 'Bandcamp link included');
+const tracklist = musicDetails.find(d => d.label === 'Tracklist');
+TestRunner.assert(tracklist && tracklist.fullWidth, 'Tracklist spans the full width');
+TestRunner.assertIncludes(tracklist.value, '3m 30s', 'Tracklist shows track durations');
+
+// ============================================================================
+// PARTIAL-FAILURE NORMALIZATION TESTS
+// ============================================================================
+
+console.log('\n\n🧪 PARTIAL-FAILURE NORMALIZATION TESTS\n');
+
+console.log('Testing normalizeCollection()');
+const mixedRecords = [
+  { id: 1, title: 'Good Book', genres: [] },
+  null,
+  { id: 3, title: 'Another Good Book' }
+];
+const collection = normalizeCollection(mixedRecords, normalizeBook);
+TestRunner.assertEquals(collection.items.length, 2, 'Valid records still normalize');
+TestRunner.assertEquals(collection.skipped.length, 1, 'Throwing record is quarantined');
+TestRunner.assertEquals(collection.skipped[0].index, 1, 'Skipped record keeps its index');
+TestRunner.assertEquals(collection.skipped[0].title, 'Untitled', 'Skipped record without title is labelled');
+
+const invalidAdapter = (raw) => ({ id: raw.id, title: raw.name, metadata: { runtime: 90 } });
+const invalidCollection = normalizeCollection([{ id: 7, name: 'No Type' }], invalidAdapter);
+TestRunner.assertEquals(invalidCollection.items.length, 0, 'Record failing validateMetadata is skipped');
+TestRunner.assertEquals(invalidCollection.skipped[0].title, 'No Type', 'Skipped record title taken from raw name');
+TestRunner.assertIncludes(invalidCollection.skipped[0].error, 'Unknown type', 'Validation error reported');
+
+console.log('\nTesting NormalizationDiagnostics');
+NormalizationDiagnostics.record('test-category', collection.skipped);
+TestRunner.assertEquals(NormalizationDiagnostics.get('test-category').skipped.length, 1, 'Report stored per category');
+TestRunner.assertEquals(NormalizationDiagnostics.get('missing-category'), null, 'Unknown category has no report');
+
+// ============================================================================
+// LOAD OUTCOME TESTS
+// ============================================================================
+
+console.log('\n\n🧪 LOAD OUTCOME TESTS\n');
+
+console.log('Testing ContentStates.show()');
+const stateGridBefore = currentMoviesArray;
+const stateElement = ContentStates.getElement();
+let stateRetries = 0;
+Object.values(LOAD_OUTCOMES).forEach(outcome => {
+  ContentStates.show(outcome, { displayName: 'Books', onRetry: () => { stateRetries++; } });
+  const definition = ContentStates.definitions[outcome];
+  TestRunner.assertEquals(stateElement.querySelector('.content-state-title').textContent, definition.title, `${outcome}: title`);
+  TestRunner.assertEquals(stateElement.querySelector('.content-state-action').textContent, definition.actionLabel, `${outcome}: retry label`);
+  TestRunner.assertIncludes(stateElement.querySelector('.content-state-message').textContent, 'Books', `${outcome}: message names the category`);
+  TestRunner.assertEquals(stateElement.dataset.outcome, outcome, `${outcome}: outcome recorded`);
+});
+stateElement.querySelector('.content-state-action').click();
+TestRunner.assertEquals(stateRetries, 1, 'Retry button calls onRetry');
+TestRunner.assert(stateElement.hidden, 'Retry clears the state');
+ContentStates.show('unknown-outcome', { displayName: 'Books' });
+TestRunner.assertEquals(stateElement.querySelector('.content-state-title').textContent, ContentStates.definitions[LOAD_OUTCOMES.NETWORK_ERROR].title, 'Unknown outcome falls back to network error');
+TestRunner.assertEquals(stateElement.querySelector('.content-state-action'), null, 'No retry button without onRetry');
+ContentStates.clear();
+displayItems(stateGridBefore);
+
+console.log('Testing fetchCategoryData() (async, reported before the summary)');
+TestRunner.runAsync(async () => {
+  const fetchBefore = window.fetch;
+  const respond = (status, body) => () => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body)
+  });
+  const outcomeOf = async (fetchStub) => {
+    window.fetch = fetchStub;
+    try {
+      await fetchCategoryData('shared-data/test.json');
+      return 'loaded';
+    } catch (error) {
+      return error.outcome;
+    }
+  };
+
+  try {
+    TestRunner.assertEquals(await outcomeOf(respond(404, '')), LOAD_OUTCOMES.MISSING_FILE, '404 → missing-file');
+    TestRunner.assertEquals(await outcomeOf(respond(200, '[{"id": 1},')), LOAD_OUTCOMES.MALFORMED_JSON, 'Invalid JSON → malformed-json');
+    TestRunner.assertEquals(await outcomeOf(respond(200, '{"items": []}')), LOAD_OUTCOMES.MALFORMED_JSON, 'Non-array body → malformed-json');
+    TestRunner.assertEquals(await outcomeOf(() => Promise.reject(new TypeError('Failed to fetch'))), LOAD_OUTCOMES.NETWORK_ERROR, 'Rejected fetch → network-error');
+    TestRunner.assertEquals(await outcomeOf(respond(500, '')), LOAD_OUTCOMES.NETWORK_ERROR, 'Server error → network-error');
+    TestRunner.assertEquals(await outcomeOf(respond(200, '[]')), 'loaded', 'JSON array loads');
+    window.fetch = respond(200, '[]');
+    TestRunner.assertEquals((await fetchCategoryData(null).catch(error => error)).outcome, LOAD_OUTCOMES.MISSING_FILE, 'No data file → missing-file');
+  } finally {
+    window.fetch = fetchBefore;
+  }
+});
+
+// ============================================================================
+// ITEM ROUTE TESTS
+// ============================================================================
+
+console.log('\n\n🧪 ITEM ROUTE TESTS\n');
+
+console.log('Testing Router.parsePath()');
+const itemRoute = Router.parsePath('games/item/fable--1');
+TestRunner.assertEquals(itemRoute.basePath, 'games', 'Item path keeps its list route');
+TestRunner.assertEquals(itemRoute.itemId, 'fable--1', 'Item path extracts the id');
+TestRunner.assertEquals(Router.parsePath('movies/past-week/item/550').basePath, 'movies/past-week', 'Subcategory item path');
+TestRunner.assertEquals(Router.parsePath('movies').itemId, null, 'List path has no item id');
+TestRunner.assertEquals(Router.parsePath('music/item/a%2Fb').itemId, 'a/b', 'Encoded id is decoded');
+
+console.log('\nTesting Router.buildItemPath()');
+TestRunner.assertEquals(Router.buildItemPath('movies', 550), 'movies/item/550', 'Numeric id');
+TestRunner.assertEquals(Router.buildItemPath('music', 'a/b'), 'music/item/a%2Fb', 'Slash in id is encoded');
+
+console.log('\nTesting Router.getCategoryForType()');
+TestRunner.assertEquals(Router.getCategoryForType('tv-show'), 'tv-shows', 'TV show items live under tv-shows');
+TestRunner.assertEquals(Router.getCategoryForType('unknown'), null, 'Unknown type has no category');
+
+// ============================================================================
+// PATTERN ROUTE & QUERY STATE TESTS
+// ============================================================================
+
+console.log('\n\n🧪 PATTERN ROUTE & QUERY STATE TESTS\n');
+
+console.log('Testing Router.matchRoute()');
+TestRunner.assertEquals(Router.matchRoute('bookmarks').pattern, 'bookmarks', 'Static route wins over pattern');
+TestRunner.assertEquals(Router.matchRoute('games').params.category, 'games', ':category param captured');
+TestRunner.assertEquals(Router.matchRoute('movies/past-week').params.sub, 'past-week', ':sub param captured');
+TestRunner.assertEquals(Router.matchRoute('movies/unknown'), null, 'Unknown subcategory rejected');
+TestRunner.assertEquals(Router.matchRoute('podcasts'), null, 'Unknown category rejected');
+TestRunner.assert(Router.isValidRoute('tv-shows'), 'tv-shows is a valid route');
+
+console.log('\nTesting Router.getRoute()');
+TestRunner.assertEquals(Router.getRoute('tv-shows').title, 'TV SHOWS', 'Title derived from displayName');
+TestRunner.assertEquals(Router.getRoute('movies/past-week').title, 'MOVIES / PAST WEEK', 'Subcategory title');
+TestRunner.assertEquals(Router.getRoute('nope').title, 'MOVIES', 'Invalid route falls back to default');
+
+console.log('\nTesting Router.parseLocation()');
+const parsedLocation = Router.parseLocation('movies/?filter=week&genre=Horror');
+TestRunner.assertEquals(parsedLocation.path, 'movies', 'Path split from query, trailing slash removed');
+TestRunner.assertEquals(parsedLocation.query.get('filter'), 'week', 'Query param parsed');
+TestRunner.assertEquals(Router.parseLocation('games').query.toString(), '', 'No query string');
+
+console.log('\nTesting query state round-trip');
+const savedDateFilter = currentDateFilter;
+Router.applyQuery(new URLSearchParams('filter=month'));
+TestRunner.assertEquals(currentDateFilter, 'month', 'filter param applied to currentDateFilter');
+TestRunner.assertEquals(Router.serializeQuery(), 'filter=month', 'Non-default filter serialized');
+TestRunner.assertEquals(Router.formatLocation('games'), 'games?filter=month', 'Query appended to path');
+Router.applyQuery(new URLSearchParams('filter=bogus'));
+TestRunner.assertEquals(currentDateFilter, 'all', 'Invalid filter falls back to default');
+TestRunner.assertEquals(Router.serializeQuery(), '', 'Default values omitted from URL');
+setActiveDateFilter(savedDateFilter);
+
+// ============================================================================
+// SORTING TESTS
+// ============================================================================
+
+console.log('\n\n🧪 SORTING TESTS\n');
+
+const sortFixtures = [
+  { id: 'a', title: 'beta', releaseDate: '2025-03-01', rating: 8.0, ratingMax: 10, popularity: 12, addedAt: '2025-01-02T00:00:00.000Z' },
+  { id: 'b', title: 'Alpha', releaseDate: null, rating: 90, ratingMax: 100, popularity: null, addedAt: null },
+  { id: 'c', title: 'Gamma', releaseDate: '2025-01-15', rating: null, ratingMax: 10, popularity: 40, addedAt: '2025-02-01T00:00:00.000Z' }
+];
+const sortedIds = (key) => sortItems(sortFixtures, key).map(item => item.id).join(',');
+
+console.log('Testing sortItems()');
+TestRunner.assertEquals(sortedIds('default'), 'a,b,c', 'Default keeps file order');
+TestRunner.assertEquals(sortedIds('release-asc'), 'c,a,b', 'Release ascending, undated last');
+TestRunner.assertEquals(sortedIds('release-desc'), 'a,c,b', 'Release descending, undated still last');
+TestRunner.assertEquals(sortedIds('rating'), 'b,a,c', 'Rating compares 0-100 and 0-10 scales fairly');
+TestRunner.assertEquals(sortedIds('popularity'), 'c,a,b', 'Popularity descending');
+TestRunner.assertEquals(sortedIds('title'), 'b,a,c', 'Title sort is case-insensitive');
+TestRunner.assertEquals(sortedIds('added'), 'c,a,b', 'Recently added first');
+TestRunner.assertEquals(sortFixtures[0].id, 'a', 'Input array is not mutated');
+
+console.log('\nTesting remembered sort');
+const sortBefore = localStorage.getItem(SORT_STORAGE_KEY);
+localStorage.removeItem(SORT_STORAGE_KEY);
+TestRunner.assertEquals(getRememberedSort('bookmarks'), 'release-asc', 'Bookmarks default to soonest first');
+TestRunner.assertEquals(getRememberedSort('games'), 'default', 'Categories default to file order');
+rememberSort('games', 'rating');
+TestRunner.assertEquals(getRememberedSort('games'), 'rating', 'Sort remembered per category');
+TestRunner.assertEquals(getRememberedSort('movies'), 'default', 'Other categories unaffected');
+if (sortBefore === null) {
+  localStorage.removeItem(SORT_STORAGE_KEY);
+} else {
+  localStorage.setItem(SORT_STORAGE_KEY, sortBefore);
+}
+
+console.log('\nTesting popularity/addedAt normalization');
+const hypedGame = normalizeGame({ slug: 'hyped', name: 'Hyped', hypes: '250', created_at: '2025-05-01T10:00:00Z' });
+TestRunner.assertEquals(hypedGame.popularity, 250, 'Game popularity comes from hypes');
+TestRunner.assertEquals(hypedGame.addedAt, '2025-05-01T10:00:00.000Z', 'created_at normalized to ISO string');
+TestRunner.assertEquals(normalizeBook({ id: 1, title: 'No Stats' }).popularity, null, 'Missing popularity is null');
+
+// ============================================================================
+// FACETED FILTERING TESTS
+// ============================================================================
+
+console.log('\n\n🧪 FACETED FILTERING TESTS\n');
+
+const facetFixtures = [
+  { id: 1, genres: ['Action', 'RPG'], metadata: { type: 'game', platforms: ['PC', 'PS5'], gameModes: ['Single player'] } },
+  { id: 2, genres: ['RPG'], metadata: { type: 'game', platforms: ['PC'], gameModes: ['Multiplayer'] } },
+  { id: 3, genres: ['Action'], metadata: { type: 'game', platforms: ['Switch'], gameModes: ['Single player'] } },
+  { id: 4, genres: ['Drama'], metadata: { type: 'tv-show', networks: ['HBO'], status: 'Returning Series' } }
+];
+const facetIds = (items) => items.map(item => item.id).join(',');
+
+console.log('Testing getFacetValues()');
+TestRunner.assertEquals(getFacetValues(facetFixtures[0], 'platform').join(','), 'PC,PS5', 'Game platforms');
+TestRunner.assertEquals(getFacetValues(facetFixtures[3], 'platform').length, 0, 'Platform facet ignores TV shows');
+TestRunner.assertEquals(getFacetValues(facetFixtures[3], 'status').join(','), 'Returning Series', 'TV status facet');
+
+console.log('\nTesting filterItemsByFacets()');
+TestRunner.assertEquals(facetIds(filterItemsByFacets(facetFixtures, {})), '1,2,3,4', 'No selection keeps everything');
+TestRunner.assertEquals(facetIds(filterItemsByFacets(facetFixtures, { genre: ['Action', 'RPG'] }, 'any')), '1,2,3', 'Any: values OR together');
+TestRunner.assertEquals(facetIds(filterItemsByFacets(facetFixtures, { genre: ['Action', 'RPG'] }, 'all')), '1', 'All: values AND together');
+TestRunner.assertEquals(facetIds(filterItemsByFacets(facetFixtures, { genre: ['Action'], platform: ['PC'] }, 'any')), '1', 'Facets AND together');
+TestRunner.assertEquals(facetIds(filterItemsByFacets(facetFixtures, { genre: ['Action'], platform: ['PC'] }, 'any', 'platform')), '1,3', 'Excluded facet ignored (for counts)');
+
+console.log('\nTesting buildFacetGroups()');
+const savedFacets = currentFacets;
+currentFacets = { platform: ['PC'] };
+const facetGroups = buildFacetGroups(facetFixtures);
+const genreGroup = facetGroups.find(group => group.key === 'genre');
+const platformGroup = facetGroups.find(group => group.key === 'platform');
+TestRunner.assertEquals(genreGroup.values.find(v => v.value === 'RPG').count, 2, 'Genre counts respect platform selection');
+TestRunner.assertEquals(genreGroup.values.find(v => v.value === 'Drama').count, 0, 'Values outside the selection stay listed with 0');
+TestRunner.assertEquals(platformGroup.values.find(v => v.value === 'Switch').count, 1, 'Own facet selection does not narrow its counts');
+TestRunner.assert(platformGroup.values.find(v => v.value === 'PC').selected, 'Selected value is flagged');
+TestRunner.assert(!facetGroups.some(group => group.key === 'language'), 'Facets without values are omitted');
+currentFacets = savedFacets;
+
+console.log('\nTesting facet query params');
+Router.applyQuery(new URLSearchParams('genre=Horror,Comedy&match=all'));
+TestRunner.assertEquals(currentFacets.genre.join(','), 'Horror,Comedy', 'genre param restores selection');
+TestRunner.assertEquals(currentFacetMode, 'all', 'match param restores mode');
+TestRunner.assertIncludes(Router.serializeQuery(), 'genre=Horror%2CComedy', 'Selection serialized to URL');
+Router.applyQuery(new URLSearchParams(''));
+TestRunner.assertEquals(Object.keys(currentFacets).length, 0, 'Missing params clear facets');
+TestRunner.assertEquals(currentFacetMode, 'any', 'Mode defaults to any');
+
+// ============================================================================
+// DATE WINDOW FILTER TESTS
+// ============================================================================
+
+console.log('\n\n🧪 DATE WINDOW FILTER TESTS\n');
+
+const localDaysFromToday = (days) => {
+  const date = new Date();
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date.toISOString();
+};
+const toDateInput = (iso) => {
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+const windowFixtures = [
+  { id: 'past', releaseDate: localDaysFromToday(-3) },
+  { id: 'today', releaseDate: localDaysFromToday(0) },
+  { id: 'soon', releaseDate: localDaysFromToday(5) },
+  { id: 'later', releaseDate: localDaysFromToday(20) },
+  { id: 'far', releaseDate: localDaysFromToday(400) },
+  { id: 'tba', releaseDate: null }
+];
+const windowIds = (filter, range) => filterItemsByDate(windowFixtures, filter, range).map(item => item.id).join(',');
+
+console.log('Testing upcoming windows');
+TestRunner.assertEquals(windowIds('next-7'), 'today,soon', 'Next 7 days includes today');
+TestRunner.assertEquals(windowIds('next-30'), 'today,soon,later', 'Next 30 days');
+TestRunner.assertEquals(windowIds('week'), 'past,today', 'Past week still covers the last 7 days');
+TestRunner.assertEquals(windowIds('tba'), 'tba', 'TBA only returns undated items');
+TestRunner.assert(!windowIds('quarter').includes('far'), 'This quarter excludes next year');
+TestRunner.assert(windowIds('month').includes('today'), 'This month includes today');
+
+console.log('\nTesting custom range');
+const soonDay = toDateInput(windowFixtures[2].releaseDate);
+TestRunner.assertEquals(windowIds('custom', { from: soonDay, to: soonDay }), 'soon', 'Range bounds are inclusive');
+TestRunner.assertEquals(windowIds('custom', { from: soonDay, to: '' }), 'soon,later,far', 'Empty bound is open-ended');
+TestRunner.assertEquals(windowIds('custom', { from: '', to: '' }), 'past,today,soon,later,far', 'Empty range keeps dated items');
+
+console.log('\nTesting parseLocalDateInput()');
+TestRunner.assertEquals(parseLocalDateInput('2026-03-09').getDate(), 9, 'Parsed as local day');
+TestRunner.assertEquals(parseLocalDateInput('2026-02-31'), null, 'Overflowing date rejected');
+TestRunner.assertEquals(parseLocalDateInput('03/09/2026'), null, 'Non-ISO input rejected');
+
+console.log('\nTesting AdapterUtils.getLocalDay()');
+const localDay = AdapterUtils.getLocalDay(windowFixtures[1].releaseDate);
+TestRunner.assertEquals(localDay.getHours(), 0, 'Local day is at local midnight');
+TestRunner.assertEquals(AdapterUtils.getLocalDay('not a date'), null, 'Invalid input returns null');
+
+console.log('\nTesting range query params');
+Router.applyQuery(new URLSearchParams('filter=custom&from=2026-01-01&to=bogus'));
+TestRunner.assertEquals(currentDateRange.from, '2026-01-01', 'from param restored');
+TestRunner.assertEquals(currentDateRange.to, '', 'Invalid to param ignored');
+TestRunner.assertEquals(Router.serializeQuery(), 'from=2026-01-01&filter=custom', 'Range serialized with custom filter');
+Router.applyQuery(new URLSearchParams(''));
+TestRunner.assertEquals(currentDateFilter, 'all', 'Filter reset when params missing');
+
+// ============================================================================
+// RELEASE CALENDAR TESTS
+// ============================================================================
+
+console.log('\n\n🧪 RELEASE CALENDAR TESTS\n');
+
+const calendarMonth = new Date(2026, 2, 1); // March 2026
+const calendarFixtures = [
+  { id: 1, title: 'Zeta Movie', releaseDate: new Date(2026, 2, 10, 12).toISOString(), metadata: { type: 'movie' } },
+  { id: 2, title: 'Alpha Game', releaseDate: new Date(2026, 2, 10, 12).toISOString(), metadata: { type: 'game' } },
+  { id: 3, title: 'Show', releaseDate: new Date(2026, 1, 1, 12).toISOString(), metadata: { type: 'tv-show', nextEpisodeDate: new Date(2026, 2, 4, 12).toISOString() } },
+  { id: 4, title: 'Same Day Show', releaseDate: new Date(2026, 2, 20, 12).toISOString(), metadata: { type: 'tv-show', nextEpisodeDate: new Date(2026, 2, 20, 12).toISOString() } },
+  { id: 5, title: 'April Book', releaseDate: new Date(2026, 3, 2, 12).toISOString(), metadata: { type: 'book' } },
+  { id: 6, title: 'Undated', releaseDate: null, metadata: { type: 'music' } }
+];
+
+console.log('Testing CalendarView.buildEvents()');
+const calendarEvents = CalendarView.buildEvents(calendarFixtures, calendarMonth);
+TestRunner.assertEquals(calendarEvents.map(e => e.item.id).join(','), '3,2,1,4', 'Only the month\'s events, sorted by day then title');
+TestRunner.assertEquals(calendarEvents[0].kind, 'episode', 'TV next episode becomes an event');
+TestRunner.assertEquals(calendarEvents.filter(e => e.item.id === 4).length, 1, 'Episode on the release day is not duplicated');
+TestRunner.assertEquals(calendarEvents[1].day.getDate(), 10, 'Event placed on its local day');
+
+console.log('\nTesting CalendarView filters');
+CalendarView.items = calendarFixtures;
+CalendarView.category = 'games';
+TestRunner.assertEquals(CalendarView.getFilteredItems().map(item => item.id).join(','), '2', 'Category filter uses itemType');
+CalendarView.category = '';
+TestRunner.assertEquals(CalendarView.getFilteredItems().length, 6, 'All categories by default');
+CalendarView.items = [];
+
+console.log('\nTesting calendar month navigation');
+CalendarView.month = '2026-12';
+TestRunner.assertEquals(CalendarView.shiftMonth(1), '2027-01', 'Next month wraps the year');
+TestRunner.assertEquals(CalendarView.shiftMonth(-1), '2026-11', 'Previous month');
+Router.applyQuery(new URLSearchParams('month=2026-13&view=agenda&category=podcasts'));
+TestRunner.assertEquals(CalendarView.month, '', 'Invalid month param ignored');
+TestRunner.assertEquals(CalendarView.mode, 'agenda', 'view param restored');
+TestRunner.assertEquals(CalendarView.category, '', 'Unknown category param ignored');
+Router.applyQuery(new URLSearchParams(''));
+
+// ============================================================================
+// ICALENDAR EXPORT TESTS
+// ============================================================================
+
+console.log('\n\n🧪 ICALENDAR EXPORT TESTS\n');
+
+console.log('Testing IcsExport helpers');
+TestRunner.assertEquals(IcsExport.escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne', 'TEXT values escaped');
+TestRunner.assertEquals(IcsExport.formatDate(new Date(2026, 0, 5)), '20260105', 'DATE value');
+TestRunner.assertEquals(IcsExport.formatTimestamp(new Date(Date.UTC(2026, 0, 5, 9, 30, 0))), '20260105T093000Z', 'UTC DATE-TIME value');
+const foldedLine = IcsExport.foldLine('DESCRIPTION:' + 'x'.repeat(200));
+TestRunner.assert(foldedLine.split('\r\n').every(line => line.length <= 75), 'Lines folded to 75 octets');
+TestRunner.assertEquals(foldedLine.split('\r\n ').join(''), 'DESCRIPTION:' + 'x'.repeat(200), 'Unfolding restores the line');
+TestRunner.assert(IcsExport.foldLine('SUMMARY:' + 'é'.repeat(60)).split('\r\n').every(line => new TextEncoder().encode(line).length <= 75), 'Multi-byte characters fold by octets');
+
+console.log('\nTesting IcsExport.build()');
+const icsItems = [
+  { id: 550, title: 'Fight, Club', description: 'First rule; none', releaseDate: new Date(2026, 2, 10, 12).toISOString(), metadata: { type: 'movie' } },
+  { id: 7, title: 'Show', description: '', releaseDate: new Date(2026, 1, 1, 12).toISOString(), metadata: { type: 'tv-show', nextEpisodeDate: new Date(2026, 2, 4, 12).toISOString() } },
+  { id: 'tba-game', title: 'TBA Game', releaseDate: null, metadata: { type: 'game' } }
+];
+const icsResult = IcsExport.build(icsItems, new Date(Date.UTC(2026, 0, 1)));
+const icsText = icsResult.ics.replace(/\r\n /g, '');
+TestRunner.assertEquals(icsResult.eventCount, 3, 'Release + premiere + next episode; undated skipped');
+TestRunner.assert(icsResult.ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'), 'Calendar header with CRLF line endings');
+TestRunner.assert(icsResult.ics.endsWith('END:VCALENDAR\r\n'), 'Calendar footer');
+TestRunner.assertIncludes(icsText, 'UID:movie:tmdb:550@midloop', 'Stable UID from the item key');
+TestRunner.assertIncludes(icsText, 'UID:tv-show:tmdb:7-next-episode@midloop', 'Next episode has its own stable UID');
+TestRunner.assert(!icsText.includes('UID:game:igdb:550@midloop') && IcsExport.build([{ ...icsItems[0], metadata: { type: 'game' } }], new Date()).ics.includes('UID:game:igdb:550@midloop'), 'Same id from another source gets its own UID');
+TestRunner.assertIncludes(icsText, 'DTSTART;VALUE=DATE:20260310\r\nDTEND;VALUE=DATE:20260311', 'All-day event spans one day');
+TestRunner.assertIncludes(icsText, 'SUMMARY:Fight\\, Club', 'Summary escaped');
+TestRunner.assertIncludes(icsText, 'DESCRIPTION:First rule\\; none', 'Description from item');
+TestRunner.assertIncludes(icsText, '#/movies/item/550', 'Deep link included');
+TestRunner.assertEquals((icsText.match(/BEGIN:VEVENT/g) || []).length, 3, 'One VEVENT per event');
+
+// ============================================================================
+// BOOKMARK IMPORT / EXPORT TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKMARK IMPORT / EXPORT TESTS\n');
+
+const transferMovie = normalizeMovie({ id: 1, title: 'Movie One', genre_ids: [] });
+const transferGame = normalizeGame({ slug: 'game-one', name: 'Game One' });
+const transferSameIdShow = normalizeTVShow({ id: 1, title: 'Show One', genre_ids: [] });
+
+console.log('Testing BookmarkTransfer.buildExport()');
+const exportDoc = BookmarkTransfer.buildExport([transferMovie], new Date(Date.UTC(2026, 0, 1)));
+TestRunner.assertEquals(exportDoc.format, 'midloop-bookmarks', 'Export has format marker');
+TestRunner.assertEquals(exportDoc.schemaVersion, 4, 'Export has schema version');
+TestRunner.assertEquals(exportDoc.exportedAt, '2026-01-01T00:00:00.000Z', 'Export timestamp');
+
+console.log('\nTesting BookmarkTransfer.parseImport()');
+const parsedImport = BookmarkTransfer.parseImport(JSON.stringify({
+  format: 'midloop-bookmarks',
+  schemaVersion: 1,
+  bookmarks: [transferMovie, transferSameIdShow, transferMovie, { id: 9, title: 'Bad', metadata: { type: 'podcast' } }, null]
+}));
+TestRunner.assertEquals(parsedImport.items.length, 2, 'Same id with different type is kept');
+TestRunner.assertEquals(parsedImport.skipped.length, 3, 'Duplicate, invalid type and null skipped');
+TestRunner.assertEquals(parsedImport.skipped[0].reason, 'Duplicate in file', 'Duplicate reason reported');
+TestRunner.assertIncludes(parsedImport.skipped[1].reason, 'Unknown type', 'validateMetadata errors reported');
+TestRunner.assertEquals(BookmarkTransfer.parseImport(JSON.stringify([transferGame])).items.length, 1, 'Bare array accepted');
+
+const importError = (text) => {
+  try {
+    BookmarkTransfer.parseImport(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+TestRunner.assertIncludes(importError('{oops'), 'not valid JSON', 'Malformed JSON rejected');
+TestRunner.assertIncludes(importError('{"format":"other","bookmarks":[]}'), 'not a MIDLOOP', 'Foreign file rejected');
+TestRunner.assertIncludes(importError('{"format":"midloop-bookmarks","schemaVersion":99,"bookmarks":[]}'), 'Unsupported', 'Future version rejected');
+
+console.log('\nTesting untrusted import values');
+const maliciousTitle = 'Evil" onmouseover="alert(1)';
+const maliciousImport = BookmarkTransfer.parseImport(JSON.stringify({
+  format: 'midloop-bookmarks',
+  schemaVersion: 4,
+  bookmarks: [
+    { ...transferMovie, title: maliciousTitle, poster: 'x" onerror="alert(1)' },
+    { ...transferGame, poster: 'javascript:alert(1)' },
+    { ...transferSameIdShow, poster: 'https://image.tmdb.org/t/p/w500/show.jpg' }
+  ]
+}));
+TestRunner.assertEquals(maliciousImport.items[0].poster, AdapterUtils.normalizePosterURL(null), 'Poster with markup replaced by placeholder');
+TestRunner.assertEquals(maliciousImport.items[1].poster, AdapterUtils.normalizePosterURL(null), 'Non-http poster replaced by placeholder');
+TestRunner.assertEquals(maliciousImport.items[2].poster, 'https://image.tmdb.org/t/p/w500/show.jpg', 'https poster kept');
+TestRunner.assert(BookmarkTransfer.isSafePoster('shared-data/placeholder_poster.jpg'), 'Relative poster allowed');
+TestRunner.assert(!BookmarkTransfer.isSafePoster('//evil.example/x.jpg'), 'Protocol-relative poster refused');
+TestRunner.assertEquals(sanitizeHTML('a"b\'c'), 'a&quot;b&#39;c', 'sanitizeHTML escapes quotes');
+TestRunner.assertEquals(sanitizeURL('x" onerror="y'), 'x%22%20onerror=%22y', 'sanitizeURL encodes quotes and spaces');
+
+const maliciousCard = CardComponents.createCard({ ...maliciousImport.items[0], poster: 'x" onerror="alert(1)' }, 0);
+TestRunner.assertEquals(maliciousCard.querySelectorAll('[onerror], [onmouseover]').length, 0, 'Card markup gains no attributes from item values');
+TestRunner.assertEquals(maliciousCard.querySelector('img').getAttribute('alt'), maliciousTitle, 'Title kept intact in alt text');
+
+console.log('\nTesting BookmarkTransfer.planImport()');
+const renamedMovie = { ...transferMovie, title: 'Movie One (Director\'s Cut)' };
+const mergePlan = BookmarkTransfer.planImport([renamedMovie, transferGame], [transferMovie, transferSameIdShow], 'merge');
+TestRunner.assertEquals(mergePlan.added.length, 1, 'Merge: new item added');
+TestRunner.assertEquals(mergePlan.updated.length, 1, 'Merge: changed item updated');
+TestRunner.assertEquals(mergePlan.result.map(item => item.title).join('|'), 'Movie One (Director\'s Cut)|Show One|Game One', 'Merge keeps existing order and appends');
+const replacePlan = BookmarkTransfer.planImport([transferMovie], [transferMovie, transferSameIdShow], 'replace');
+TestRunner.assertEquals(replacePlan.result.length, 1, 'Replace: only imported items kept');
+TestRunner.assertEquals(replacePlan.removed[0].title, 'Show One', 'Replace: removed items listed');
+TestRunner.assertEquals(replacePlan.unchanged.length, 1, 'Identical item counted as unchanged');
+
+// ============================================================================
+// BOOKMARK STORAGE TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKMARK STORAGE TESTS\n');
+
+const storedBookmarksBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const storageMovie = normalizeMovie({ id: 77, title: 'Stored Movie', genre_ids: [] });
+
+console.log('Testing bookmarkManager.migrate()');
+const legacyMigration = bookmarkManager.migrate([{ id: 1, title: 'Legacy', metadata: { type: 'movie' } }]);
+TestRunner.assert(legacyMigration.migrated, 'Bare array is treated as version 1');
+TestRunner.assertEquals(legacyMigration.items[0].addedAt, null, 'v1 items get backfilled fields');
+TestRunner.assertEquals(legacyMigration.items[0].title, 'Legacy', 'v1 item data preserved');
+const currentMigration = bookmarkManager.migrate({ version: BOOKMARK_STORAGE_VERSION, items: [storageMovie] });
+TestRunner.assert(!currentMigration.migrated, 'Current envelope needs no migration');
+const migrateError = (data) => {
+  try {
+    bookmarkManager.migrate(data);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+TestRunner.assertIncludes(migrateError({ version: BOOKMARK_STORAGE_VERSION + 1, items: [] }), 'Unsupported', 'Newer version rejected');
+TestRunner.assertIncludes(migrateError({ foo: 1 }), 'Unrecognised', 'Unknown shape rejected');
+
+console.log('\nTesting bookmarkManager.save() / getAll()');
+bookmarkManager.save([storageMovie]);
+const savedEnvelope = JSON.parse(localStorage.getItem(bookmarkManager.STORAGE_KEY));
+TestRunner.assertEquals(savedEnvelope.version, BOOKMARK_STORAGE_VERSION, 'Saved data carries version');
+TestRunner.assertEquals(bookmarkManager.getAll()[0].title, 'Stored Movie', 'Envelope read back');
+
+localStorage.setItem(bookmarkManager.STORAGE_KEY, JSON.stringify([storageMovie]));
+TestRunner.assertEquals(bookmarkManager.getAll().length, 1, 'Legacy array still readable');
+TestRunner.assertEquals(JSON.parse(localStorage.getItem(bookmarkManager.STORAGE_KEY)).version, BOOKMARK_STORAGE_VERSION, 'Legacy data rewritten in new envelope');
+
+localStorage.setItem(bookmarkManager.STORAGE_KEY, '{not json');
+TestRunner.assertEquals(bookmarkManager.getAll().length, 0, 'Corrupt data starts fresh');
+const backupKeys = [];
+for (let i = 0; i < localStorage.length; i++) {
+  if (localStorage.key(i).startsWith(bookmarkManager.BACKUP_KEY_PREFIX)) backupKeys.push(localStorage.key(i));
+}
+TestRunner.assertEquals(backupKeys.length, 1, 'Corrupt blob backed up');
+TestRunner.assertEquals(localStorage.getItem(backupKeys[0]), '{not json', 'Backup holds original data');
+backupKeys.forEach(key => localStorage.removeItem(key));
+
+console.log('\nTesting quota handling');
+TestRunner.assert(isQuotaExceededError({ name: 'QuotaExceededError' }), 'Standard quota error detected');
+TestRunner.assert(isQuotaExceededError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' }), 'Firefox quota error detected');
+TestRunner.assert(!isQuotaExceededError(new Error('other')), 'Other errors are not quota errors');
+
+bookmarkManager.save([]);
+// Browsers route writes on localStorage itself into storage, so stub the prototype there
+const setItemOwner = typeof Storage !== 'undefined' ? Storage.prototype : localStorage;
+const realSetItem = setItemOwner.setItem;
+setItemOwner.setItem = () => {
+  const error = new Error('full');
+  error.name = 'QuotaExceededError';
+  throw error;
+};
+TestRunner.assertEquals(bookmarkManager.save([storageMovie]), false, 'save() reports failed write');
+TestRunner.assertEquals(bookmarkManager.toggle(storageMovie), false, 'toggle() reports unchanged state on failed write');
+setItemOwner.setItem = realSetItem;
+TestRunner.assertEquals(bookmarkManager.getAll().length, 0, 'Stored bookmarks untouched by failed write');
+
+console.log('\nTesting unreadable data that cannot be backed up');
+localStorage.setItem(bookmarkManager.STORAGE_KEY, '{still not json');
+setItemOwner.setItem = () => {
+  const error = new Error('full');
+  error.name = 'QuotaExceededError';
+  throw error;
+};
+TestRunner.assertEquals(bookmarkManager.getAll().length, 0, 'Unreadable data shows as empty');
+setItemOwner.setItem = realSetItem;
+TestRunner.assertEquals(localStorage.getItem(bookmarkManager.STORAGE_KEY), '{still not json', 'Original kept when the backup fails');
+TestRunner.assertEquals(bookmarkManager.save([storageMovie]), false, 'Kept data is not overwritten by a save');
+TestRunner.assertEquals(localStorage.getItem(bookmarkManager.STORAGE_KEY), '{still not json', 'Original still kept after a save');
+
+console.log('\nTesting data from a newer version');
+const newerBlob = JSON.stringify({ version: BOOKMARK_STORAGE_VERSION + 1, items: [storageMovie] });
+localStorage.setItem(bookmarkManager.STORAGE_KEY, newerBlob);
+TestRunner.assertEquals(bookmarkManager.getAll().length, 0, 'Newer data not shown');
+TestRunner.assertEquals(localStorage.getItem(bookmarkManager.STORAGE_KEY), newerBlob, 'Newer data left untouched');
+let newerBackups = 0;
+for (let i = 0; i < localStorage.length; i++) {
+  if (localStorage.key(i).startsWith(bookmarkManager.BACKUP_KEY_PREFIX)) newerBackups++;
+}
+TestRunner.assertEquals(newerBackups, 0, 'Newer data not treated as corrupt');
+TestRunner.assertEquals(bookmarkManager.toggle(storageMovie), false, 'Newer data not overwritten by a toggle');
+TestRunner.assertEquals(localStorage.getItem(bookmarkManager.STORAGE_KEY), newerBlob, 'Newer data still untouched');
+
+localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+TestRunner.assert(bookmarkManager.save([]), 'Saving works again once the kept data is gone');
+
+if (storedBookmarksBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, storedBookmarksBefore);
+}
+
+// ============================================================================
+// BOOKMARK COLLECTION TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKMARK COLLECTION TESTS\n');
+
+const collectionsBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const listMovie = normalizeMovie({ id: 5, title: 'List Movie', genre_ids: [] });
+const listShow = normalizeTVShow({ id: 5, title: 'List Show', genre_ids: [] });
+bookmarkManager.save([]);
+
+console.log('Testing collection creation');
+const watchTogether = bookmarkManager.createCollection('  Watch together ');
+TestRunner.assertEquals(watchTogether.id, 'watch-together', 'Collection id is a slug of the name');
+TestRunner.assertEquals(watchTogether.name, 'Watch together', 'Collection name trimmed');
+TestRunner.assertEquals(bookmarkManager.createCollection('watch TOGETHER').id, 'watch-together', 'Same name returns existing collection');
+TestRunner.assertEquals(bookmarkManager.createCollection('   '), null, 'Blank name rejected');
+TestRunner.assertEquals(bookmarkManager.createCollectionId('Watch-together!', bookmarkManager.getCollections()), 'watch-together-2', 'Clashing slug gets a suffix');
+bookmarkManager.createCollection('Maybe');
+
+console.log('\nTesting collection membership');
+bookmarkManager.setInCollection(listMovie, 'watch-together', true);
+bookmarkManager.setInCollection(listMovie, 'maybe', true);
+bookmarkManager.setInCollection(listShow, 'maybe', true);
+TestRunner.assert(bookmarkManager.isBookmarked(listMovie), 'Adding to a list bookmarks the item');
+TestRunner.assertEquals(bookmarkManager.getAll().length, 2, 'Same id across types kept apart');
+TestRunner.assertEquals(bookmarkManager.getItemCollections(listMovie).length, 2, 'Item can be in several lists');
+TestRunner.assertEquals(bookmarkManager.getCollectionItems('maybe').map(item => item.title).join('|'), 'List Movie|List Show', 'List items in bookmark order');
+TestRunner.assertEquals(bookmarkManager.setInCollection(listMovie, 'missing', true), false, 'Unknown list rejected');
+
+bookmarkManager.setInCollection(listMovie, 'maybe', false);
+TestRunner.assertEquals(bookmarkManager.getCollectionItems('maybe').length, 1, 'Item removed from one list');
+TestRunner.assertEquals(bookmarkManager.getCollectionItems('watch-together').length, 1, 'Other list unaffected');
+
+bookmarkManager.toggle(listMovie);
+TestRunner.assertEquals(bookmarkManager.getCollection('watch-together').items.length, 0, 'Unbookmarking drops list membership');
+
+console.log('\nTesting collection routes');
+TestRunner.assert(Router.isValidRoute('bookmarks/maybe'), 'Existing list route is valid');
+TestRunner.assert(!Router.isValidRoute('bookmarks/nope'), 'Unknown list route is invalid');
+TestRunner.assertEquals(Router.getRoute('bookmarks/maybe').title, 'BOOKMARKS / MAYBE', 'List route title');
+TestRunner.assert(Router.isBookmarksRoute('bookmarks/maybe'), 'List route counts as bookmarks');
+TestRunner.assertEquals(getRememberedSort('bookmarks/maybe'), 'release-asc', 'Lists inherit bookmarks default sort');
+
+TestRunner.assert(bookmarkManager.deleteCollection('maybe'), 'Collection deleted');
+TestRunner.assert(bookmarkManager.isBookmarked(listShow), 'Deleting a list keeps its bookmarks');
+
+console.log('\nTesting collections in exports');
+bookmarkManager.setInCollection(listMovie, 'watch-together', true);
+const collectionExport = BookmarkTransfer.buildExport(bookmarkManager.getAll(), new Date(), bookmarkManager.getCollections());
+TestRunner.assertEquals(collectionExport.collections[0].items[0], 'movie:tmdb:5', 'Export lists membership by key');
+
+const collectionImport = BookmarkTransfer.parseImport(JSON.stringify({
+  ...collectionExport,
+  collections: collectionExport.collections.concat([
+    { name: 'Day-one buys', items: ['movie:tmdb:5', 'game:igdb:unknown'] },
+    { name: '' }
+  ])
+}));
+TestRunner.assertEquals(collectionImport.collections.length, 2, 'Nameless collections skipped');
+TestRunner.assertEquals(collectionImport.collections[1].items.join(','), 'movie:tmdb:5', 'Membership limited to imported items');
+TestRunner.assertEquals(BookmarkTransfer.parseImport(JSON.stringify([listMovie])).collections.length, 0, 'Version 1 files have no collections');
+
+const mergedCollections = BookmarkTransfer.planCollections(
+  [{ id: 'maybe', name: 'MAYBE', items: ['tv-show:5'] }, { id: 'new', name: 'New', items: [] }],
+  [{ id: 'maybe', name: 'Maybe', items: ['movie:5'] }],
+  'merge'
+);
+TestRunner.assertEquals(mergedCollections.length, 2, 'Merge matches lists by name');
+TestRunner.assertEquals(mergedCollections[0].items.join(','), 'movie:5,tv-show:5', 'Merged list combines members');
+TestRunner.assertEquals(BookmarkTransfer.planCollections([], mergedCollections, 'replace').length, 0, 'Replace uses imported lists only');
+
+const listIcs = IcsExport.buildEvent({ item: listMovie, day: new Date(2026, 0, 2), kind: 'release' }, new Date(), bookmarkManager.getCollections());
+TestRunner.assert(listIcs.includes('CATEGORIES:Movies,Watch together'), 'iCalendar CATEGORIES include list names');
+
+console.log('\nTesting list buttons read storage once per render');
+const originalRead = bookmarkManager.read;
+let collectionReads = 0;
+bookmarkManager.read = function() {
+  collectionReads++;
+  return originalRead.apply(this, arguments);
+};
+const listCards = [listMovie, listShow, listMovie, listShow].map((item, index) => CardComponents.createCard(item, index));
+bookmarkManager.read = originalRead;
+TestRunner.assert(collectionReads <= 1, `Cards share one parse of storage (${collectionReads} reads)`);
+TestRunner.assert(listCards[0].querySelector('.list-btn-card').classList.contains('active'), 'Card list button active for a listed item');
+TestRunner.assert(!listCards[1].querySelector('.list-btn-card').classList.contains('active'), 'Card list button inactive for an unlisted item');
+
+if (collectionsBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, collectionsBefore);
+}
+
+// ============================================================================
+// PERSONAL STATUS & NOTES TESTS
+// ============================================================================
+
+console.log('\n\n🧪 PERSONAL STATUS & NOTES TESTS\n');
+
+const personalBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const personalGame = normalizeGame({ slug: 'personal-game', name: 'Personal Game' });
+const personalBook = normalizeBook({ id: 'personal-book', title: 'Personal Book' });
+bookmarkManager.save([]);
+
+console.log('Testing status labels');
+TestRunner.assertEquals(getItemStatusLabel('in-progress', 'game'), 'Playing', 'Games are played');
+TestRunner.assertEquals(getItemStatusLabel('in-progress', 'book'), 'Reading', 'Books are read');
+TestRunner.assertEquals(getItemStatusLabel('in-progress'), 'In Progress', 'Generic in-progress label');
+TestRunner.assertEquals(getItemStatusLabel('unknown'), '', 'Unknown status has no label');
+
+console.log('\nTesting bookmarkManager.normalizeItemData()');
+TestRunner.assertEquals(bookmarkManager.normalizeItemData({ status: 'bogus', score: 11, notes: '  ' }), null, 'Invalid values dropped, empty entry removed');
+const cleanedData = bookmarkManager.normalizeItemData({ status: 'done', score: 7.5, notes: ' Great ending ' });
+TestRunner.assertEquals(cleanedData.score, null, 'Non-integer score dropped');
+TestRunner.assertEquals(cleanedData.notes, 'Great ending', 'Notes trimmed');
+TestRunner.assertEquals(bookmarkManager.normalizeItemData({ notes: 'x'.repeat(3000) }).notes.length, bookmarkManager.NOTES_MAX_LENGTH, 'Notes capped');
+
+console.log('\nTesting bookmarkManager.setItemData() / getItemData()');
+TestRunner.assertEquals(bookmarkManager.getItemData(personalGame).status, null, 'No data by default');
+bookmarkManager.setItemData(personalGame, { status: 'in-progress', score: 8 });
+TestRunner.assert(bookmarkManager.isBookmarked(personalGame), 'Setting a status bookmarks the item');
+bookmarkManager.setItemData(personalGame, { notes: 'Stuck on the boss' });
+const gameData = bookmarkManager.getItemData(personalGame);
+TestRunner.assertEquals(`${gameData.status}|${gameData.score}|${gameData.notes}`, 'in-progress|8|Stuck on the boss', 'Partial updates keep other fields');
+TestRunner.assert(Boolean(gameData.updatedAt), 'Update time recorded');
+bookmarkManager.setItemData(personalGame, { status: null, score: null, notes: '' });
+TestRunner.assert(!('game:igdb:personal-game' in bookmarkManager.read().userData), 'Clearing everything removes the entry');
+
+bookmarkManager.setItemData(personalBook, { status: 'want' });
+bookmarkManager.toggle(personalBook);
+TestRunner.assertEquals(bookmarkManager.getItemData(personalBook).status, null, 'Unbookmarking drops personal data');
+
+console.log('\nTesting card badge and status facet');
+bookmarkManager.setItemData(personalGame, { status: 'done', score: 9 });
+TestRunner.assertIncludes(CardComponents.createStatusBadge(personalGame), 'Done · 9/10', 'Badge shows status and score');
+TestRunner.assertEquals(CardComponents.createStatusBadge(personalBook), '', 'No badge without personal data');
+TestRunner.assertEquals(getFacetValues(personalGame, 'progress').join(','), 'done', 'Status available as a facet value');
+TestRunner.assertEquals(filterItemsByFacets([personalGame, personalBook], { progress: ['done'] }, 'any').length, 1, 'Status facet filters items');
+
+console.log('\nTesting personal data in exports');
+const personalImport = BookmarkTransfer.parseImport(JSON.stringify({
+  ...BookmarkTransfer.buildExport(bookmarkManager.getAll(), new Date(), [], bookmarkManager.read().userData),
+  userData: { 'game:igdb:personal-game': { status: 'done', score: 9 }, 'movie:tmdb:404': { status: 'want' }, 'game:igdb:bad': 'x' }
+}));
+TestRunner.assertEquals(Object.keys(personalImport.userData).join(','), 'game:igdb:personal-game', 'Only entries for imported items kept');
+TestRunner.assertEquals(Object.keys(BookmarkTransfer.parseImport(JSON.stringify([personalGame])).userData).length, 0, 'Older files have no personal data');
+
+console.log('\nTesting storage migration to personal data');
+const v3Migration = bookmarkManager.migrate({ version: 3, items: [personalGame], collections: [] });
+TestRunner.assert(v3Migration.migrated, 'Version 3 data is migrated');
+TestRunner.assertEquals(Object.keys(v3Migration.userData).length, 0, 'Migrated data starts without personal entries');
+
+if (personalBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, personalBefore);
+}
+
+// ============================================================================
+// BOOKMARK SYNC TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKMARK SYNC TESTS\n');
+
+const syncBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const syncRouteBefore = Router.currentBasePath;
+const syncListBefore = unfilteredItemsArray;
+const syncGridBefore = currentMoviesArray;
+const syncFilterBefore = currentDateFilter;
+const syncMovie = normalizeMovie({ id: 201, title: 'Sync Movie', genre_ids: [] });
+const syncShow = normalizeTVShow({ id: 202, title: 'Sync Show', genre_ids: [] });
+
+// Another tab writes a new envelope; the browser then fires `storage` in this one
+const writeFromOtherTab = (items, key = bookmarkManager.STORAGE_KEY) => {
+  bookmarkManager.write({ items });
+  window.dispatchEvent(new StorageEvent('storage', { key }));
+};
+const syncCardActive = (item) => CardComponents.findCard(item).querySelector('.bookmark-btn-card').classList.contains('active');
+currentDateFilter = 'all';
+
+console.log('Testing the bookmarks grid');
+bookmarkManager.save([syncMovie]);
+Router.currentBasePath = 'bookmarks';
+unfilteredItemsArray = [syncMovie];
+displayItems([syncMovie]);
+writeFromOtherTab([syncMovie, syncShow]);
+TestRunner.assert(Boolean(CardComponents.findCard(syncShow)), 'Bookmark added in another tab appears in the grid');
+TestRunner.assertEquals(document.querySelectorAll('#movies-container .content-card').length, 2, 'Grid re-rendered once with both bookmarks');
+
+bookmarkManager.write({ items: [syncMovie] });
+window.dispatchEvent(new StorageEvent('storage', { key: SORT_STORAGE_KEY }));
+TestRunner.assert(Boolean(CardComponents.findCard(syncShow)), 'Unrelated storage keys ignored');
+window.dispatchEvent(new StorageEvent('storage', { key: bookmarkManager.STORAGE_KEY }));
+TestRunner.assert(!CardComponents.findCard(syncShow), 'Bookmark removed in another tab leaves the grid');
+
+console.log('\nTesting card buttons on a category list');
+Router.currentBasePath = 'movies';
+unfilteredItemsArray = [syncMovie, syncShow];
+displayItems([syncMovie, syncShow]);
+writeFromOtherTab([syncShow]);
+TestRunner.assert(syncCardActive(syncShow), 'Card shows bookmark added elsewhere');
+TestRunner.assert(!syncCardActive(syncMovie), 'Card shows bookmark removed elsewhere');
+TestRunner.assertEquals(document.querySelectorAll('#movies-container .content-card').length, 2, 'Category grid not reloaded');
+
+console.log('\nTesting the open modal');
+const syncModal = document.getElementById('content-modal');
+const syncModalDisplayBefore = syncModal.style.display;
+const syncModalItemBefore = PersonalSection.item;
+syncModal.style.display = 'flex';
+PersonalSection.item = syncMovie;
+writeFromOtherTab([syncShow, syncMovie]);
+TestRunner.assert(document.getElementById('modal-bookmark-btn').classList.contains('active'), 'Modal shows bookmark added elsewhere');
+writeFromOtherTab([syncShow]);
+TestRunner.assert(!document.getElementById('modal-bookmark-btn').classList.contains('active'), 'Modal shows bookmark removed elsewhere');
+writeFromOtherTab([syncShow, syncMovie], 'midloop_notifications');
+TestRunner.assert(!document.getElementById('modal-bookmark-btn').classList.contains('active'), 'Modal ignores unrelated storage keys');
+syncModal.style.display = syncModalDisplayBefore;
+PersonalSection.item = syncModalItemBefore;
+
+if (syncBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, syncBefore);
+}
+Router.currentBasePath = syncRouteBefore;
+unfilteredItemsArray = syncListBefore;
+currentDateFilter = syncFilterBefore;
+displayItems(syncGridBefore);
+CollectionsNav.render();
+
+// ============================================================================
+// BOOKMARK UNDO TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKMARK UNDO TESTS\n');
+
+const undoBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const undoA = normalizeMovie({ id: 101, title: 'Undo A', genre_ids: [] });
+const undoB = normalizeMovie({ id: 102, title: 'Undo B', genre_ids: [] });
+const undoC = normalizeMovie({ id: 103, title: 'Undo C', genre_ids: [] });
+bookmarkManager.save([undoA, undoB, undoC]);
+bookmarkManager.createCollection('Undo list');
+bookmarkManager.setInCollection(undoB, 'undo-list', true);
+bookmarkManager.setItemData(undoB, { status: 'want', notes: 'Keep me' });
+
+console.log('Testing bookmarkManager.snapshotItem()');
+const snapshotB = bookmarkManager.snapshotItem(undoB);
+TestRunner.assertEquals(snapshotB.index, 1, 'Snapshot records position');
+TestRunner.assertEquals(snapshotB.collectionIds.join(','), 'undo-list', 'Snapshot records lists');
+TestRunner.assertEquals(snapshotB.userData.notes, 'Keep me', 'Snapshot records personal data');
+TestRunner.assertEquals(bookmarkManager.snapshotItem(normalizeMovie({ id: 999, title: 'None', genre_ids: [] })), null, 'No snapshot for unbookmarked item');
+
+console.log('\nTesting bookmarkManager.restoreItem()');
+const snapshotC = bookmarkManager.snapshotItem(undoC);
+bookmarkManager.toggle(undoB);
+bookmarkManager.toggle(undoC);
+TestRunner.assertEquals(bookmarkManager.getAll().length, 1, 'Two bookmarks removed');
+bookmarkManager.restoreItem(snapshotC);
+bookmarkManager.restoreItem(snapshotB);
+TestRunner.assertEquals(bookmarkManager.getAll().map(item => item.title).join('|'), 'Undo A|Undo B|Undo C', 'Undoing newest-first restores original order');
+TestRunner.assertEquals(bookmarkManager.getCollectionItems('undo-list')[0].title, 'Undo B', 'List membership restored');
+TestRunner.assertEquals(bookmarkManager.getItemData(undoB).notes, 'Keep me', 'Personal data restored');
+bookmarkManager.restoreItem(snapshotB);
+TestRunner.assertEquals(bookmarkManager.getAll().length, 3, 'Restoring twice does not duplicate');
+
+console.log('\nTesting UndoToast stack');
+UndoToast.push(bookmarkManager.snapshotItem(undoA));
+bookmarkManager.toggle(undoA);
+UndoToast.push(bookmarkManager.snapshotItem(undoB));
+bookmarkManager.toggle(undoB);
+TestRunner.assertEquals(UndoToast.entries.length, 2, 'Removals stack up');
+UndoToast.undo();
+TestRunner.assert(bookmarkManager.isBookmarked(undoB), 'Undo restores the newest removal first');
+TestRunner.assert(!bookmarkManager.isBookmarked(undoA), 'Older removal still pending');
+UndoToast.undo();
+TestRunner.assert(bookmarkManager.isBookmarked(undoA), 'Second undo restores the next one');
+TestRunner.assertEquals(UndoToast.undo(), false, 'Nothing left to undo');
+
+UndoToast.entries.forEach(entry => clearTimeout(entry.timer));
+clearTimeout(UndoToast.hideTimer);
+UndoToast.hideTimer = null;
+UndoToast.entries = [];
+UndoToast.render();
+
+if (undoBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, undoBefore);
+}
+
+// ============================================================================
+// BOOKMARK REFRESH TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKMARK REFRESH TESTS\n');
+
+const refreshMovie = normalizeMovie({ id: 7, title: 'Refresh Movie', genre_ids: [] });
+const refreshShow = normalizeTVShow({ id: 7, title: 'Refresh Show', genre_ids: [] });
+const refreshGame = normalizeGame({ slug: 'refresh-game', name: 'Refresh Game' });
+
+console.log('Testing getBookmarkSources()');
+const refreshSources = getBookmarkSources([refreshMovie, refreshGame]).map(source =>
+  source.subcategory ? `${source.category}/${source.subcategory}` : source.category
+);
+TestRunner.assertEquals(refreshSources.join(','), 'movies,movies/past-week,games', 'Only bookmarked categories (with subcategories) are loaded');
+TestRunner.assertEquals(getBookmarkSources([]).length, 0, 'Nothing to load without bookmarks');
+
+console.log('\nTesting mergeRefreshedBookmarks()');
+const renamedShow = { ...refreshShow, title: 'Refresh Show (Renamed)' };
+const freshByKey = new Map([[bookmarkManager.getItemKey(renamedShow), renamedShow]]);
+const refreshMerge = mergeRefreshedBookmarks([refreshMovie, refreshShow], freshByKey, new Set());
+TestRunner.assertEquals(refreshMerge.items[1].title, 'Refresh Show (Renamed)', 'Fresh copy matched by type+id');
+TestRunner.assertEquals(refreshMerge.items[0].title, 'Refresh Movie', 'Movie with same id not overwritten by show');
+TestRunner.assert(refreshMerge.hasUpdates, 'Changed items reported');
+TestRunner.assertEquals(refreshMerge.unlisted.map(item => item.title).join(','), 'Refresh Movie', 'Missing item reported as no longer listed');
+const failedMerge = mergeRefreshedBookmarks([refreshMovie], new Map(), new Set(['movies']));
+TestRunner.assertEquals(failedMerge.unlisted.length, 0, 'Items from failed categories are not called unlisted');
+TestRunner.assert(!mergeRefreshedBookmarks([refreshMovie], new Map([[bookmarkManager.getItemKey(refreshMovie), refreshMovie]]), new Set()).hasUpdates, 'Identical items are not updates');
+
+TestRunner.runAsync(async () => {
+  const refreshBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+  const keptMovie = normalizeMovie({ id: 8, title: 'Kept Movie', genre_ids: [] });
+  const removedMovie = normalizeMovie({ id: 9, title: 'Removed Movie', genre_ids: [] });
+  const sources = getBookmarkSources([keptMovie]).map(source =>
+    source.subcategory ? `${source.category}/${source.subcategory}` : source.category
+  );
+  sources.forEach(key => dataCache.set(key, [{ ...keptMovie, title: 'Kept Movie (Renamed)' }, removedMovie]));
+  bookmarkManager.save([keptMovie, removedMovie]);
+
+  try {
+    const pendingRefresh = refreshBookmarks(bookmarkManager.getAll());
+    bookmarkManager.toggle(removedMovie);
+    const refreshed = await pendingRefresh;
+    TestRunner.assertEquals(bookmarkManager.getAll().map(item => item.title).join('|'), 'Kept Movie (Renamed)', 'Bookmark removed during a refresh stays removed');
+    TestRunner.assertEquals(refreshed.items.length, 1, 'Refresh returns the stored bookmarks');
+  } finally {
+    sources.forEach(key => dataCache.clear(key));
+    if (refreshBefore === null) {
+      localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+    } else {
+      localStorage.setItem(bookmarkManager.STORAGE_KEY, refreshBefore);
+    }
+  }
+});
+
+console.log('\nTesting UnlistedBookmarks');
+UnlistedBookmarks.set([refreshMovie]);
+TestRunner.assert(UnlistedBookmarks.has(refreshMovie), 'Unlisted item flagged');
+TestRunner.assert(!UnlistedBookmarks.has(refreshShow), 'Same id, other type not flagged');
+TestRunner.assertIncludes(CardComponents.createUnlistedBadge(refreshMovie), 'No longer listed', 'Card badge for unlisted item');
+UnlistedBookmarks.set([]);
+
+// ============================================================================
+// BOOKMARK CHANGE TESTS
+// ============================================================================
+
+console.log('\n\n🧪 BOOKMARK CHANGE TESTS\n');
+
+const changeBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const changeShow = normalizeTVShow({ id: 9, title: 'Change Show', first_air_date: '2025-01-10', vote_average: 8, status: 'Returning Series', genre_ids: [] });
+
+console.log('Testing diffBookmark()');
+TestRunner.assertEquals(diffBookmark(changeShow, { ...changeShow, title: 'Renamed' }).length, 0, 'Untracked fields are not changes');
+const endedShow = { ...changeShow, releaseDate: '2025-02-10', metadata: { ...changeShow.metadata, status: 'Ended' } };
+const showChanges = diffBookmark(changeShow, endedShow);
+TestRunner.assertEquals(showChanges.map(change => change.field).join(','), 'releaseDate,status', 'Date move and status change detected');
+TestRunner.assertEquals(showChanges[1].to, 'Ended', 'New value recorded');
+TestRunner.assertEquals(diffBookmark(changeShow, { ...changeShow, rating: 8.04 }).length, 0, 'Rating noise below one decimal ignored');
+
+console.log('\nTesting mergeRefreshedBookmarks() change reporting');
+const changeMerge = mergeRefreshedBookmarks([changeShow], new Map([[bookmarkManager.getItemKey(endedShow), endedShow]]), new Set());
+TestRunner.assertEquals(changeMerge.changed.length, 1, 'Changed item reported');
+TestRunner.assertEquals(changeMerge.changed[0].key, bookmarkManager.getItemKey(changeShow), 'Reported by item key');
+
+console.log('\nTesting change log storage');
+localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+bookmarkManager.save([changeShow]);
+bookmarkManager.saveRefreshed(changeMerge.items, changeMerge.changed, new Date('2025-03-01T00:00:00Z'));
+TestRunner.assertEquals(bookmarkManager.getAll()[0].metadata.status, 'Ended', 'Refreshed items saved');
+TestRunner.assertEquals(bookmarkManager.getChangeLog(changeShow).length, 2, 'Both changes logged');
+TestRunner.assertEquals(bookmarkManager.getChangeLog(changeShow)[0].detectedAt, '2025-03-01T00:00:00.000Z', 'Detection time stored');
+TestRunner.assert(bookmarkManager.hasUnseenChanges(changeShow), 'New changes are unseen');
+TestRunner.assertIncludes(CardComponents.createChangedBadge(changeShow), 'Changed', 'Card shows Changed badge');
+TestRunner.assertIncludes(CardComponents.createChangedBadge(changeShow), 'Release date, Status', 'Badge title names the fields');
+
+TestRunner.assert(bookmarkManager.markChangesSeen(changeShow), 'Changes marked seen');
+TestRunner.assert(!bookmarkManager.hasUnseenChanges(changeShow), 'No unseen changes left');
+TestRunner.assertEquals(CardComponents.createChangedBadge(changeShow), '', 'Badge cleared once seen');
+TestRunner.assertEquals(bookmarkManager.getChangeLog(changeShow).length, 2, 'Seen changes stay in the log');
+
+const manyChanges = Array.from({ length: 25 }, (_, i) => ({ key: bookmarkManager.getItemKey(changeShow), changes: [{ field: 'rating', from: i, to: i + 1 }] }));
+bookmarkManager.saveRefreshed(bookmarkManager.getAll(), manyChanges);
+const cappedLog = bookmarkManager.getChangeLog(changeShow);
+TestRunner.assertEquals(cappedLog.length, bookmarkManager.CHANGE_LOG_LIMIT, 'Log capped per item');
+TestRunner.assertEquals(cappedLog[cappedLog.length - 1].to, 25, 'Oldest entries dropped first');
+
+bookmarkManager.toggle(changeShow);
+TestRunner.assertEquals(bookmarkManager.getChangeLog(changeShow).length, 0, 'Log dropped with the bookmark');
+
+console.log('\nTesting change log against the current state');
+bookmarkManager.saveRefreshed(changeMerge.items, changeMerge.changed, new Date(), [changeShow]);
+TestRunner.assert(!bookmarkManager.isBookmarked(changeShow), 'Refresh does not bring back a bookmark removed meanwhile');
+TestRunner.assertEquals(bookmarkManager.getChangeLog(changeShow).length, 0, 'No log for a bookmark removed meanwhile');
+const readdedShow = { ...changeShow, title: 'Change Show (Re-added)' };
+bookmarkManager.save([readdedShow]);
+bookmarkManager.saveRefreshed(changeMerge.items, changeMerge.changed, new Date(), [changeShow]);
+TestRunner.assertEquals(bookmarkManager.getAll()[0].title, 'Change Show (Re-added)', 'Re-added copy kept over the stale refresh');
+TestRunner.assertEquals(bookmarkManager.getChangeLog(changeShow).length, 0, 'No log diffed against an old copy');
+
+if (changeBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, changeBefore);
+}
+
+// ============================================================================
+// RELEASE NOTIFICATION TESTS
+// ============================================================================
+
+console.log('\n\n🧪 RELEASE NOTIFICATION TESTS\n');
+
+const notifyBookmarksBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const notifySettingsBefore = localStorage.getItem(ReleaseNotifier.STORAGE_KEY);
+const daysFromToday = (days) => {
+  const day = AdapterUtils.getLocalDay(new Date());
+  day.setDate(day.getDate() + days);
+  return day.toISOString();
+};
+const notifyToday = { ...normalizeMovie({ id: 31, title: 'Out Today', genre_ids: [] }), releaseDate: daysFromToday(0) };
+const notifySoon = { ...normalizeMovie({ id: 32, title: 'Out Soon', genre_ids: [] }), releaseDate: daysFromToday(3) };
+const notifyPast = { ...normalizeMovie({ id: 33, title: 'Out Already', genre_ids: [] }), releaseDate: daysFromToday(-2) };
+const notifyShowBase = normalizeTVShow({ id: 34, title: 'Episode Tomorrow', genre_ids: [] });
+const notifyShow = {
+  ...notifyShowBase,
+  releaseDate: daysFromToday(1),
+  metadata: { ...notifyShowBase.metadata, nextEpisodeDate: daysFromToday(1) }
+};
+
+console.log('Testing ReleaseNotifier.getDueReleases()');
+const dueToday = ReleaseNotifier.getDueReleases([notifyToday, notifySoon, notifyPast, notifyShow], 0);
+TestRunner.assertEquals(dueToday.map(due => due.item.title).join(','), 'Out Today', 'Lead time 0 only includes today');
+const dueWeek = ReleaseNotifier.getDueReleases([notifyToday, notifySoon, notifyPast, notifyShow], 7);
+TestRunner.assertEquals(dueWeek.length, 3, 'Lead time includes upcoming releases, not past ones');
+const dueShow = dueWeek.find(due => due.item === notifyShow);
+TestRunner.assertEquals(dueShow.kind, 'episode', 'Next episode used for TV shows');
+TestRunner.assertEquals(dueShow.daysUntil, 1, 'Days until taken from the countdown status');
+
+console.log('\nTesting ReleaseNotifier.getMessage()');
+TestRunner.assertEquals(ReleaseNotifier.getMessage(dueToday[0]).body, 'Out today', 'Release day message');
+TestRunner.assertEquals(ReleaseNotifier.getMessage(dueShow).body, 'New episode tomorrow', 'Episode message');
+TestRunner.assertEquals(ReleaseNotifier.getMessage(dueWeek.find(due => due.item === notifySoon)).body, 'Out in 3 days', 'Lead time message');
+
+console.log('\nTesting ReleaseNotifier.check()');
+const originalIsAllowed = ReleaseNotifier.isAllowed;
+const originalNotify = ReleaseNotifier.notify;
+const notified = [];
+ReleaseNotifier.isAllowed = () => true;
+ReleaseNotifier.notify = (due) => notified.push(due.item.title);
+
+localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+localStorage.removeItem(ReleaseNotifier.STORAGE_KEY);
+bookmarkManager.save([notifyToday, notifySoon]);
+
+TestRunner.assertEquals(ReleaseNotifier.check().length, 0, 'Nothing shown until opted in');
+ReleaseNotifier.saveSettings({ enabled: true });
+ReleaseNotifier.check();
+TestRunner.assertEquals(notified.join(','), 'Out Today', 'Due release notified');
+ReleaseNotifier.check();
+TestRunner.assertEquals(notified.length, 1, 'Already shown releases are not repeated');
+ReleaseNotifier.saveSettings({ leadDays: 3 });
+ReleaseNotifier.check();
+TestRunner.assertEquals(notified.join(','), 'Out Today,Out Soon', 'Longer lead time picks up the next release');
+
+bookmarkManager.save([notifyToday, { ...notifySoon, releaseDate: daysFromToday(2) }]);
+ReleaseNotifier.check();
+TestRunner.assertEquals(notified.length, 3, 'Moved release notifies again for the new day');
+
+ReleaseNotifier.saveSettings({ shown: { 'movie:1|release|0': 0 } });
+ReleaseNotifier.check();
+TestRunner.assert(!('movie:1|release|0' in ReleaseNotifier.getSettings().shown), 'Past releases forgotten');
+
+const todayMs = AdapterUtils.getLocalDay(new Date(notifyToday.releaseDate)).getTime();
+const soonMs = AdapterUtils.getLocalDay(new Date(notifySoon.releaseDate)).getTime();
+bookmarkManager.save([notifyToday, notifySoon]);
+ReleaseNotifier.saveSettings({
+  leadDays: 3,
+  shown: { [`movie:tmdb:31|release|${todayMs}|today`]: todayMs, [`movie:32|release|${soonMs}`]: soonMs }
+});
+notified.length = 0;
+ReleaseNotifier.check();
+TestRunner.assertEquals(notified.length, 0, 'Releases shown under the old item key are not repeated');
+TestRunner.assert(`movie:tmdb:32|release|${soonMs}` in ReleaseNotifier.getSettings().shown, 'Old shown keys moved to the current item key');
+
+console.log('\nTesting release day reminders');
+ReleaseNotifier.saveSettings({ leadDays: 3, shown: { [`movie:tmdb:31|release|${todayMs}`]: todayMs } });
+const releaseDay = ReleaseNotifier.check();
+TestRunner.assertEquals(notified.join(','), 'Out Today,Out Soon', 'Release notified ahead of time is announced again on the day');
+TestRunner.assertEquals(ReleaseNotifier.getMessage(releaseDay[0]).body, 'Out today', 'Release day reminder says today');
+TestRunner.assert(`movie:tmdb:31|release|${todayMs}|today` in ReleaseNotifier.getSettings().shown, 'Release day reminder remembered separately');
+ReleaseNotifier.check();
+TestRunner.assertEquals(notified.length, 2, 'Release day reminder shown once');
+TestRunner.assertEquals(ReleaseNotifier.rekeyShown({ 'movie:99|release|5': 5 }, [notifyToday])['movie:99|release|5'], 5, 'Unknown old keys left as they are');
+
+localStorage.setItem(ReleaseNotifier.STORAGE_KEY, '{broken');
+TestRunner.assertEquals(ReleaseNotifier.getSettings().enabled, false, 'Corrupt settings fall back to off');
+localStorage.setItem(ReleaseNotifier.STORAGE_KEY, JSON.stringify({ enabled: true, leadDays: 5 }));
+TestRunner.assertEquals(ReleaseNotifier.getSettings().leadDays, 0, 'Unknown lead time falls back to the default');
+
+ReleaseNotifier.isAllowed = originalIsAllowed;
+ReleaseNotifier.notify = originalNotify;
+[[bookmarkManager.STORAGE_KEY, notifyBookmarksBefore], [ReleaseNotifier.STORAGE_KEY, notifySettingsBefore]].forEach(([key, value]) => {
+  if (value === null) {
+    localStorage.removeItem(key);
+  } else {
+    localStorage.setItem(key, value);
+  }
+});
+
+// ============================================================================
+// ITEM IDENTITY TESTS
+// ============================================================================
+
+console.log('\n\n🧪 ITEM IDENTITY TESTS\n');
+
+const identityBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const identityMovie = normalizeMovie({ id: 77, title: 'Identity Movie', genre_ids: [] });
+const identityShow = normalizeTVShow({ id: 77, title: 'Identity Show', genre_ids: [] });
+const identityGame = normalizeGame({ slug: 'identity-game', name: 'Identity Game' });
+
+console.log('Testing AdapterUtils.getItemKey()');
+TestRunner.assertEquals(AdapterUtils.getItemKey(identityMovie), 'movie:tmdb:77', 'Key combines type, source and id');
+TestRunner.assertEquals(AdapterUtils.getItemKey(identityGame), 'game:igdb:identity-game', 'Game key uses the slug');
+TestRunner.assert(!AdapterUtils.isSameItem(identityMovie, identityShow), 'Movie and show with the same id differ');
+TestRunner.assert(AdapterUtils.isSameItem(identityMovie, { ...identityMovie, title: 'Renamed' }), 'Same key is the same item');
+TestRunner.assert(!AdapterUtils.isSameItem(identityMovie, null), 'Missing item is never the same');
+
+console.log('\nTesting bookmarks keyed by identity');
+bookmarkManager.save([]);
+bookmarkManager.toggle(identityMovie);
+TestRunner.assert(bookmarkManager.isBookmarked(identityMovie), 'Movie bookmarked');
+TestRunner.assert(!bookmarkManager.isBookmarked(identityShow), 'Show with the same id is not');
+bookmarkManager.toggle(identityShow);
+TestRunner.assertEquals(bookmarkManager.getAll().length, 2, 'Toggling the show adds it instead of removing the movie');
+bookmarkManager.toggle(identityMovie);
+TestRunner.assertEquals(bookmarkManager.getAll().map(item => item.title).join(','), 'Identity Show', 'Removing the movie keeps the show');
+
+console.log('\nTesting item routes');
+TestRunner.assertEquals(Router.getItemRouteId(identityMovie, 'movies'), 77, 'Category lists link by id');
+TestRunner.assertEquals(Router.getItemRouteId(identityMovie, 'bookmarks/maybe'), 'movie:tmdb:77', 'Mixed lists link by key');
+
+console.log('\nTesting storage migration to source-qualified keys');
+const v5Migration = bookmarkManager.migrate({
+  version: 5,
+  items: [identityMovie, identityShow, identityMovie],
+  collections: [{ id: 'mixed', name: 'Mixed', items: ['movie:77', 'tv-show:77', 'book:gone'] }],
+  userData: { 'tv-show:77': { status: 'want' } },
+  changeLog: { 'movie:77': [{ field: 'rating', from: 7, to: 8 }] }
+});
+TestRunner.assert(v5Migration.migrated, 'Version 5 data is migrated');
+TestRunner.assertEquals(v5Migration.items.length, 2, 'Duplicate items dropped');
+TestRunner.assertEquals(v5Migration.collections[0].items.join(','), 'movie:tmdb:77,tv-show:tmdb:77', 'List members rekeyed, unknown ones dropped');
+TestRunner.assertEquals(Object.keys(v5Migration.userData).join(','), 'tv-show:tmdb:77', 'Personal data rekeyed');
+TestRunner.assertEquals(Object.keys(v5Migration.changeLog).join(','), 'movie:tmdb:77', 'Change log rekeyed');
+
+console.log('\nTesting imports of older files');
+const legacyImport = BookmarkTransfer.parseImport(JSON.stringify({
+  format: BookmarkTransfer.FORMAT,
+  schemaVersion: 3,
+  bookmarks: [identityMovie, identityShow],
+  collections: [{ name: 'Old list', items: ['tv-show:77'] }],
+  userData: { 'movie:77': { status: 'done' } }
+}));
+TestRunner.assertEquals(legacyImport.collections[0].items.join(','), 'tv-show:tmdb:77', 'Legacy list members converted');
+TestRunner.assertEquals(Object.keys(legacyImport.userData).join(','), 'movie:tmdb:77', 'Legacy personal data converted');
+
+if (identityBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, identityBefore);
+}
+
+// ============================================================================
+// SEARCH RANKING TESTS
+// ============================================================================
+
+console.log('\n\n🧪 SEARCH RANKING TESTS\n');
+
+const searchMovie = normalizeMovie({
+  id: 501,
+  title: 'TRON: Ares',
+  original_title: 'TRON: Ares',
+  overview: 'A highly sophisticated program is sent from the digital world into the real world.',
+  director: 'Joachim Rønning',
+  top_cast: '["Jared Leto","Greta Lee"]',
+  keywords: '["simulation","sequel"]',
+  production_companies: '["Epic Games","The Third Floor"]',
+  popularity: 50,
+  genre_ids: []
+});
+const searchShow = normalizeTVShow({ id: 502, title: 'Will Trent', created_by: ['Daniel Thomsen'], networks: ['ABC'], genre_ids: [] });
+const searchGame = normalizeGame({ slug: 'pokemon-legends-z-a', name: 'Pokémon Legends: Z-A', developers: ['Game Freak'], summary: 'Explore Lumiose City.' });
+const searchItems = [searchShow, searchGame, searchMovie];
+
+console.log('Testing foldSearchText()');
+TestRunner.assertEquals(foldSearchText('Pokémon: Legends – Z-A'), 'pokemon legends z a', 'Diacritics and punctuation folded');
+TestRunner.assertEquals(foldSearchText('Rønning'), 'ronning', 'Letters without marks folded');
+TestRunner.assertEquals(tokenizeSearchText("Yuki's Revenge").join(','), 'yukis,revenge', 'Apostrophes dropped inside words');
+
+console.log('\nTesting movie search fields in the adapter');
+TestRunner.assertEquals(searchMovie.metadata.topCast.join(','), 'Jared Leto,Greta Lee', 'JSON-encoded cast parsed');
+TestRunner.assertEquals(searchMovie.metadata.productionCompanies.join(','), 'Epic Games,The Third Floor', 'JSON-encoded production companies parsed');
+TestRunner.assertEquals(AdapterUtils.parseJSONArray('not json').length, 0, 'Malformed JSON array ignored');
+TestRunner.assert(validateMetadata(searchMovie.metadata, 'movie').warnings.length === 0, 'New movie fields are in the schema');
+
+console.log('\nTesting getEditDistance()');
+TestRunner.assertEquals(getEditDistance('tarantno', 'tarantino', 2), 1, 'Missing letter is one edit');
+TestRunner.assertEquals(getEditDistance('thigns', 'things', 2), 1, 'Swapped letters are one edit');
+TestRunner.assertEquals(getEditDistance('alpha', 'omega', 1), 2, 'Stops early past the maximum');
+
+console.log('\nTesting SearchModule.rank()');
+TestRunner.assertEquals(SearchModule.rank('tron', searchItems).map(result => result.item.title).join('|'), 'TRON: Ares', 'Short terms need a real match');
+TestRunner.assertEquals(SearchModule.rank('pokemon', searchItems)[0].item, searchGame, 'Diacritic-insensitive title match');
+TestRunner.assertEquals(SearchModule.rank('ronning', searchItems)[0].item, searchMovie, 'Director matched');
+TestRunner.assertEquals(SearchModule.rank('greta lee', searchItems)[0].matches.people.size, 2, 'Top cast matched');
+TestRunner.assertEquals(SearchModule.rank('freak', searchItems)[0].item, searchGame, 'Developer matched');
+TestRunner.assertEquals(SearchModule.rank('simulaton', searchItems)[0].item, searchMovie, 'Keyword matched with a typo');
+TestRunner.assertEquals(SearchModule.rank('lumiose', searchItems)[0].item, searchGame, 'Overview matched');
+TestRunner.assertEquals(SearchModule.rank('tron digital', searchItems).length, 1, 'Every term must match');
+TestRunner.assertEquals(SearchModule.rank('zzzz', searchItems).length, 0, 'No match, no results');
+TestRunner.assertEquals(SearchModule.rank('  ', searchItems).length, 0, 'Blank query, no results');
+
+const titleVsOverview = [
+  normalizeMovie({ id: 503, title: 'Quiet Film', overview: 'A story about a lighthouse.', popularity: 99, genre_ids: [] }),
+  normalizeMovie({ id: 504, title: 'Lighthouse', popularity: 1, genre_ids: [] })
+];
+TestRunner.assertEquals(SearchModule.rank('lighthouse', titleVsOverview)[0].item.title, 'Lighthouse', 'Title matches rank above overview matches');
+
+console.log('\nTesting highlighting');
+TestRunner.assertEquals(highlightSearchMatches('Pokémon Legends', new Set(['pokemon'])), '<mark>Pokémon</mark> Legends', 'Matched word wrapped');
+TestRunner.assertEquals(highlightSearchMatches('<b>Tom</b>', new Set(['tom'])), '&lt;b&gt;<mark>Tom</mark>&lt;/b&gt;', 'Other text escaped');
+const directorMatch = SearchModule.rank('ronning', searchItems)[0];
+TestRunner.assertEquals(getSearchMatchContext(directorMatch.item, directorMatch.matches), 'People: Joachim <mark>Rønning</mark>', 'Context names the matched field');
+const overviewMatch = SearchModule.rank('lumiose', searchItems)[0];
+TestRunner.assertIncludes(getSearchMatchContext(overviewMatch.item, overviewMatch.matches), '<mark>Lumiose</mark>', 'Overview snippet highlighted');
+const companyMatch = SearchModule.rank('third floor', searchItems)[0];
+TestRunner.assertEquals(getSearchMatchContext(companyMatch.item, companyMatch.matches), 'Companies: The <mark>Third</mark> <mark>Floor</mark>', 'Company context has no JSON brackets or quotes');
+
+// ============================================================================
+// SEARCH QUERY SYNTAX TESTS
+// ============================================================================
+
+console.log('\n\n🧪 SEARCH QUERY SYNTAX TESTS\n');
+
+const queryBefore = localStorage.getItem(bookmarkManager.STORAGE_KEY);
+const queryGame = {
+  ...normalizeGame({
+    slug: 'query-rpg',
+    name: 'Query RPG',
+    genres: ['Role-playing (RPG)'],
+    platforms: ['PC (Microsoft Windows)', 'PlayStation 5'],
+    developers: ['Game Freak'],
+    total_rating: 82
+  }),
+  releaseDate: new Date(2026, 2, 19).toISOString()
+};
+const queryConsoleGame = {
+  ...normalizeGame({ slug: 'query-console', name: 'Query Console', genres: ['Role-playing (RPG)'], platforms: ['Nintendo Switch 2'], total_rating: 60 }),
+  releaseDate: new Date(2026, 8, 1).toISOString()
+};
+const queryMovie = { ...normalizeMovie({ id: 601, title: 'Query Movie', vote_average: 7.5, genre_ids: [] }), releaseDate: new Date(2025, 10, 29).toISOString() };
+const queryItems = [queryGame, queryConsoleGame, queryMovie];
+const queryTitles = (query) => SearchModule.rank(query, queryItems).map(result => result.item.title).join('|');
+
+console.log('Testing SearchModule.tokenizeQuery()');
+const queryTokens = SearchModule.tokenizeQuery('developer:"Game Freak" -bookmarked Mission: zelda');
+TestRunner.assertEquals(queryTokens.length, 4, 'Quoted value kept in one token');
+TestRunner.assertEquals(queryTokens[0].value, 'Game Freak', 'Quotes removed from value');
+TestRunner.assert(queryTokens[1].negate, 'Leading dash negates');
+TestRunner.assertEquals(queryTokens[2].key, null, 'Trailing colon without value is text');
+
+console.log('\nTesting SearchModule.parseQuery()');
+const parsedQuery = SearchModule.parseQuery('type:game platform:PC genre:RPG year:2026 rating:>70 before:2026-06-01 bookmarked fable');
+TestRunner.assertEquals(parsedQuery.filters.length, 7, 'Qualifiers and flags become filters');
+TestRunner.assertEquals(parsedQuery.text, 'fable', 'Free text kept');
+TestRunner.assertEquals(parsedQuery.errors.length, 0, 'No errors for known qualifiers');
+const unknownQuery = SearchModule.parseQuery('foo:bar zelda');
+TestRunner.assertIncludes(unknownQuery.errors[0].message, 'Unknown filter', 'Unknown qualifier reported');
+TestRunner.assertEquals(unknownQuery.text, 'foo:bar zelda', 'Unknown qualifier searched as text');
+const badValue = SearchModule.parseQuery('year:soon type:podcast');
+TestRunner.assertEquals(badValue.errors.length, 2, 'Unreadable values reported');
+TestRunner.assertIncludes(badValue.errors[0].message, 'year:2026', 'Error suggests the syntax');
+TestRunner.assertEquals(badValue.filters.length, 0, 'Unreadable filters ignored');
+
+console.log('\nTesting qualifiers against items');
+TestRunner.assertEquals(queryTitles('type:game'), 'Query RPG|Query Console', 'type: filters by item type');
+TestRunner.assertEquals(queryTitles('type:movies'), 'Query Movie', 'Category names accepted as types');
+TestRunner.assertEquals(queryTitles('platform:PC'), 'Query RPG', 'platform: matches whole words');
+TestRunner.assertEquals(queryTitles('genre:rpg year:2026'), 'Query RPG|Query Console', 'genre: and year: combine');
+TestRunner.assertEquals(queryTitles('rating:>70'), 'Query RPG|Query Movie', 'Percent ratings compare across scales');
+TestRunner.assertEquals(queryTitles('rating:>=7.5 type:movie'), 'Query Movie', 'Ten-point ratings');
+TestRunner.assertEquals(queryTitles('before:2026-06-01 type:game'), 'Query RPG', 'before: is exclusive');
+TestRunner.assertEquals(queryTitles('after:2026-03'), 'Query Console', 'after: a month means after that month');
+TestRunner.assertEquals(queryTitles('developer:"game freak"'), 'Query RPG', 'Quoted multi-word value');
+TestRunner.assertEquals(queryTitles('-type:game'), 'Query Movie', 'Negated qualifier');
+TestRunner.assertEquals(queryTitles('type:game console'), 'Query Console', 'Filters combine with free text');
+TestRunner.assertEquals(queryTitles('-console'), 'Query RPG|Query Movie', 'Negated word excludes its matches');
+TestRunner.assertEquals(queryTitles('query -console'), 'Query RPG|Query Movie', 'Negated word combines with free text');
+TestRunner.assertEquals(queryTitles('-"query console"'), 'Query RPG|Query Movie', 'Negated quoted phrase excludes items matching every word');
+TestRunner.assertEquals(queryTitles('-query'), '', 'Negated word never searched as a positive term');
+TestRunner.assertIncludes(SearchModule.parseQuery('-!!').errors[0].message, 'Nothing to exclude', 'Empty exclusion reported');
+
+bookmarkManager.save([queryConsoleGame]);
+TestRunner.assertEquals(queryTitles('bookmarked'), 'Query Console', 'bookmarked flag');
+TestRunner.assertEquals(queryTitles('-bookmarked type:game'), 'Query RPG', 'Negated flag');
+
+console.log('\nTesting query value parsers');
+TestRunner.assertEquals(parseSearchComparison('<=7.5').op, '<=', 'Comparison operator parsed');
+TestRunner.assertEquals(parseSearchComparison('high'), null, 'Non-number rejected');
+TestRunner.assertEquals(parseSearchPeriod('2026-02').end.getDate(), 28, 'Month period ends on its last day');
+TestRunner.assertEquals(parseSearchPeriod('2026-02-30'), null, 'Impossible date rejected');
+
+if (queryBefore === null) {
+  localStorage.removeItem(bookmarkManager.STORAGE_KEY);
+} else {
+  localStorage.setItem(bookmarkManager.STORAGE_KEY, queryBefore);
+}
+
+// ============================================================================
+// SEARCH PAGE TESTS
+// ============================================================================
+
+console.log('\n\n🧪 SEARCH PAGE TESTS\n');
+
+console.log('Testing search route');
+TestRunner.assert(Router.isValidRoute('search'), 'search is a route');
+TestRunner.assertEquals(Router.getRoute('search').title, 'SEARCH', 'Search route title');
+TestRunner.assertEquals(SearchPage.getPath('zelda & link'), 'search?q=zelda%20%26%20link', 'Query encoded in path');
+TestRunner.assertEquals(Router.parseLocation(SearchPage.getPath('type:game "game freak"')).query.get('q'), 'type:game "game freak"', 'Query survives the URL');
+
+const pagePathBefore = Router.currentPath;
+Router.currentPath = 'search/item/game:igdb:fable';
+TestRunner.assert(Router.isSearchRoute(), 'Item opened from the results page is on the search route');
+Router.currentPath = 'games';
+TestRunner.assert(!Router.isSearchRoute(), 'Category route is not the search route');
+Router.currentPath = pagePathBefore;
+
+console.log('\nTesting per-type counts');
+const pageGame = normalizeGame({ slug: 'page-game', name: 'Page Game' });
+const pageMovie = normalizeMovie({ id: 701, title: 'Page Movie', genre_ids: [] });
+const pageCounts = SearchPage.getTypeCounts([pageGame, pageMovie, { ...pageGame, id: 'page-game-2' }]);
+TestRunner.assertEquals(pageCounts.game, 2, 'Games counted');
+TestRunner.assertEquals(pageCounts.movie, 1, 'Movies counted');
+TestRunner.assertEquals(pageCounts.book, undefined, 'Types without matches left out');
+TestRunner.assertEquals(SearchPage.getTypes().map(({ type }) => type).join('|'), 'movie|tv-show|game|book|music', 'Types in sidebar order');
+
+console.log('\nTesting type param');
+TestRunner.assert(Router.queryParams.type.values.includes('tv-show'), 'Item types accepted');
+TestRunner.assert(!Router.queryParams.type.values.includes('tv-shows'), 'Category keys rejected');
+const pageTypeBefore = SearchPage.type;
+SearchPage.type = 'game';
+TestRunner.assertEquals(Router.queryParams.type.read(), 'game', 'Selected type read into the URL');
+SearchPage.type = pageTypeBefore;
+
+console.log('\nTesting SearchPage.update() with the date filter and sort');
+const pageDay = (offset) => {
+  const day = new Date();
+  day.setDate(day.getDate() + offset);
+  return day.toISOString();
+};
+const pageExact = { ...normalizeMovie({ id: 711, title: 'Nebula', vote_average: 7, genre_ids: [] }), releaseDate: pageDay(1) };
+const pagePrefix = { ...normalizeMovie({ id: 712, title: 'Nebula Rising', vote_average: 9, genre_ids: [] }), releaseDate: pageDay(3) };
+const pageInside = { ...normalizeMovie({ id: 713, title: 'The Last Nebula Station', vote_average: 5, genre_ids: [] }), releaseDate: null };
+const pageOther = { ...normalizeMovie({ id: 714, title: 'Something Else', genre_ids: [] }), releaseDate: pageDay(2) };
+
+const pageState = {
+  allItems: SearchModule.allItems,
+  query: document.getElementById('search-input').value,
+  filter: currentDateFilter,
+  sort: currentSort,
+  facets: currentFacets,
+  list: unfilteredItemsArray,
+  grid: currentMoviesArray
+};
+const pageTitles = () => currentMoviesArray.map(item => item.title).join('|');
+SearchModule.allItems = [pageOther, pageInside, pagePrefix, pageExact];
+document.getElementById('search-input').value = 'nebula';
+currentFacets = {};
+
+currentDateFilter = 'all';
+currentSort = 'default';
+SearchPage.update();
+TestRunner.assertEquals(pageTitles(), 'Nebula|Nebula Rising|The Last Nebula Station', 'Default sort keeps relevance order');
+TestRunner.assertEquals(unfilteredItemsArray.length, 3, 'Matches become the list the filters run on');
+TestRunner.assertEquals(document.querySelectorAll('#movies-container .content-card').length, 3, 'Matches rendered as cards');
+
+currentDateFilter = 'tba';
+SearchPage.render();
+TestRunner.assertEquals(pageTitles(), 'The Last Nebula Station', 'Date filter applies on the results page');
+
+currentDateFilter = 'next-7';
+currentSort = 'rating';
+SearchPage.render();
+TestRunner.assertEquals(pageTitles(), 'Nebula Rising|Nebula', 'Sort applies on the results page');
+TestRunner.assertEquals(pageTitles(), getVisibleItems(SearchPage.results).map(item => item.title).join('|'), 'Cards come from getVisibleItems()');
+
+console.log('\nTesting results hidden by filters');
+currentFacets = { genre: ['Horror'] };
+SearchPage.render();
+const filteredOutState = ContentStates.getElement();
+TestRunner.assertEquals(currentMoviesArray.length, 0, 'Filters hide every result');
+TestRunner.assertIncludes(filteredOutState.querySelector('.content-state-message').textContent, 'match the active filters', 'Empty state explains the filters');
+TestRunner.assertEquals(filteredOutState.querySelector('.content-state-action').textContent, 'Clear filters', 'Empty state offers to clear filters');
+filteredOutState.querySelector('.content-state-action').click();
+TestRunner.assertEquals(currentDateFilter, 'all', 'Clear filters resets the date filter');
+TestRunner.assertEquals(Object.keys(currentFacets).length, 0, 'Clear filters resets the facets');
+TestRunner.assertEquals(pageTitles(), 'Nebula Rising|Nebula|The Last Nebula Station', 'Results shown again, sort kept');
+TestRunner.assert(filteredOutState.hidden, 'Empty state hidden once results show');
+
+document.getElementById('search-input').value = '';
+SearchPage.update();
+TestRunner.assertEquals(currentMoviesArray.length, 0, 'Empty query shows no cards');
+TestRunner.assertEquals(ContentStates.getElement().querySelector('.content-state-title').textContent, 'Search everything', 'Empty query prompts for a search');
+
+SearchModule.allItems = pageState.allItems;
+document.getElementById('search-input').value = pageState.query;
+currentDateFilter = pageState.filter;
+currentSort = pageState.sort;
+currentFacets = pageState.facets;
+SearchPage.results = [];
+document.getElementById('search-toolbar').hidden = true;
+unfilteredItemsArray = pageState.list;
+ContentStates.clear();
+displayItems(pageState.grid);
+
+// ============================================================================
+// SEARCH HISTORY & COMBOBOX TESTS
+// ============================================================================
+
+console.log('\n\n🧪 SEARCH HISTORY & COMBOBOX TESTS\n');
+
+const historyBefore = localStorage.getItem(SearchHistory.STORAGE_KEY);
+localStorage.removeItem(SearchHistory.STORAGE_KEY);
+const historyQueries = () => SearchHistory.getEntries().map(entry => `${entry.pinned ? '*' : ''}${entry.query}`).join('|');
+
+console.log('Testing SearchHistory');
+TestRunner.assertEquals(historyQueries(), '', 'Empty history');
+SearchHistory.add('zelda');
+SearchHistory.add('  type:game  ');
+SearchHistory.add('');
+TestRunner.assertEquals(historyQueries(), 'type:game|zelda', 'Newest first, trimmed, blanks ignored');
+SearchHistory.add('Zelda');
+TestRunner.assertEquals(historyQueries(), 'Zelda|type:game', 'Repeats move to the top, ignoring case');
+
+for (let i = 0; i < SearchHistory.RECENT_LIMIT + 2; i++) {
+  SearchHistory.add(`query ${i}`);
+}
+TestRunner.assertEquals(SearchHistory.read().recent.length, SearchHistory.RECENT_LIMIT, 'Recent list capped');
+
+TestRunner.assert(SearchHistory.togglePin('zelda'), 'Pinning returns true');
+SearchHistory.add('zelda');
+TestRunner.assertEquals(SearchHistory.getEntries()[0].query, 'zelda', 'Pinned searches listed first');
+TestRunner.assertEquals(SearchHistory.getEntries().filter(entry => entry.query === 'zelda').length, 1, 'Pinned search not repeated under recent');
+TestRunner.assert(!SearchHistory.togglePin('ZELDA'), 'Unpinning ignores case');
+TestRunner.assertEquals(historyQueries().split('|')[0], 'ZELDA', 'Unpinned search returns to the top of recent');
+
+SearchHistory.togglePin('zelda');
+SearchHistory.remove('zelda');
+TestRunner.assert(!historyQueries().toLowerCase().includes('zelda'), 'Removing drops recent and pinned');
+
+localStorage.setItem(SearchHistory.STORAGE_KEY, '{bad');
+TestRunner.assertEquals(SearchHistory.getEntries().length, 0, 'Unreadable history treated as empty');
+
+console.log('\nTesting combobox keyboard movement');
+const optionsBefore = SearchModule.options;
+SearchModule.options = [{ activate() {} }, { activate() {} }, { activate() {} }];
+SearchModule.setActiveOption(-1);
+SearchModule.moveActiveOption(1);
+TestRunner.assertEquals(SearchModule.activeIndex, 0, 'Down from the input highlights the first option');
+SearchModule.moveActiveOption(-1);
+TestRunner.assertEquals(SearchModule.activeIndex, -1, 'Up from the first option returns to the input');
+SearchModule.moveActiveOption(-1);
+TestRunner.assertEquals(SearchModule.activeIndex, 2, 'Up from the input wraps to the last option');
+SearchModule.moveActiveOption(1);
+TestRunner.assertEquals(SearchModule.activeIndex, -1, 'Down from the last option returns to the input');
+
+let activatedOption = null;
+SearchModule.options = [{ activate: () => { activatedOption = 'first'; } }];
+SearchModule.activateOption(0);
+SearchModule.activateOption(5);
+TestRunner.assertEquals(activatedOption, 'first', 'Enter runs the highlighted option; missing options ignored');
+SearchModule.options = optionsBefore;
+SearchModule.setActiveOption(-1);
+
+if (historyBefore === null) {
+  localStorage.removeItem(SearchHistory.STORAGE_KEY);
+} else {
+  localStorage.setItem(SearchHistory.STORAGE_KEY, historyBefore);
+}
+
 // ============================================================================
 // INTEGRATION TESTS
 // ============================================================================